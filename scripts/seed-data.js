@@ -0,0 +1,234 @@
+// A small school for local development and the emulator tests: an administrator, three teachers,
+// six students and four parents, with subjects, sections and a term of grades.
+// Every id is fixed so tests can refer to the seeded accounts and records by name.
+const { doc, writeBatch } = require('firebase/firestore');
+
+// Matches the app id App uses when __app_id is not defined
+const SEED_APP_ID = 'default-app-id';
+
+// Project id of the emulators. The demo- prefix keeps them from ever reaching a real project.
+const SEED_PROJECT_ID = 'demo-academic-records';
+
+const SEED_TERM_ID = 'fall-2026';
+
+const SEED_USERS = [
+  { uid: 'admin-morgan', role: 'admin', displayName: 'Morgan Reyes' },
+  { uid: 'teacher-shah', role: 'teacher', displayName: 'Priya Shah' },
+  { uid: 'teacher-okafor', role: 'teacher', displayName: 'Daniel Okafor' },
+  { uid: 'teacher-lindqvist', role: 'teacher', displayName: 'Elin Lindqvist' },
+  { uid: 'student-ada', role: 'student', displayName: 'Ada Lovelace' },
+  { uid: 'student-alan', role: 'student', displayName: 'Alan Turing' },
+  { uid: 'student-grace', role: 'student', displayName: 'Grace Hopper' },
+  { uid: 'student-katherine', role: 'student', displayName: 'Katherine Johnson' },
+  { uid: 'student-edsger', role: 'student', displayName: 'Edsger Dijkstra' },
+  { uid: 'student-barbara', role: 'student', displayName: 'Barbara Liskov' },
+  { uid: 'parent-lovelace', role: 'parent', displayName: 'Anne Lovelace' },
+  { uid: 'parent-turing', role: 'parent', displayName: 'Sara Turing' },
+  { uid: 'parent-hopper', role: 'parent', displayName: 'Walter Murray' },
+  { uid: 'parent-johnson', role: 'parent', displayName: 'Joylette Coleman' },
+];
+
+// Each parent's children
+const SEED_PARENT_LINKS = {
+  'parent-lovelace': ['student-ada'],
+  'parent-turing': ['student-alan'],
+  'parent-hopper': ['student-grace'],
+  'parent-johnson': ['student-katherine', 'student-barbara'],
+};
+
+const SEED_SUBJECTS = [
+  {
+    id: 'mathematics',
+    name: 'Mathematics',
+    teacherId: 'teacher-shah',
+    credits: 4,
+    gradingPolicy: { weights: { homework: 20, quiz: 30, exam: 50 }, dropLowest: { homework: 1 }, missingWork: 'zero' },
+  },
+  {
+    id: 'english',
+    name: 'English',
+    teacherId: 'teacher-okafor',
+    credits: 3,
+    gradingPolicy: { weights: { homework: 30, project: 40, exam: 30 }, dropLowest: {}, missingWork: 'exclude' },
+  },
+  {
+    id: 'science',
+    name: 'Science',
+    teacherId: 'teacher-lindqvist',
+    credits: 3,
+    gradingPolicy: { weights: {}, dropLowest: {}, missingWork: 'exclude' },
+  },
+];
+
+// Assessments every student takes in every subject this term
+const SEED_ASSESSMENTS = [
+  { key: 'hw1', title: 'Homework 1', category: 'homework', date: '2026-09-12', maxPoints: 20 },
+  { key: 'hw2', title: 'Homework 2', category: 'homework', date: '2026-09-26', maxPoints: 20 },
+  { key: 'quiz1', title: 'Quiz 1', category: 'quiz', date: '2026-10-03', maxPoints: 25 },
+  { key: 'project', title: 'Term Project', category: 'project', date: '2026-10-10', maxPoints: 100 },
+  { key: 'midterm', title: 'Midterm Exam', category: 'exam', date: '2026-10-17', maxPoints: 100 },
+];
+
+// Typical percentage of each student, so the class has strong, average and struggling students
+const SEED_STUDENT_LEVELS = {
+  'student-ada': 94,
+  'student-alan': 88,
+  'student-grace': 81,
+  'student-katherine': 97,
+  'student-edsger': 72,
+  'student-barbara': 58,
+};
+
+// A deterministic score for one student's assessment: their level, nudged per subject and
+// assessment so averages differ, and kept within the assessment's points
+const getSeedScore = (studentIndex, subjectIndex, assessmentIndex, level, maxPoints) => {
+  const nudge = ((studentIndex * 7 + subjectIndex * 5 + assessmentIndex * 3) % 11) - 5;
+  const percent = Math.max(0, Math.min(100, level + nudge));
+  return Math.round((percent / 100) * maxPoints);
+};
+
+// The grades of one student this term, keyed by subject name. Records store them by term.
+const buildSeedGrades = (uid, studentIndex) => {
+  const grades = {};
+  SEED_SUBJECTS.forEach((subject, subjectIndex) => {
+    grades[subject.name] = SEED_ASSESSMENTS
+      // English is graded on a project instead of a quiz; the other subjects have no project
+      .filter(assessment => (subject.id === 'english' ? assessment.category !== 'quiz' : assessment.category !== 'project'))
+      .map((assessment, assessmentIndex) => {
+        // Barbara missed the second Mathematics homework
+        const missing = uid === 'student-barbara' && subject.id === 'mathematics' && assessment.key === 'hw2';
+        return {
+          id: `${uid}-${subject.id}-${assessment.key}`,
+          title: assessment.title,
+          category: assessment.category,
+          date: assessment.date,
+          maxPoints: assessment.maxPoints,
+          score: missing
+            ? null
+            : getSeedScore(studentIndex, subjectIndex, assessmentIndex, SEED_STUDENT_LEVELS[uid], assessment.maxPoints),
+          missing,
+          termId: SEED_TERM_ID,
+          teacherId: subject.teacherId,
+        };
+      });
+  });
+  return grades;
+};
+
+// Build every document of the seeded school, keyed by its path below /artifacts/{appId}/public/data
+const buildSeedData = () => {
+  const data = {};
+  const students = SEED_USERS.filter(user => user.role === 'student');
+  const parents = SEED_USERS.filter(user => user.role === 'parent');
+
+  SEED_USERS.forEach(user => {
+    data[`users/${user.uid}`] = { uid: user.uid, role: user.role, displayName: user.displayName, email: null };
+  });
+
+  data[`terms/${SEED_TERM_ID}`] = {
+    name: 'Fall 2026',
+    startDate: '2026-09-01',
+    endDate: '2026-12-18',
+    status: 'open',
+    createdBy: 'admin-morgan',
+  };
+
+  data['settings/schoolProfile'] = {
+    name: 'Riverside High School',
+    address: '100 River Road, Springfield',
+    phone: '(555) 010-2000',
+  };
+
+  SEED_SUBJECTS.forEach(subject => {
+    data[`subjects/${subject.id}`] = {
+      name: subject.name,
+      termIds: [SEED_TERM_ID],
+      credits: subject.credits,
+      gradingPolicy: subject.gradingPolicy,
+    };
+    data[`sections/${subject.id}-1`] = {
+      name: `${subject.name} 1`,
+      subjectId: subject.id,
+      subjectName: subject.name,
+      teacherId: subject.teacherId,
+      termId: SEED_TERM_ID,
+      studentIds: students.map(student => student.uid),
+      createdBy: 'admin-morgan',
+    };
+  });
+
+  students.forEach((student, studentIndex) => {
+    const studentParents = parents.filter(parent => SEED_PARENT_LINKS[parent.uid].includes(student.uid));
+    data[`records/${student.uid}`] = {
+      studentId: student.uid,
+      studentName: student.displayName,
+      studentNameKey: student.displayName.toLowerCase(),
+      studentUid: student.uid,
+      profile: {
+        legalName: student.displayName,
+        preferredName: '',
+        studentNumber: `S${1001 + studentIndex}`,
+        gradeLevel: '10',
+        dateOfBirth: `2010-0${1 + studentIndex}-15`,
+        guardians: studentParents.map(parent => ({ name: parent.displayName, relationship: 'Parent', email: '', phone: '' })),
+      },
+      enrollmentStatus: 'enrolled',
+      enrollmentHistory: [],
+      grades: { [SEED_TERM_ID]: buildSeedGrades(student.uid, studentIndex) },
+      createdBy: 'admin-morgan',
+      sectionIds: SEED_SUBJECTS.map(subject => `${subject.id}-1`),
+      teacherIds: SEED_SUBJECTS.map(subject => subject.teacherId),
+      parentIds: studentParents.map(parent => parent.uid),
+      parentLinks: Object.fromEntries(studentParents.map(parent => [
+        parent.uid,
+        { code: null, name: parent.displayName, linkedAt: '2026-09-01T08:00:00.000Z' },
+      ])),
+    };
+    data[`studentAccounts/${student.uid}`] = {
+      recordId: student.uid,
+      linkedBy: 'admin-morgan',
+      linkedAt: '2026-09-01T08:00:00.000Z',
+    };
+  });
+
+  return data;
+};
+
+// Write the seeded school to a Firestore instance that bypasses security rules
+const writeSeedData = async (db, appId = SEED_APP_ID) => {
+  const data = buildSeedData();
+  const batch = writeBatch(db);
+  Object.keys(data).forEach(path => {
+    batch.set(doc(db, `artifacts/${appId}/public/data/${path}`), data[path]);
+  });
+  await batch.commit();
+  return data;
+};
+
+// A custom token the Auth emulator accepts for signing in as a seeded account. The emulator does
+// not check signatures, so the token is left unsigned; a real project rejects it.
+const createEmulatorToken = (uid) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: 'seed@demo-academic-records.iam.gserviceaccount.com',
+    sub: 'seed@demo-academic-records.iam.gserviceaccount.com',
+    aud: 'https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit',
+    iat: issuedAt,
+    exp: issuedAt + 3600,
+    uid,
+  };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`;
+};
+
+module.exports = {
+  SEED_APP_ID,
+  SEED_PROJECT_ID,
+  SEED_TERM_ID,
+  SEED_USERS,
+  SEED_PARENT_LINKS,
+  SEED_SUBJECTS,
+  buildSeedData,
+  writeSeedData,
+  createEmulatorToken,
+};
@@ -0,0 +1,45 @@
+// Replace everything in the local Firestore emulator with the seeded school and print how to sign
+// in as one of its accounts. Start the emulators with `npm run emulators` first, then run
+// `npm run seed` or `npm run seed -- <uid>` to sign in as someone other than the administrator.
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const {
+  SEED_APP_ID, SEED_PROJECT_ID, SEED_USERS, writeSeedData, createEmulatorToken,
+} = require('./seed-data');
+
+const [host, port] = (process.env.FIRESTORE_EMULATOR_HOST || 'localhost:8080').split(':');
+
+const main = async () => {
+  const uid = process.argv[2] || 'admin-morgan';
+  const user = SEED_USERS.find(u => u.uid === uid);
+  if (!user) {
+    throw new Error(`Unknown account "${uid}". Seeded accounts: ${SEED_USERS.map(u => u.uid).join(', ')}`);
+  }
+
+  const testEnv = await initializeTestEnvironment({
+    projectId: SEED_PROJECT_ID,
+    firestore: { host, port: Number(port) },
+  });
+  try {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(context => writeSeedData(context.firestore(), SEED_APP_ID));
+  } finally {
+    await testEnv.cleanup();
+  }
+
+  console.log(`Seeded ${SEED_USERS.length} accounts into project ${SEED_PROJECT_ID}:`);
+  SEED_USERS.forEach(u => console.log(`  ${u.role.padEnd(8)} ${u.uid.padEnd(18)} ${u.displayName}`));
+  console.log('\nTo sign in as %s (%s), add this to public/index.html before starting the app:\n', user.displayName, user.role);
+  console.log([
+    '<script>',
+    `  var __firebase_config = '${JSON.stringify({ apiKey: 'demo-api-key', projectId: SEED_PROJECT_ID })}';`,
+    `  var __firebase_emulator_host = '${host}';`,
+    `  var __initial_auth_token = '${createEmulatorToken(user.uid)}';`,
+    '</script>',
+  ].join('\n'));
+  console.log('\nThen sign in as an administrator and use Recalculate Class Averages to fill in the class averages.');
+};
+
+main().catch((e) => {
+  console.error('Error seeding the emulator:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { render, screen, fireEvent, waitFor, within, cleanup } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteApp, getApps } from 'firebase/app';
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import App, { getSubjectPercent } from './App';
+import { ROUTER_FUTURE_FLAGS } from './routes';
+import {
+  SEED_APP_ID, SEED_PROJECT_ID, SEED_TERM_ID, SEED_SUBJECTS, SEED_USERS, buildSeedData, writeSeedData, createEmulatorToken,
+} from '../scripts/seed-data';
+
+// These tests run the whole app against the Auth and Firestore emulators with the seeded school.
+// `npm run test:emulator` starts both emulators and sets the hosts below.
+const describeWithEmulators = process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST
+  ? describe
+  : describe.skip;
+
+const dataPath = `artifacts/${SEED_APP_ID}/public/data`;
+
+// Snapshots from the emulator take longer than the testing library's default wait
+const slow = { timeout: 10000 };
+jest.setTimeout(30000);
+
+describeWithEmulators('App against the emulators', () => {
+  let testEnv;
+
+  // Read documents directly, bypassing the security rules the app is held to
+  const readAsOwner = async (read) => {
+    let result;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      result = await read(context.firestore());
+    });
+    return result;
+  };
+
+  // Render the app at a URL, signed in as the given account
+  const renderAs = (uid, url = '/') => {
+    global.__initial_auth_token = createEmulatorToken(uid);
+    render(
+      <MemoryRouter initialEntries={[url]} future={ROUTER_FUTURE_FLAGS}>
+        <App />
+      </MemoryRouter>
+    );
+  };
+
+  beforeAll(async () => {
+    global.__firebase_config = JSON.stringify({ apiKey: 'demo-api-key', projectId: SEED_PROJECT_ID });
+    global.__firebase_emulator_host = 'localhost';
+    testEnv = await initializeTestEnvironment({
+      projectId: SEED_PROJECT_ID,
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+    delete global.__firebase_config;
+    delete global.__firebase_emulator_host;
+    delete global.__initial_auth_token;
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(context => writeSeedData(context.firestore(), SEED_APP_ID));
+  });
+
+  // Each render initializes Firebase again, so unmount the app and remove its Firebase app
+  afterEach(async () => {
+    cleanup();
+    await Promise.all(getApps().filter(app => app.name === '[DEFAULT]').map(app => deleteApp(app)));
+  });
+
+  describe('dashboards', () => {
+    it('shows administrators the role manager and the gradebook', async () => {
+      renderAs('admin-morgan');
+      await screen.findByText('User Roles', {}, slow);
+      expect(screen.getByText('Enter a New Grade')).toBeTruthy();
+    });
+
+    it('shows teachers the gradebook without the role manager', async () => {
+      renderAs('teacher-shah');
+      await screen.findByText('Enter a New Grade', {}, slow);
+      expect(screen.queryByText('User Roles')).toBeNull();
+    });
+
+    it('shows students their own record', async () => {
+      renderAs('student-ada');
+      await screen.findByText('Welcome, Ada Lovelace!', {}, slow);
+    });
+
+    it("shows parents their linked children's records", async () => {
+      renderAs('parent-johnson');
+      await screen.findByText('Here are the academic results for Katherine Johnson.', {}, slow);
+      fireEvent.change(screen.getByDisplayValue('Katherine Johnson'), { target: { value: 'student-barbara' } });
+      expect(screen.getByText('Here are the academic results for Barbara Liskov.')).toBeTruthy();
+    });
+
+    it('leaves new accounts waiting for a role', async () => {
+      renderAs('newcomer');
+      await screen.findByText('Your account is waiting for an administrator to assign it a role.', {}, slow);
+      const user = await readAsOwner(db => getDoc(doc(db, `${dataPath}/users/newcomer`)));
+      expect(user.data().role).toBe('pending');
+    });
+  });
+
+  describe('demo mode', () => {
+    afterEach(() => {
+      delete global.__demo_mode;
+    });
+
+    it('switches the view between roles without changing the stored role', async () => {
+      global.__demo_mode = true;
+      renderAs('admin-morgan');
+      await screen.findByText('User Roles', {}, slow);
+      fireEvent.click(screen.getByRole('button', { name: 'Teacher View' }));
+      await screen.findByText('Enter a New Grade', {}, slow);
+      expect(screen.queryByText('User Roles')).toBeNull();
+      fireEvent.click(screen.getByRole('button', { name: 'Admin View' }));
+      await screen.findByText('User Roles', {}, slow);
+      const user = await readAsOwner(db => getDoc(doc(db, `${dataPath}/users/admin-morgan`)));
+      expect(user.data().role).toBe('admin');
+    });
+
+    it('leaves new accounts pending', async () => {
+      global.__demo_mode = true;
+      renderAs('newcomer');
+      await screen.findByText('Your account is waiting for an administrator to assign it a role.', {}, slow);
+      const user = await readAsOwner(db => getDoc(doc(db, `${dataPath}/users/newcomer`)));
+      expect(user.data().role).toBe('pending');
+    });
+  });
+
+  describe('deep links', () => {
+    it("opens a student's page for their teacher", async () => {
+      renderAs('teacher-shah', '/teacher/students/student-grace');
+      await screen.findByRole('heading', { name: 'Grace Hopper' }, slow);
+      fireEvent.click(screen.getByRole('link', { name: /All students/ }));
+      await screen.findByText('Enter a New Grade', {}, slow);
+    });
+
+    it("opens a parent's bookmarked child", async () => {
+      renderAs('parent-johnson', '/parent/students/student-barbara');
+      await screen.findByText('Here are the academic results for Barbara Liskov.', {}, slow);
+    });
+
+    it("sends other roles' URLs to the account's own home page", async () => {
+      renderAs('student-ada', '/teacher/students/student-grace');
+      await screen.findByText('Welcome, Ada Lovelace!', {}, slow);
+      expect(screen.queryByText('Grace Hopper')).toBeNull();
+    });
+  });
+
+  describe('teacher flows', () => {
+    it('searches the records table by the start of a name', async () => {
+      renderAs('teacher-shah');
+      await screen.findByRole('link', { name: 'Ada Lovelace' }, slow);
+      fireEvent.change(screen.getByPlaceholderText('Search students by name'), { target: { value: 'gr' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      await waitFor(() => expect(screen.queryByRole('link', { name: 'Ada Lovelace' })).toBeNull(), slow);
+      expect(screen.getByRole('link', { name: 'Grace Hopper' })).toBeTruthy();
+    });
+
+    it('adds a student', async () => {
+      renderAs('teacher-shah');
+      await screen.findByText('Enter a New Grade', {}, slow);
+      fireEvent.change(screen.getByPlaceholderText('Student Name'), { target: { value: 'Marie Curie' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add Student' }));
+
+      await waitFor(async () => {
+        const records = await readAsOwner(db => getDocs(query(
+          collection(db, `${dataPath}/records`), where('studentName', '==', 'Marie Curie')
+        )));
+        expect(records.docs.map(record => record.data().createdBy)).toEqual(['teacher-shah']);
+      }, slow);
+      // The new student is in no section yet, but the teacher who added them works with their record
+      await screen.findByRole('link', { name: 'Marie Curie' }, slow);
+      const gradeForm = screen.getByRole('button', { name: 'Add Grade' }).closest('form');
+      const [studentSelect] = within(gradeForm).getAllByRole('combobox');
+      expect(within(studentSelect).getByRole('option', { name: 'Marie Curie' })).toBeTruthy();
+    });
+
+    it('adds a subject to the active term', async () => {
+      renderAs('teacher-shah');
+      await screen.findByText('Enter a New Grade', {}, slow);
+      fireEvent.change(screen.getByPlaceholderText('Subject Name'), { target: { value: 'Art History' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add Subject' }));
+
+      await waitFor(async () => {
+        const subject = await readAsOwner(db => getDoc(doc(db, `${dataPath}/subjects/art-history`)));
+        expect(subject.data()).toEqual({ name: 'Art History', termIds: [SEED_TERM_ID] });
+      }, slow);
+    });
+
+    it('adds a grade to a student in their section', async () => {
+      renderAs('teacher-shah');
+      await screen.findAllByRole('option', { name: 'Ada Lovelace' }, slow);
+      const gradeForm = screen.getByRole('button', { name: 'Add Grade' }).closest('form');
+      const [studentSelect, subjectSelect, categorySelect] = within(gradeForm).getAllByRole('combobox');
+      fireEvent.change(studentSelect, { target: { value: 'student-ada' } });
+      fireEvent.change(subjectSelect, { target: { value: 'Mathematics' } });
+      fireEvent.change(categorySelect, { target: { value: 'quiz' } });
+      fireEvent.change(within(gradeForm).getByPlaceholderText('Assessment Title (e.g., Chapter 3 Quiz)'), { target: { value: 'Quiz 2' } });
+      fireEvent.change(within(gradeForm).getByPlaceholderText('Score (e.g., 45)'), { target: { value: '21' } });
+      fireEvent.change(within(gradeForm).getByPlaceholderText('Max Points (e.g., 50)'), { target: { value: '25' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add Grade' }));
+
+      await waitFor(async () => {
+        const record = await readAsOwner(db => getDoc(doc(db, `${dataPath}/records/student-ada`)));
+        const quiz = record.data().grades[SEED_TERM_ID].Mathematics.find(assessment => assessment.title === 'Quiz 2');
+        expect(quiz).toMatchObject({ category: 'quiz', score: 21, maxPoints: 25, termId: SEED_TERM_ID, teacherId: 'teacher-shah' });
+      }, slow);
+    });
+  });
+
+  describe('records table', () => {
+    const studentNames = SEED_USERS.filter(user => user.role === 'student').map(user => user.displayName);
+    const namesIn = (table) => within(table).getAllByRole('link').map(link => link.textContent)
+      .filter(name => studentNames.includes(name));
+
+    it("sorts a teacher's students by a subject average", async () => {
+      const seed = buildSeedData();
+      const mathematics = SEED_SUBJECTS.find(subject => subject.id === 'mathematics');
+      const percentOf = (uid) => getSubjectPercent(seed[`records/${uid}`].grades[SEED_TERM_ID].Mathematics, mathematics.gradingPolicy);
+      const expected = SEED_USERS.filter(user => user.role === 'student')
+        .sort((a, b) => percentOf(b.uid) - percentOf(a.uid))
+        .map(user => user.displayName);
+      renderAs('teacher-shah');
+      const table = (await screen.findByRole('link', { name: 'Ada Lovelace' }, slow)).closest('table');
+      fireEvent.click(within(table).getByRole('button', { name: 'Mathematics' }));
+      expect(namesIn(table)).toEqual(expected);
+    });
+
+    it("keeps an administrator's server pages in name order", async () => {
+      renderAs('admin-morgan');
+      const table = (await screen.findByRole('link', { name: 'Ada Lovelace' }, slow)).closest('table');
+      expect(namesIn(table)).toEqual([...studentNames].sort());
+      expect(within(table).queryByRole('button', { name: 'Mathematics' })).toBeNull();
+    });
+  });
+
+  describe('averages', () => {
+    it("shows a student each subject's average under its grading policy", async () => {
+      const grades = buildSeedData()['records/student-barbara'].grades[SEED_TERM_ID];
+      renderAs('student-barbara');
+      await screen.findByText('Welcome, Barbara Liskov!', {}, slow);
+      SEED_SUBJECTS.forEach(subject => {
+        const row = screen.getAllByText(subject.name, { selector: 'td' })[0].closest('tr');
+        const expected = getSubjectPercent(grades[subject.name], subject.gradingPolicy).toFixed(2);
+        expect(within(row).getByText(expected)).toBeTruthy();
+      });
+    });
+  });
+});
@@ -1,7 +1,683 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, onSnapshot, setDoc, addDoc, updateDoc, deleteDoc, query, where, getDocs } from 'firebase/firestore';
+import { Routes, Route, Navigate, Link, useParams, useNavigate, useMatch } from 'react-router-dom';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import {
+  USER_ROLES, ASSESSMENT_CATEGORIES, ValidationError, validateAssessment, validateSubjectName, getStudentNameKey,
+  createEmptyStudentProfile, getEnrollmentStatus, ENROLLMENT_STATUSES, GRADE_LEVELS, findDuplicateStudents, getRecordsPage,
+  createRepositories, createUsersRepository, getTermKey, normalizeAssessment,
+} from './data';
+import { STUDENT_PAGE_PATH, getHomePath, getStudentPath } from './routes';
+
+// Ports of the local emulators, matching firebase.json
+const FIRESTORE_EMULATOR_PORT = 8080;
+const AUTH_EMULATOR_PORT = 9099;
+
+// Look up the display label for an assessment category
+const getCategoryLabel = (category) => {
+  const match = ASSESSMENT_CATEGORIES.find(c => c.value === category);
+  return match ? match.label : 'Uncategorized';
+};
+
+// Ways a grading policy can treat assessments marked as missing
+const MISSING_WORK_OPTIONS = [
+  { value: 'exclude', label: 'Exclude from the average' },
+  { value: 'zero', label: 'Count as zero' },
+];
+
+// Policy used for subjects that have not been configured yet: no weights (plain mean), nothing dropped
+const DEFAULT_GRADING_POLICY = {
+  weights: {},
+  dropLowest: {},
+  missingWork: 'exclude',
+};
+
+// Fill in any fields a stored grading policy is missing
+const normalizeGradingPolicy = (policy) => ({
+  weights: { ...DEFAULT_GRADING_POLICY.weights, ...policy?.weights },
+  dropLowest: { ...DEFAULT_GRADING_POLICY.dropLowest, ...policy?.dropLowest },
+  missingWork: policy?.missingWork || DEFAULT_GRADING_POLICY.missingWork,
+});
+
+// Find the grading policy of a subject by its name
+const getSubjectPolicy = (subjects, subjectName) => (
+  normalizeGradingPolicy(subjects.find(subject => subject.name === subjectName)?.gradingPolicy)
+);
+
+// Scale used until one is saved under settings/gradingScale: minimum percentage, letter and grade points
+const DEFAULT_GRADING_SCALE = [
+  { min: 97, letter: 'A+', points: 4.0 },
+  { min: 93, letter: 'A', points: 4.0 },
+  { min: 90, letter: 'A-', points: 3.7 },
+  { min: 87, letter: 'B+', points: 3.3 },
+  { min: 83, letter: 'B', points: 3.0 },
+  { min: 80, letter: 'B-', points: 2.7 },
+  { min: 77, letter: 'C+', points: 2.3 },
+  { min: 73, letter: 'C', points: 2.0 },
+  { min: 70, letter: 'C-', points: 1.7 },
+  { min: 67, letter: 'D+', points: 1.3 },
+  { min: 63, letter: 'D', points: 1.0 },
+  { min: 60, letter: 'D-', points: 0.7 },
+  { min: 0, letter: 'F', points: 0.0 },
+];
+
+// Credit hours assumed for subjects that do not set their own
+const DEFAULT_CREDIT_HOURS = 1;
+
+// Find the scale entry a percentage falls into, or null if it is below every range
+const getLetterGrade = (percent, scale) => {
+  if (percent === null || percent === undefined) return null;
+  const sorted = [...scale].sort((a, b) => b.min - a.min);
+  return sorted.find(range => percent >= range.min) || null;
+};
+
+// Credit hours of a subject by its name
+const getSubjectCredits = (subjects, subjectName) => {
+  const credits = Number(subjects.find(subject => subject.name === subjectName)?.credits);
+  return credits > 0 ? credits : DEFAULT_CREDIT_HOURS;
+};
+
+// Normalize a code typed in by a parent: upper case, without spaces or dashes
+const normalizeInviteCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+// Records whose grades move at the same time when a subject is renamed
+const SUBJECT_RENAME_CONCURRENCY = 20;
+
+// Parse CSV text into an array of rows, each an array of cell strings.
+// Handles quoted cells containing commas, quotes ("") and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn rows of values into CSV text. Cells that a spreadsheet would run as a formula are
+// prefixed with an apostrophe so exported names cannot execute anything.
+const toCsv = (rows) => rows.map(cells => cells.map(value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n');
+
+// Offer text to the user as a file download
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// School details printed at the top of report cards until an administrator saves them under settings/schoolProfile
+const DEFAULT_SCHOOL_PROFILE = {
+  name: 'Digital Academic Records System',
+  address: '',
+  phone: '',
+};
+
+// Attendance marks a teacher can record for a student
+const ATTENDANCE_STATUSES = [
+  { value: 'present', label: 'Present' },
+  { value: 'absent', label: 'Absent' },
+  { value: 'tardy', label: 'Tardy' },
+  { value: 'excused', label: 'Excused' },
+];
+
+// Attendance is taken once for the whole day or separately for each class period
+const ATTENDANCE_PERIODS = [
+  { value: 'day', label: 'Full Day' },
+  ...[1, 2, 3, 4, 5, 6, 7, 8].map(period => ({ value: `p${period}`, label: `Period ${period}` })),
+];
+
+const getAttendancePeriodLabel = (period) => (
+  ATTENDANCE_PERIODS.find(p => p.value === period)?.label || period
+);
+
+// Default thresholds for the class analytics list of students needing attention: an average
+// below the passing mark, or a fall of more than the drop in points over the latest assessments
+const DEFAULT_PASSING_THRESHOLD = 60;
+const DEFAULT_DROP_THRESHOLD = 10;
+const TREND_WINDOW = 3;
+
+// Absence rate (as a percentage) above which a student is listed on the absence report
+const DEFAULT_ABSENCE_THRESHOLD = 10;
+
+// Key of one attendance entry in a record's attendance map: one entry per section, date and period
+const getAttendanceKey = (date, sectionId, period) => `${date}_${sectionId}_${period}`;
+
+// Attendance entries on a record for a term, newest first
+const getAttendanceEntries = (record, termId) => Object.values(record?.attendance || {})
+  .filter(entry => (entry.termId || null) === (termId || null))
+  .sort((a, b) => b.date.localeCompare(a.date));
+
+// Count each attendance status. Only unexcused absences count toward the absence rate.
+const getAttendanceSummary = (entries) => {
+  const summary = { total: entries.length, present: 0, absent: 0, tardy: 0, excused: 0 };
+  entries.forEach(entry => {
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+  });
+  summary.absenceRate = summary.total > 0 ? (summary.absent / summary.total) * 100 : null;
+  return summary;
+};
+
+// Assessments given to a whole class share a title and date, which groups them across records.
+// Older entries without a date cannot be grouped.
+const getAssessmentGroupKey = (assessment) => (
+  assessment.date && assessment.title ? `${assessment.date} ${normalizeName(assessment.title)}` : null
+);
+
+// Sum and count of scored percentages per subject and assessment group, for a list of
+// contributions [{ subject, assessment, sign }] where sign is 1 to add a score and -1 to remove it
+const sumClassAverageContributions = (contributions) => {
+  const totals = {};
+  contributions.forEach(({ subject, assessment, sign }) => {
+    const key = getAssessmentGroupKey(assessment);
+    if (!key || isMissingAssessment(assessment)) return;
+    totals[subject] = totals[subject] || {};
+    const current = totals[subject][key] || { sum: 0, count: 0 };
+    totals[subject][key] = { sum: current.sum + sign * getAssessmentPercent(assessment), count: current.count + sign };
+  });
+  return totals;
+};
+
+// Every grade on a record as class average contributions, grouped by the term they belong to
+const getRecordContributionsByTerm = (record, sign) => {
+  const byTerm = {};
+  Object.keys(record.grades || {}).forEach(subject => {
+    getAssessments(record.grades, subject).forEach(assessment => {
+      const termKey = getTermKey(assessment.termId);
+      byTerm[termKey] = [...(byTerm[termKey] || []), { subject, assessment, sign }];
+    });
+  });
+  return byTerm;
+};
+
+// Published class average percentage for an assessment, or null if too few students have a score
+const getClassAverage = (classAverages, termId, subject, assessment) => {
+  const key = getAssessmentGroupKey(assessment);
+  return (key && classAverages[getTermKey(termId)]?.[subject]?.[key]) ?? null;
+};
+
+// Alerts students and parents can choose to receive about a student record
+const NOTIFICATION_TYPES = [
+  { value: 'newGrade', label: 'A new grade is posted' },
+  { value: 'lowAverage', label: 'A subject average falls below my threshold' },
+  { value: 'recordEdited', label: 'A grade or record is corrected' },
+];
+
+// Ways a notification can be delivered. Each channel sends one notification to one user.
+// Email or SMS can be added as another channel, for example one that queues a message document
+// for a Cloud Function or mail extension to send; it then appears in everyone's preferences.
+const NOTIFICATION_CHANNELS = [
+  {
+    id: 'inApp',
+    label: 'In the app',
+    deliver: (notifications, recipientId, notification) => notifications.send(recipientId, notification),
+  },
+];
+
+// Number of most recent notifications shown in the notification center
+const NOTIFICATION_LIMIT = 50;
+
+// Preferences used until a user saves their own under notificationPreferences/{uid}
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  types: { newGrade: true, lowAverage: true, recordEdited: true },
+  channels: { inApp: true },
+  lowAverageThreshold: 70,
+};
+
+// Fill in any preference a user has not saved with the default
+const normalizeNotificationPreferences = (preferences) => ({
+  types: { ...DEFAULT_NOTIFICATION_PREFERENCES.types, ...preferences?.types },
+  channels: { ...DEFAULT_NOTIFICATION_PREFERENCES.channels, ...preferences?.channels },
+  lowAverageThreshold: preferences?.lowAverageThreshold ?? DEFAULT_NOTIFICATION_PREFERENCES.lowAverageThreshold,
+});
+
+// Notify the student's account and linked parents on a record, following each recipient's preferences.
+// Each candidate is { type, build } where build(preferences) returns { title, message, subject }
+// or null to skip that recipient. Failures are logged and never undo the change being reported.
+const notifyRecordFollowers = async (notifications, senderId, record, candidates) => {
+  const recipientIds = [...new Set([record.studentUid, ...(record.parentIds || [])].filter(Boolean))];
+  await Promise.all(recipientIds.map(async (recipientId) => {
+    try {
+      const preferences = normalizeNotificationPreferences(await notifications.getPreferences(recipientId));
+      const channels = NOTIFICATION_CHANNELS.filter(channel => preferences.channels[channel.id]);
+      const deliveries = candidates
+        .filter(candidate => preferences.types[candidate.type])
+        .map(candidate => ({ type: candidate.type, content: candidate.build(preferences) }))
+        .filter(({ content }) => content)
+        .flatMap(({ type, content }) => channels.map(channel => channel.deliver(notifications, recipientId, {
+          type,
+          title: content.title,
+          message: content.message,
+          subject: content.subject || null,
+          recordId: record.id,
+          studentName: record.studentName,
+          createdBy: senderId,
+          createdAt: new Date().toISOString(),
+          read: false,
+        })));
+      await Promise.all(deliveries);
+    } catch (e) {
+      console.error(`Error notifying ${recipientId}:`, e);
+    }
+  }));
+};
+
+// Notifications for a new grade on a record: the grade itself, and a warning if it takes the
+// subject average from at or above the recipient's threshold to below it
+const getNewGradeNotifications = (record, subject, assessments, policy, termId) => {
+  const existing = filterGradesByTerm(record.grades, termId)[subject] || [];
+  const before = getSubjectPercent(existing, policy);
+  const after = getSubjectPercent([...existing, ...assessments], policy);
+  return [
+    {
+      type: 'newGrade',
+      build: () => ({
+        title: `New ${subject} grade for ${record.studentName}`,
+        message: assessments.map(assessment => (
+          `${assessment.title}: ${isMissingAssessment(assessment) ? 'Missing' : `${assessment.score}/${assessment.maxPoints}`}`
+        )).join(', '),
+        subject,
+      }),
+    },
+    {
+      type: 'lowAverage',
+      build: ({ lowAverageThreshold }) => (
+        after !== null && after < lowAverageThreshold && (before === null || before >= lowAverageThreshold)
+          ? {
+            title: `${record.studentName}'s ${subject} average is below ${lowAverageThreshold}%`,
+            message: `The average is now ${after.toFixed(1)}%.`,
+            subject,
+          }
+          : null
+      ),
+    },
+  ];
+};
+
+// Notification that part of a record was corrected by staff
+const getRecordEditedNotifications = (record, title, message, subject) => [
+  { type: 'recordEdited', build: () => ({ title, message, subject }) },
+];
+
+// Teacher comments on a record for one subject, either on one assessment or, with a null
+// assessmentId, on the subject as a whole. Oldest first.
+const getComments = (record, subject, assessmentId) => Object.keys(record?.comments || {})
+  .map(id => ({ id, ...record.comments[id] }))
+  .filter(comment => comment.subject === subject && (comment.assessmentId || null) === (assessmentId || null))
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+// One message thread per student record, teacher and student or parent, so reopening a
+// conversation continues it rather than starting another
+const getThreadId = (recordId, teacherId, otherId) => `${recordId}_${teacherId}_${otherId}`;
+
+// Whether a thread has a message from the other participant the user has not opened yet
+const isThreadUnread = (thread, userId) => (
+  thread.lastSenderId !== userId && (thread.lastReadAt?.[userId] || '') < (thread.lastMessageAt || '')
+);
+
+// Teacher to contact about a subject: whoever entered the latest grade, or else the record's creator
+const getSubjectTeacherId = (record, subject) => {
+  const assessments = getAssessments(record.grades, subject).filter(assessment => assessment.teacherId);
+  return assessments.length > 0 ? assessments[assessments.length - 1].teacherId : record.createdBy;
+};
+
+// Kinds of changes recorded in the audit log
+const AUDIT_ENTITY_TYPES = [
+  { value: 'grade', label: 'Grade' },
+  { value: 'student', label: 'Student' },
+  { value: 'subject', label: 'Subject' },
+];
+
+// Number of most recent audit log entries loaded into the history view
+const AUDIT_LOG_LIMIT = 500;
+
+// Students shown on one page of the records table
+const RECORDS_PAGE_SIZE = 25;
+
+// Most students offered when searching for one to enroll in a section
+const STUDENT_SEARCH_LIMIT = 10;
+
+// Short, readable form of a value stored in the audit log
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value !== 'object') return String(value);
+  if ('maxPoints' in value) {
+    const score = isMissingAssessment(value) ? 'Missing' : `${value.score}/${value.maxPoints}`;
+    return `${value.title}: ${score} (${getCategoryLabel(value.category)}${value.date ? `, ${value.date}` : ''})`;
+  }
+  if ('studentName' in value) {
+    const gradeCount = Object.values(value.grades || {}).reduce((acc, entries) => acc + entries.length, 0);
+    return `${value.studentName} (${gradeCount} grades)`;
+  }
+  return value.name || JSON.stringify(value);
+};
+
+// Turn a name into a lowercase, dash-separated piece of a download filename
+const toFileLabel = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Compare names ignoring case and surrounding whitespace
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+// Check roster CSV rows (a "Student Name" column) before import. Names already on a record
+// or repeated in the file are flagged as duplicates.
+const validateRosterRows = (rows, existingRecords) => {
+  const [header, ...dataRows] = rows;
+  const nameIndex = (header || []).findIndex(cell => normalizeName(cell) === 'student name');
+  if (nameIndex === -1) {
+    return { error: 'The file needs a "Student Name" column.', rows: [] };
+  }
+
+  const existingNames = new Set(existingRecords.map(record => normalizeName(record.studentName)));
+  const seenNames = new Set();
+  return {
+    error: null,
+    rows: dataRows.map((cells, index) => {
+      const studentName = (cells[nameIndex] || '').trim();
+      const errors = [];
+      if (!studentName) errors.push('Missing student name');
+      else if (existingNames.has(normalizeName(studentName))) errors.push('Student already exists');
+      else if (seenNames.has(normalizeName(studentName))) errors.push('Duplicate name in file');
+      seenNames.add(normalizeName(studentName));
+      return { line: index + 2, studentName, errors };
+    }),
+  };
+};
+
+// Check gradebook CSV rows before import. Each row is one student in one subject, with a
+// "Student Name" and a "Subject" column; every other column is an assessment titled by its
+// header. Blank cells are skipped.
+const validateGradebookRows = (rows, subjects, records) => {
+  const [header, ...dataRows] = rows;
+  const nameIndex = (header || []).findIndex(cell => normalizeName(cell) === 'student name');
+  const subjectIndex = (header || []).findIndex(cell => normalizeName(cell) === 'subject');
+  if (nameIndex === -1 || subjectIndex === -1) {
+    return { error: 'The file needs "Student Name" and "Subject" columns.', columns: [], rows: [] };
+  }
+
+  const columns = header
+    .map((title, index) => ({ title: title.trim(), index }))
+    .filter(column => column.index !== nameIndex && column.index !== subjectIndex && column.title);
+  const seenPairs = new Set();
+
+  return {
+    error: null,
+    columns,
+    rows: dataRows.map((cells, index) => {
+      const studentName = (cells[nameIndex] || '').trim();
+      const subjectName = (cells[subjectIndex] || '').trim();
+      const errors = [];
+
+      const matches = records.filter(record => normalizeName(record.studentName) === normalizeName(studentName));
+      if (matches.length === 0) errors.push('Unknown student');
+      if (matches.length > 1) errors.push('Duplicate name: more than one student matches');
+
+      const subject = subjects.find(s => normalizeName(s.name) === normalizeName(subjectName));
+      if (!subject) errors.push('Unknown subject');
+
+      const pairKey = `${normalizeName(studentName)}|${normalizeName(subjectName)}`;
+      if (seenPairs.has(pairKey)) errors.push('Duplicate name: student and subject repeated in file');
+      seenPairs.add(pairKey);
+
+      const scores = columns.map(column => {
+        const raw = (cells[column.index] || '').trim();
+        if (raw === '') return null;
+        const score = parseFloat(raw);
+        if (isNaN(score) || !/^-?\d*\.?\d+$/.test(raw)) {
+          errors.push(`Non-numeric grade for ${column.title}: "${raw}"`);
+          return null;
+        }
+        if (score < 0) {
+          errors.push(`Negative grade for ${column.title}: "${raw}"`);
+          return null;
+        }
+        return score;
+      });
+
+      return {
+        line: index + 2,
+        studentName,
+        subjectName: subject?.name || subjectName,
+        recordId: matches.length === 1 ? matches[0].id : null,
+        scores,
+        errors,
+      };
+    }),
+  };
+};
+
+// Today's date as a YYYY-MM-DD string in the user's local time zone
+const getTodayString = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+// Empty state for the grade entry form
+const createEmptyGradeData = () => ({
+  subject: '',
+  title: '',
+  category: 'homework',
+  date: getTodayString(),
+  maxPoints: '100',
+  score: '',
+  missing: false,
+});
+
+// Get the normalized assessments stored for one subject on a student record
+const getAssessments = (grades, subjectName) => (grades?.[subjectName] || []).map(normalizeAssessment);
+
+// Percentage earned on a single assessment
+const getAssessmentPercent = (assessment) => (
+  assessment.maxPoints > 0 ? (assessment.score / assessment.maxPoints) * 100 : 0
+);
+
+// Whether an assessment was marked as missing work rather than scored
+const isMissingAssessment = (assessment) => assessment.missing === true || assessment.score === null;
+
+// Mean of a list of numbers, or null when the list is empty
+const getMean = (values) => (
+  values.length > 0 ? values.reduce((acc, curr) => acc + curr, 0) / values.length : null
+);
+
+// Middle value of a list of numbers, or null when the list is empty
+const getMedian = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Population standard deviation of a list of numbers, or null when the list is empty
+const getStandardDeviation = (values) => {
+  const mean = getMean(values);
+  if (mean === null) return null;
+  return Math.sqrt(getMean(values.map(value => (value - mean) ** 2)));
+};
+
+// Subject average as a percentage, or null when there is nothing to average
+const getSubjectPercent = (grades, policy) => (
+  grades && grades.length > 0 ? computeWeightedAverage(grades.map(normalizeAssessment), policy) : null
+);
+
+// Per-subject percentage and credit hours for every graded subject on a record
+const getSubjectResults = (grades, subjects) => Object.keys(grades || {}).map(subjectName => ({
+  subject: subjectName,
+  percent: getSubjectPercent(grades[subjectName], getSubjectPolicy(subjects, subjectName)),
+  credits: getSubjectCredits(subjects, subjectName),
+}));
+
+// Credit-weighted GPA over a list of subject results, or null if none have an average yet.
+// Results archived with a term keep the grade points they were given at the time.
+const computeGpa = (results, scale) => {
+  const graded = results
+    .map(result => ({
+      ...result,
+      grade: result.points !== undefined ? { points: result.points } : getLetterGrade(result.percent, scale),
+    }))
+    .filter(result => result.grade);
+  const totalCredits = graded.reduce((acc, result) => acc + result.credits, 0);
+  if (totalCredits === 0) return null;
+  return graded.reduce((acc, result) => acc + result.grade.points * result.credits, 0) / totalCredits;
+};
+
+// Order terms from oldest to newest by start date
+const compareTerms = (a, b) => (a.startDate || '').localeCompare(b.startDate || '');
+
+// Pick the term to show first: the newest open term, otherwise the newest term
+const getDefaultTermId = (terms) => {
+  const openTerms = terms.filter(term => term.status !== 'archived');
+  const candidates = openTerms.length > 0 ? openTerms : terms;
+  return candidates.length > 0 ? candidates[candidates.length - 1].id : '';
+};
+
+// Whether a subject is offered in a term. Subjects created before terms existed are offered in every term.
+const isSubjectOfferedInTerm = (subject, termId) => (
+  !termId || !subject.termIds || subject.termIds.length === 0 || subject.termIds.includes(termId)
+);
+
+// Keep only the grade entries that belong to a term, dropping subjects left without any.
+// Entries recorded before terms existed have no termId and belong to the "no term" view.
+// Entries are normalized first so older entries keep the id given by their stored position.
+const filterGradesByTerm = (grades, termId) => {
+  const filtered = {};
+  Object.keys(grades || {}).forEach(subjectName => {
+    const entries = grades[subjectName].map(normalizeAssessment).filter(entry => (
+      (entry.termId || null) === (termId || null)
+    ));
+    if (entries.length > 0) filtered[subjectName] = entries;
+  });
+  return filtered;
+};
+
+// Order of two records by their average in a subject for a term, highest first when descending.
+// Students without an average in the subject come last either way.
+const compareBySubjectAverage = (subject, termId, descending) => (a, b) => {
+  const percentOf = (record) => getSubjectPercent(filterGradesByTerm(record.grades, termId)[subject.name], subject.gradingPolicy);
+  const percentA = percentOf(a);
+  const percentB = percentOf(b);
+  if (percentA === null || percentB === null) return (percentA === null) - (percentB === null);
+  return descending ? percentB - percentA : percentA - percentB;
+};
+
+// Final subject results for one term: the archived snapshot if the term is closed, otherwise live averages
+const getTermResults = (record, termId, subjects) => {
+  const archived = termId && record.transcript?.[termId];
+  if (archived) {
+    return Object.keys(archived.subjects || {}).map(subjectName => ({
+      subject: subjectName,
+      ...archived.subjects[subjectName],
+    }));
+  }
+  return getSubjectResults(filterGradesByTerm(record.grades, termId), subjects);
+};
+
+// Results for every term on a record, plus any grades recorded before terms existed
+const getAllTermResults = (record, terms, subjects) => [
+  ...getSubjectResults(filterGradesByTerm(record.grades, null), subjects),
+  ...terms.flatMap(term => getTermResults(record, term.id, subjects)),
+];
+
+// Points for a subject's progress chart in the order the work was given: each assessment's
+// percentage (null when missing), the subject average up to and including it, and its class average
+const getProgressSeries = (assessments, policy, getClassPercent) => {
+  const ordered = assessments
+    .map((assessment, index) => ({ assessment, index }))
+    .sort((a, b) => (a.assessment.date || '').localeCompare(b.assessment.date || '') || a.index - b.index)
+    .map(({ assessment }) => assessment);
+  return ordered.map((assessment, index) => ({
+    assessment,
+    percent: isMissingAssessment(assessment) ? null : getAssessmentPercent(assessment),
+    running: computeWeightedAverage(ordered.slice(0, index + 1), policy),
+    classAverage: getClassPercent(assessment),
+  }));
+};
+
+// Compute a subject average (as a percentage) from its assessments and grading policy.
+// Each category is averaged on its own after dropping its lowest scores, then the category
+// averages are combined by weight. Categories without a weight are left out, unless no
+// weighted category has any work yet, in which case every assessment counts equally.
+// Grades without a category, such as plain numbers recorded before categories existed, are
+// kept as a category of their own, weighted as the mean of the weighted categories.
+const computeWeightedAverage = (assessments, policy) => {
+  const { weights, dropLowest, missingWork } = normalizeGradingPolicy(policy);
+
+  // Group percentages by category, applying the missing work rule
+  const byCategory = {};
+  assessments.forEach(assessment => {
+    if (isMissingAssessment(assessment) && missingWork !== 'zero') return;
+    const percent = isMissingAssessment(assessment) ? 0 : getAssessmentPercent(assessment);
+    const category = assessment.category || 'uncategorized';
+    byCategory[category] = [...(byCategory[category] || []), percent];
+  });
+
+  // Drop the lowest scores in each category, always keeping at least one
+  const kept = {};
+  Object.keys(byCategory).forEach(category => {
+    const sorted = [...byCategory[category]].sort((a, b) => a - b);
+    const dropCount = Math.min(Number(dropLowest[category]) || 0, sorted.length - 1);
+    kept[category] = sorted.slice(Math.max(dropCount, 0));
+  });
+
+  const categoryWeights = {};
+  Object.keys(kept)
+    .filter(category => Number(weights[category]) > 0)
+    .forEach(category => {
+      categoryWeights[category] = Number(weights[category]);
+    });
+  if (Object.keys(categoryWeights).length === 0) {
+    return getMean(Object.values(kept).flat());
+  }
+  if (kept.uncategorized && !categoryWeights.uncategorized) {
+    categoryWeights.uncategorized = getMean(Object.values(categoryWeights));
+  }
+
+  const categories = Object.keys(categoryWeights);
+  const totalWeight = categories.reduce((acc, category) => acc + categoryWeights[category], 0);
+  return categories.reduce(
+    (acc, category) => acc + getMean(kept[category]) * categoryWeights[category],
+    0
+  ) / totalWeight;
+};
 
 // Define the core App component
 const App = () => {
@@ -12,20 +688,52 @@ const App = () => {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
-  const [userRole, setUserRole] = useState('teacher'); // Default role for demo
-  const [studentRecords, setStudentRecords] = useState([]);
+  const [userRole, setUserRole] = useState(null); // Loaded from the user's document
+  const [users, setUsers] = useState([]); // Only loaded for administrators
+  const [auditEntries, setAuditEntries] = useState([]); // Only loaded for administrators
+  const [inviteCodes, setInviteCodes] = useState([]); // Only loaded for teachers and administrators
+  const [sections, setSections] = useState([]); // Only loaded for teachers and administrators
+  const [liveRecords, setLiveRecords] = useState([]); // Records of the students the user works with
+  const [openedRecord, setOpenedRecord] = useState(null); // Only loaded for administrators: the student page's record
+  const [accountLinks, setAccountLinks] = useState({}); // Only loaded for administrators: record linked to each student account
+  const [recordsPage, setRecordsPage] = useState({ records: [], hasNextPage: false, lastDoc: null, isLoading: true }); // Only loaded for administrators: the records table's current page
+  const [recordsPageStarts, setRecordsPageStarts] = useState([null]); // Last record before each records table page visited
+  const [recordsSearch, setRecordsSearch] = useState(''); // Start of the student names the records table shows
+  const [recordsSort, setRecordsSort] = useState(null); // { subjectId, descending } the teacher's records table is sorted by, or null for name order
   const [subjects, setSubjects] = useState([]);
+  const [gradingScale, setGradingScale] = useState(DEFAULT_GRADING_SCALE);
+  const [classAverages, setClassAverages] = useState({}); // Published class averages keyed by term and subject
+  const [schoolProfile, setSchoolProfile] = useState(DEFAULT_SCHOOL_PROFILE);
+  const [terms, setTerms] = useState([]);
+  const [activeTermId, setActiveTermId] = useState(null); // null until a term has been chosen
   const [isLoading, setIsLoading] = useState(true);
   const [selectedStudentId, setSelectedStudentId] = useState('');
   const [newStudentName, setNewStudentName] = useState('');
   const [newSubjectName, setNewSubjectName] = useState('');
-  const [gradeData, setGradeData] = useState({ subject: '', grade: '' });
+  const [gradeData, setGradeData] = useState(createEmptyGradeData);
   const [showNotification, setShowNotification] = useState({ visible: false, message: '' });
+  const [notifications, setNotifications] = useState([]); // Only loaded for students and parents
+  const [notificationPreferences, setNotificationPreferences] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
+  const [threads, setThreads] = useState([]); // Message threads the user takes part in
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [draftThread, setDraftThread] = useState(null); // A thread opened but not yet started with a first message
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [pendingWrites, setPendingWrites] = useState([]); // Writes sent this session that the server has not confirmed
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isUsingCache, setIsUsingCache] = useState(false); // Records were last loaded from the offline cache
 
   // Use the provided global variables for Firebase configuration
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
   const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
   const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+  // Demo mode shows the role switcher, which changes only this browser's view. New accounts still
+  // start as pending, and the security rules decide what each account can read.
+  const isDemoMode = typeof __demo_mode !== 'undefined' ? Boolean(__demo_mode) : false;
+  // Host of the local Auth and Firestore emulators (see firebase.json), for local development and tests
+  const emulatorHost = typeof __firebase_emulator_host !== 'undefined' ? __firebase_emulator_host : null;
+
+  // Repositories for records, subjects and users, once Firestore is ready
+  const repositories = useMemo(() => (db ? createRepositories(db, appId) : null), [db, appId]);
 
   // Function to show a temporary notification message
   const showTempNotification = (message) => {
@@ -35,6 +743,47 @@ const App = () => {
     }, 3000);
   };
 
+  // Effect to follow the browser's connection status
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Run a write without waiting for the server. Firestore applies it locally straight away and
+  // sends it when it can; the write stays in the pending queue until the server confirms it, and
+  // is kept there as failed if the server rejects it so it can be retried.
+  const trackWrite = (label, recordIds, run) => {
+    const id = crypto.randomUUID();
+    setPendingWrites(writes => [...writes, { id, label, recordIds, run, status: 'pending', error: null }]);
+    run()
+      .then(() => setPendingWrites(writes => writes.filter(write => write.id !== id)))
+      .catch((e) => {
+        console.error(`Error syncing "${label}":`, e);
+        setPendingWrites(writes => writes.map(write => (
+          write.id === id ? { ...write, status: 'failed', error: e.code || e.message } : write
+        )));
+      });
+  };
+
+  // Send a failed write again. Each run builds its batches anew and skips what already reached
+  // the server; grades are added with arrayUnion, so a retry never duplicates them.
+  const handleRetryWrite = (writeId) => {
+    const write = pendingWrites.find(w => w.id === writeId);
+    if (!write) return;
+    setPendingWrites(writes => writes.filter(w => w.id !== writeId));
+    trackWrite(write.label, write.recordIds, write.run);
+  };
+
+  const handleDismissWrite = (writeId) => {
+    setPendingWrites(writes => writes.filter(w => w.id !== writeId));
+  };
+
   // Effect to initialize Firebase and set up the auth listener
   useEffect(() => {
     // Only run this effect once
@@ -44,8 +793,16 @@ const App = () => {
     try {
       // Initialize Firebase app
       const app = initializeApp(firebaseConfig);
-      const firestoreDb = getFirestore(app);
+      // Cache data and queue writes in IndexedDB so grades can be entered without a connection.
+      // Queued writes survive a reload and are sent once the connection returns.
+      const firestoreDb = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
       const firebaseAuth = getAuth(app);
+      if (emulatorHost) {
+        connectFirestoreEmulator(firestoreDb, emulatorHost, FIRESTORE_EMULATOR_PORT);
+        connectAuthEmulator(firebaseAuth, `http://${emulatorHost}:${AUTH_EMULATOR_PORT}`, { disableWarnings: true });
+      }
       setDb(firestoreDb);
       setAuth(firebaseAuth);
 
@@ -54,17 +811,19 @@ const App = () => {
         if (user) {
           setUserId(user.uid);
           // Set up a listener for user data to determine role
-          const userDocRef = doc(firestoreDb, `/artifacts/${appId}/public/data/users/${user.uid}`);
-          onSnapshot(userDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-              const userData = docSnap.data();
-              setUserRole(userData.role);
-              showTempNotification(`Signed in as a ${userData.role}.`);
+          const usersRepository = createUsersRepository(firestoreDb, appId);
+          usersRepository.subscribeToProfile(user.uid, (profile) => {
+            if (profile) {
+              setUserRole(profile.role);
+              showTempNotification(`Signed in as a ${profile.role}.`);
             } else {
-              // Create a default user doc if it doesn't exist (for demo purposes)
-              const defaultRole = 'teacher'; // Set a default role
-              setDoc(userDocRef, { role: defaultRole, uid: user.uid });
-              setUserRole(defaultRole);
+              // Create the user doc on first sign-in. The account has no access until an
+              // administrator assigns it a role; demo mode's role switcher only changes the local view.
+              usersRepository.createProfile(user, 'pending').catch((e) => {
+                console.error("Error creating user profile:", e);
+                showTempNotification("Failed to set up your account. Please reload the page.");
+              });
+              setUserRole('pending');
             }
           });
         } else {
@@ -93,29 +852,308 @@ const App = () => {
 
   // Effect to fetch initial data based on user role and auth state
   useEffect(() => {
-    if (!db || !userId) return;
+    if (!db || !userId || !userRole) return;
+
+    // Accounts without a role cannot read any school data
+    if (userRole === 'pending') {
+      setIsLoading(false);
+      return;
+    }
 
     // Set up real-time listener for subjects
-    const subjectsQuery = collection(db, `/artifacts/${appId}/public/data/subjects`);
-    const unsubscribeSubjects = onSnapshot(subjectsQuery, (snapshot) => {
-      const subjectsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const unsubscribeSubjects = repositories.subjects.subscribe((subjectsData) => {
       setSubjects(subjectsData);
       setIsLoading(false);
     });
 
-    // Set up real-time listener for student records
-    const recordsQuery = collection(db, `/artifacts/${appId}/public/data/records`);
-    const unsubscribeRecords = onSnapshot(recordsQuery, (snapshot) => {
-      const recordsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setStudentRecords(recordsData);
-      setIsLoading(false);
+    // Set up real-time listener for academic terms
+    const unsubscribeTerms = repositories.terms.subscribe((termsData) => {
+      setTerms([...termsData].sort(compareTerms));
+    });
+
+    // Set up real-time listener for the school's grading scale
+    const unsubscribeGradingScale = repositories.settings.subscribeToGradingScale((ranges) => {
+      setGradingScale(ranges && ranges.length > 0 ? ranges : DEFAULT_GRADING_SCALE);
+    });
+
+    // Set up real-time listener for the published per-assessment class averages
+    const unsubscribeClassAverages = repositories.classAverages.subscribePublished(setClassAverages);
+
+    // Set up real-time listener for the school details printed on report cards
+    const unsubscribeSchoolProfile = repositories.settings.subscribeToSchoolProfile((profile) => {
+      setSchoolProfile({ ...DEFAULT_SCHOOL_PROFILE, ...profile });
     });
 
     return () => {
       unsubscribeSubjects();
-      unsubscribeRecords();
+      unsubscribeTerms();
+      unsubscribeGradingScale();
+      unsubscribeSchoolProfile();
+      unsubscribeClassAverages();
+    };
+  }, [db, repositories, userId, userRole, appId]);
+
+  // Effect to load every user account, and the record each student account is linked to, for administrators
+  useEffect(() => {
+    if (!db || userRole !== 'admin') return;
+
+    const unsubscribeUsers = repositories.users.subscribeToAll(setUsers);
+    const unsubscribeAccountLinks = repositories.records.subscribeToAccountLinks(setAccountLinks);
+
+    return () => {
+      unsubscribeUsers();
+      unsubscribeAccountLinks();
+    };
+  }, [db, repositories, userRole]);
+
+  // Effect to load the most recent audit log entries for administrators
+  useEffect(() => {
+    if (!db || userRole !== 'admin') return;
+
+    const unsubscribeAudit = repositories.auditLog.subscribeToRecent(AUDIT_LOG_LIMIT, setAuditEntries);
+
+    return () => unsubscribeAudit();
+  }, [db, repositories, userRole]);
+
+  // Effect to load the message threads the user takes part in
+  useEffect(() => {
+    if (!db || !userId || !userRole || userRole === 'pending') return;
+
+    const unsubscribeThreads = repositories.threads.subscribeForParticipant(userId, setThreads);
+
+    return () => unsubscribeThreads();
+  }, [db, repositories, userId, userRole]);
+
+  // Effect to stream the messages of the open thread once it has been started
+  const isActiveThreadStarted = threads.some(thread => thread.id === activeThreadId);
+  useEffect(() => {
+    setThreadMessages([]);
+    if (!db || !activeThreadId || !isActiveThreadStarted) return;
+
+    const unsubscribeMessages = repositories.threads.subscribeToMessages(activeThreadId, setThreadMessages);
+
+    return () => unsubscribeMessages();
+  }, [db, repositories, activeThreadId, isActiveThreadStarted]);
+
+  // Effect to load notifications and alert preferences for students and parents
+  useEffect(() => {
+    if (!db || !userId || (userRole !== 'student' && userRole !== 'parent')) return;
+
+    const unsubscribeNotifications = repositories.notifications.subscribeToRecent(userId, NOTIFICATION_LIMIT, setNotifications);
+    const unsubscribePreferences = repositories.notifications.subscribeToPreferences(userId, (preferences) => {
+      setNotificationPreferences(normalizeNotificationPreferences(preferences));
+    });
+
+    return () => {
+      unsubscribeNotifications();
+      unsubscribePreferences();
+    };
+  }, [db, repositories, userId, userRole]);
+
+  // Effect to load the invite codes that have not been redeemed yet for teachers and administrators
+  useEffect(() => {
+    if (!db || (userRole !== 'teacher' && userRole !== 'admin')) return;
+
+    const unsubscribeInvites = repositories.inviteCodes.subscribeToUnredeemed(setInviteCodes);
+
+    return () => unsubscribeInvites();
+  }, [db, repositories, userRole]);
+
+  // Effect to load class sections for teachers and administrators
+  useEffect(() => {
+    if (!db || (userRole !== 'teacher' && userRole !== 'admin')) return;
+
+    const unsubscribeSections = repositories.sections.subscribe(setSections);
+
+    return () => unsubscribeSections();
+  }, [db, repositories, userRole]);
+
+  // Effect to choose the initial term once terms have loaded
+  useEffect(() => {
+    if (activeTermId !== null || terms.length === 0) return;
+    setActiveTermId(getDefaultTermId(terms));
+  }, [terms, activeTermId]);
+
+  // The term currently being viewed; grades in archived terms are read-only
+  const activeTerm = terms.find(term => term.id === activeTermId) || null;
+  const isActiveTermArchived = activeTerm?.status === 'archived';
+
+  const termSections = sections.filter(section => (section.termId || null) === (activeTermId || null));
+
+  // Administrators follow the students in every section of the active term rather than every
+  // record in the school. A student opened from the records table outside those sections is
+  // followed on its own, and actions on the whole school read every record when they run.
+  const adminSectionKey = userRole === 'admin' ? termSections.map(section => section.id).join(',') : null;
+  const studentPageMatch = useMatch(`${getHomePath(userRole)}/${STUDENT_PAGE_PATH}`);
+  const openedRecordId = studentPageMatch?.params.recordId || null;
+
+  // Effect to listen to the student records this user works with
+  useEffect(() => {
+    if (!db || !userId || !userRole || userRole === 'pending') return;
+
+    const unsubscribeRecords = repositories.records.subscribe({
+      role: userRole,
+      userId,
+      sectionIds: adminSectionKey ? adminSectionKey.split(',') : [],
+    }, (recordsData, { fromCache }) => {
+      setLiveRecords(recordsData);
+      setIsUsingCache(fromCache);
+      setIsLoading(false);
+    });
+
+    return () => unsubscribeRecords();
+  }, [db, repositories, userId, userRole, adminSectionKey]);
+
+  // Effect to listen to the record on the student page an administrator has open
+  useEffect(() => {
+    setOpenedRecord(null);
+    if (!db || userRole !== 'admin' || !openedRecordId) return;
+
+    const unsubscribeRecord = repositories.records.subscribeToRecord(openedRecordId, setOpenedRecord);
+
+    return () => unsubscribeRecord();
+  }, [db, repositories, userRole, openedRecordId]);
+
+  const studentRecords = useMemo(() => (
+    openedRecord && !liveRecords.some(record => record.id === openedRecord.id)
+      ? [...liveRecords, openedRecord]
+      : liveRecords
+  ), [liveRecords, openedRecord]);
+
+  // Teachers work only with their own sections in the active term, and the students and
+  // subjects in them, along with students they added who are not in any section yet.
+  // Administrators see every section and subject, and every section's students.
+  const termSubjects = subjects.filter(subject => isSubjectOfferedInTerm(subject, activeTermId));
+  const visibleSections = userRole === 'admin'
+    ? termSections
+    : termSections.filter(section => section.teacherId === userId);
+  const visibleSubjects = userRole === 'admin'
+    ? termSubjects
+    : termSubjects.filter(subject => visibleSections.some(section => section.subjectId === subject.id));
+  const isOwnUnenrolledRecord = (record) => record.createdBy === userId && (record.sectionIds || []).length === 0;
+  const visibleRecords = userRole === 'admin'
+    ? studentRecords
+    : studentRecords.filter(record => (
+      isOwnUnenrolledRecord(record) || visibleSections.some(section => (section.studentIds || []).includes(record.id))
+    ));
+
+  // The records table pages through every record for administrators, reading each page from
+  // the server in name order. Teachers may read only their own students' records and already
+  // follow them, so their table pages through those in memory, sorted by a subject's average if chosen.
+  const tableSectionKey = userRole === 'admin' ? null : visibleSections.map(section => section.id).join(',');
+  const recordsPageStart = recordsPageStarts[recordsPageStarts.length - 1];
+  const recordsSortSubject = userRole !== 'admin' && recordsSort && subjects.find(subject => subject.id === recordsSort.subjectId);
+  const tablePage = userRole === 'admin'
+    ? recordsPage
+    : {
+      ...getRecordsPage(visibleRecords, {
+        search: recordsSearch,
+        after: recordsPageStart,
+        pageSize: RECORDS_PAGE_SIZE,
+        compare: recordsSortSubject ? compareBySubjectAverage(recordsSortSubject, activeTermId, recordsSort.descending) : null,
+      }),
+      isLoading,
     };
-  }, [db, userId, appId]);
+
+  // Effect to go back to the first page of the records table when its sections change
+  useEffect(() => {
+    setRecordsPageStarts([null]);
+  }, [tableSectionKey]);
+
+  // Effect to load the current page of the records table for administrators
+  useEffect(() => {
+    if (!db || userRole !== 'admin') return;
+
+    setRecordsPage(page => ({ ...page, isLoading: true }));
+    const unsubscribePage = repositories.records.subscribeToPage({
+      search: recordsSearch,
+      after: recordsPageStart,
+      pageSize: RECORDS_PAGE_SIZE,
+    }, (page) => setRecordsPage({ ...page, isLoading: false }));
+
+    return () => unsubscribePage();
+  }, [db, repositories, userRole, recordsSearch, recordsPageStart]);
+
+  // Effect to save the name key of records written before the records table sorted by it, so
+  // they appear in the table. Each record is tried once per session.
+  const nameKeyBackfillRef = useRef(new Set());
+  useEffect(() => {
+    if (!db || (userRole !== 'teacher' && userRole !== 'admin')) return;
+
+    const missing = studentRecords.filter(record => (
+      record.studentName && record.studentNameKey === undefined && !nameKeyBackfillRef.current.has(record.id)
+    ));
+    if (missing.length === 0) return;
+    missing.forEach(record => nameKeyBackfillRef.current.add(record.id));
+    repositories.batches.commitInChunks(missing.map(record => batch => batch.update(repositories.records.ref(record.id), {
+      studentNameKey: getStudentNameKey(record.studentName),
+    }))).catch(e => console.error("Error saving student name keys:", e));
+  }, [db, repositories, userRole, studentRecords]);
+
+  // Handlers for searching and paging through the records table
+  const handleSearchRecords = (search) => {
+    setRecordsSearch(search.trim());
+    setRecordsPageStarts([null]);
+  };
+  const handleNextRecordsPage = () => {
+    if (!tablePage.hasNextPage) return;
+    setRecordsPageStarts(starts => [...starts, tablePage.lastDoc]);
+  };
+  const handlePreviousRecordsPage = () => {
+    setRecordsPageStarts(starts => (starts.length > 1 ? starts.slice(0, -1) : starts));
+  };
+  const handleSortRecords = (sort) => {
+    setRecordsSort(sort);
+    setRecordsPageStarts([null]);
+  };
+
+  // The record a staff action is about. Administrators follow only the students of the active
+  // sections, so a student from another page of the records table is taken from that page or
+  // read from the server. Resolves to null if there is no such record.
+  const findRecord = async (recordId) => (
+    studentRecords.find(record => record.id === recordId)
+    || tablePage.records.find(record => record.id === recordId)
+    || (userRole === 'admin' ? repositories.records.get(recordId) : null)
+  );
+
+  // Every record the records table pages through: the whole school for administrators, read
+  // from the server when needed, and the teacher's own students otherwise
+  const getTableRecords = async () => (userRole === 'admin' ? repositories.records.getAll() : visibleRecords);
+
+  // Handler for downloading the records table as CSV, every page of it
+  const handleExportRecords = async () => {
+    try {
+      exportRecordsCsv(await getTableRecords(), visibleSubjects, terms.find(term => term.id === activeTermId), gradingScale);
+    } catch (e) {
+      console.error("Error exporting student records:", e);
+      showTempNotification("Failed to export the student records. Please try again.");
+    }
+  };
+
+  // Staff look up students by name to enroll them in a section. Administrators search the whole
+  // school; teachers may read only their own students' records, so they search those.
+  const handleSearchStudents = async (search) => {
+    if (userRole === 'admin') return repositories.records.searchByName(search, STUDENT_SEARCH_LIMIT);
+    return getRecordsPage(studentRecords, { search, after: null, pageSize: STUDENT_SEARCH_LIMIT }).records;
+  };
+
+  // Records that may be the same student as the profile: anywhere in the school for
+  // administrators, and among their own students' records for teachers
+  const findDuplicateRecords = async (profile, excludeRecordId = null) => {
+    if (userRole === 'admin') return repositories.records.findDuplicates(profile, excludeRecordId);
+    return findDuplicateStudents(profile, studentRecords.filter(record => record.id !== excludeRecordId));
+  };
+
+  // Students offered in the grade entry form: enrolled students in a visible section of the
+  // chosen subject, and those the user added who are not in a section yet. Withdrawn and
+  // transferred students keep their grades but get no new ones.
+  const gradeSubjectSections = visibleSections.filter(section => section.subjectName === gradeData.subject);
+  const enrolledRecords = visibleRecords.filter(record => getEnrollmentStatus(record) === 'enrolled');
+  const gradeEntryStudents = gradeSubjectSections.length === 0
+    ? enrolledRecords
+    : enrolledRecords.filter(record => (
+      isOwnUnenrolledRecord(record) || gradeSubjectSections.some(section => (section.studentIds || []).includes(record.id))
+    ));
 
   // Handler for adding a new student
   const handleAddStudent = async (e) => {
@@ -123,61 +1161,203 @@ const App = () => {
     if (!newStudentName.trim() || !db) return;
 
     try {
-      const studentId = crypto.randomUUID(); // Generate a unique ID
-      const newStudentRef = doc(db, `/artifacts/${appId}/public/data/records/${studentId}`);
-      await setDoc(newStudentRef, {
-        studentId,
-        studentName: newStudentName,
-        grades: {}, // Initialize with an empty grades object
-        createdBy: userId, // Track who created the record
-      });
+      // Warn before adding a student the school may already have a record for
+      const duplicates = await findDuplicateRecords(createEmptyStudentProfile(newStudentName));
+      if (duplicates.length > 0 && !window.confirm(
+        `A student named ${duplicates.map(({ record }) => record.studentName).join(', ')} already exists. Add ${newStudentName.trim()} anyway?`
+      )) return;
+      await repositories.records.create({ studentName: newStudentName, createdBy: userId });
       setNewStudentName('');
-      showTempNotification(`Added new student: ${newStudentName}`);
+      showTempNotification(`Added new student: ${newStudentName.trim()}`);
     } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return;
+      }
       console.error("Error adding student:", e);
       showTempNotification("Failed to add student. Please try again.");
     }
   };
 
-  // Handler for adding a new subject
-  const handleAddSubject = async (e) => {
-    e.preventDefault();
-    if (!newSubjectName.trim() || !db) return;
+  // Handler for importing validated roster rows, optionally enrolling the students in a section
+  const handleImportRoster = async (rows, sectionId) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!db || rows.length === 0) return false;
+
     try {
-      const subjectDocRef = doc(db, `/artifacts/${appId}/public/data/subjects/${newSubjectName.toLowerCase().replace(/\s/g, '-')}`);
-      await setDoc(subjectDocRef, { name: newSubjectName });
-      setNewSubjectName('');
-      showTempNotification(`Added new subject: ${newSubjectName}`);
+      const newRecords = rows.map(row => repositories.records.build({ studentName: row.studentName, createdBy: userId, section }));
+      const studentIds = newRecords.map(record => record.ref.id);
+      const writes = newRecords.map(record => batch => batch.set(record.ref, record.data));
+      if (section) {
+        const sectionRef = repositories.sections.ref(section.id);
+        writes.push(batch => batch.update(sectionRef, repositories.sections.buildAddStudentsUpdate(studentIds)));
+      }
+      await repositories.batches.commitInChunks(writes);
+      showTempNotification(`Imported ${rows.length} students.`);
+      return true;
     } catch (e) {
-      console.error("Error adding subject:", e);
-      showTempNotification("Failed to add subject. Please try again.");
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error importing roster:", e);
+      showTempNotification("Failed to import students. Please try again.");
+      return false;
     }
   };
 
-  // Handler for adding a new grade
-  const handleAddGrade = async (e) => {
-    e.preventDefault();
-    if (!selectedStudentId || !gradeData.subject || !gradeData.grade || !db) return;
+  // Handler for importing validated gradebook rows. Every column becomes one assessment with
+  // the category, date and maximum points chosen for the import.
+  const handleImportGrades = async (rows, columns, { category, date, maxPoints }) => {
+    if (!db || rows.length === 0) return false;
+    if (isActiveTermArchived) {
+      showTempNotification(`${activeTerm.name} is archived and read-only.`);
+      return false;
+    }
 
-    const gradeValue = parseFloat(gradeData.grade);
-    if (isNaN(gradeValue)) {
-      showTempNotification("Invalid grade. Please enter a number.");
-      return;
+    try {
+      // Collect the new assessments per record and subject, then append them with arrayUnion so
+      // grades entered by other teachers meanwhile are kept
+      const assessmentsByRecord = {};
+      const contributions = [];
+      rows.forEach(row => {
+        const assessments = columns
+          .map((column, index) => ({ column, score: row.scores[index] }))
+          .filter(({ score }) => score !== null)
+          .map(({ column, score }) => ({
+            id: crypto.randomUUID(),
+            title: column.title,
+            category,
+            date,
+            maxPoints,
+            score,
+            missing: false,
+            termId: activeTermId || null,
+            teacherId: userId,
+          }));
+        if (assessments.length === 0) return;
+        assessments.forEach(assessment => contributions.push({ subject: row.subjectName, assessment, sign: 1 }));
+        const bySubject = assessmentsByRecord[row.recordId] || {};
+        bySubject[row.subjectName] = [...(bySubject[row.subjectName] || []), ...assessments];
+        assessmentsByRecord[row.recordId] = bySubject;
+      });
+
+      const writes = Object.keys(assessmentsByRecord).map(recordId => {
+        const update = repositories.records.buildAssessmentsUpdate(assessmentsByRecord[recordId], activeTermId);
+        return batch => batch.update(repositories.records.ref(recordId), update);
+      });
+      const averageChanges = getClassAverageChanges(activeTermId, contributions);
+      const commitImport = repositories.batches.createJob([...writes, ...averageChanges.map(change => change.write)]);
+      trackWrite(`Grade import for ${writes.length} students`, Object.keys(assessmentsByRecord), async () => {
+        await commitImport();
+        publishClassAverages(averageChanges);
+      });
+      Object.keys(assessmentsByRecord).forEach(recordId => {
+        const record = studentRecords.find(r => r.id === recordId);
+        if (!record) return;
+        notifyRecordFollowers(repositories.notifications, userId, record, Object.keys(assessmentsByRecord[recordId]).flatMap(subjectName => (
+          getNewGradeNotifications(
+            record, subjectName, assessmentsByRecord[recordId][subjectName], getSubjectPolicy(subjects, subjectName), activeTermId
+          )
+        )));
+      });
+      showTempNotification(`Imported grades for ${writes.length} students.`);
+      return true;
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error importing grades:", e);
+      showTempNotification("Failed to import grades. Please try again.");
+      return false;
     }
+  };
 
+  // Handler for adding a new subject
+  const handleAddSubject = async (e) => {
+    e.preventDefault();
+    if (!newSubjectName.trim() || !db) return;
     try {
-      const studentRef = doc(db, `/artifacts/${appId}/public/data/records/${selectedStudentId}`);
-      const studentDoc = studentRecords.find(s => s.studentId === selectedStudentId);
+      const subjectName = await repositories.subjects.add(newSubjectName, activeTermId);
+      setNewSubjectName('');
+      showTempNotification(`Added new subject: ${subjectName}`);
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return;
+      }
+      console.error("Error adding subject:", e);
+      showTempNotification("Failed to add subject. Please try again.");
+    }
+  };
+
+  // Handler for adding a new grade
+  const handleAddGrade = async (e) => {
+    e.preventDefault();
+    if (!selectedStudentId || !gradeData.subject || (!gradeData.score && !gradeData.missing) || !db) return;
 
-      const existingGrades = studentDoc?.grades?.[gradeData.subject] || [];
-      const updatedGrades = [...existingGrades, gradeValue];
+    if (isActiveTermArchived) {
+      showTempNotification(`${activeTerm.name} is archived and read-only.`);
+      return;
+    }
 
-      // Use updateDoc to add the new grade to the specific subject array
-      await updateDoc(studentRef, {
-        [`grades.${gradeData.subject}`]: updatedGrades,
+    // Each grade is stored as an assessment record so it can be told apart from the others.
+    // Missing work is stored without a score so the subject's policy decides how it counts.
+    let assessment;
+    try {
+      assessment = validateAssessment({
+        id: crypto.randomUUID(),
+        title: gradeData.title,
+        category: gradeData.category,
+        date: gradeData.date,
+        maxPoints: parseFloat(gradeData.maxPoints),
+        score: gradeData.missing ? null : parseFloat(gradeData.score),
+        missing: gradeData.missing,
+        termId: activeTermId || null,
+        teacherId: userId,
       });
+    } catch (e) {
+      showTempNotification(e.message);
+      return;
+    }
+
+    const studentDoc = studentRecords.find(s => s.studentId === selectedStudentId);
+
+    // Another teacher may already have entered this assessment for the student
+    const duplicate = getAssessments(studentDoc?.grades, gradeData.subject).find(existing => (
+      getAssessmentGroupKey(existing) !== null
+      && getAssessmentGroupKey(existing) === getAssessmentGroupKey(assessment)
+    ));
+    if (duplicate && !window.confirm(
+      `${studentDoc.studentName} already has "${duplicate.title}" on ${duplicate.date} in ${gradeData.subject}. Add it again?`
+    )) {
+      return;
+    }
+
+    try {
+      // Append rather than rewrite the stored list, so grades added by another teacher at the
+      // same time are kept, and count the grade toward the class average. A committed batch
+      // cannot be sent again, so each attempt builds its own.
+      const recordUpdate = repositories.records.buildAssessmentsUpdate({ [gradeData.subject]: [assessment] }, activeTermId);
+      const averageChanges = getClassAverageChanges(activeTermId, [{ subject: gradeData.subject, assessment, sign: 1 }]);
+      const recordRef = repositories.records.ref(selectedStudentId);
+      trackWrite(
+        `${assessment.title} for ${studentDoc.studentName} in ${gradeData.subject}`,
+        [selectedStudentId],
+        async () => {
+          await repositories.batches.commit([
+            batch => batch.update(recordRef, recordUpdate),
+            ...averageChanges.map(change => change.write),
+          ]);
+          publishClassAverages(averageChanges);
+        }
+      );
+      notifyRecordFollowers(repositories.notifications, userId, studentDoc, getNewGradeNotifications(
+        studentDoc, gradeData.subject, [assessment], getSubjectPolicy(subjects, gradeData.subject), activeTermId
+      ));
 
-      setGradeData({ subject: '', grade: '' });
+      setGradeData(createEmptyGradeData());
       showTempNotification(`Added grade for ${studentDoc.studentName} in ${gradeData.subject}.`);
     } catch (e) {
       console.error("Error adding grade:", e);
@@ -185,16 +1365,933 @@ const App = () => {
     }
   };
 
-  // Function to calculate the average grade for a subject
-  const calculateAverage = (grades) => {
-    if (!grades || grades.length === 0) return 'N/A';
-    const sum = grades.reduce((acc, curr) => acc + curr, 0);
-    return (sum / grades.length).toFixed(2);
+  // Changes to the class average totals for grades of a term, each with a write taking a batch
+  // or transaction. Teachers name one of their sections of each subject for the security rules,
+  // so subjects they have no section in are left out.
+  const getClassAverageChanges = (termId, contributions) => {
+    const termKey = getTermKey(termId);
+    const totals = sumClassAverageContributions(contributions);
+    return Object.keys(totals).flatMap(subject => {
+      const section = sections.find(s => s.subjectName === subject && s.teacherId === userId);
+      if (userRole !== 'admin' && !section) return [];
+      const sectionId = userRole === 'admin' ? null : section.id;
+      const update = repositories.classAverages.buildIncrementUpdate(termKey, subject, totals[subject], sectionId);
+      const averageRef = repositories.classAverages.ref(termKey, subject);
+      return [{
+        termKey,
+        subject,
+        groupKeys: Object.keys(totals[subject]),
+        sectionId,
+        write: writer => writer.set(averageRef, update, { merge: true }),
+      }];
+    });
+  };
+
+  // Publish the averages students and parents see once the changed totals are saved. If this
+  // fails, the previous averages stay until the next grade in the subject.
+  const publishClassAverages = (averageChanges) => {
+    averageChanges.forEach(({ termKey, subject, groupKeys, sectionId }) => {
+      repositories.classAverages.publish(termKey, subject, groupKeys, sectionId)
+        .catch(e => console.error(`Error publishing class averages for ${subject}:`, e));
+    });
+  };
+
+  // Handler for correcting a recorded grade. The record is re-read in a transaction so a
+  // concurrent change to the same subject is not overwritten, and the audit entry is written with it.
+  // Transactions run on the server, so corrections are not queued while offline.
+  const handleUpdateGrade = async (recordId, subjectName, assessmentId, changes, reason) => {
+    if (!db || !reason.trim()) return false;
+    if (!isOnline) {
+      showTempNotification("Correcting a grade needs a connection. Please try again once you are online.");
+      return false;
+    }
+    if (isActiveTermArchived) {
+      showTempNotification(`${activeTerm.name} is archived and read-only.`);
+      return false;
+    }
+    try {
+      const { studentName, averageChanges } = await repositories.records.updateAssessment(
+        recordId, subjectName, assessmentId, changes, (transaction, { record: storedRecord, oldValue, newValue }) => {
+          const averageUpdates = getClassAverageChanges(oldValue.termId, [
+            { subject: subjectName, assessment: oldValue, sign: -1 },
+            { subject: subjectName, assessment: newValue, sign: 1 },
+          ]);
+          averageUpdates.forEach(change => change.write(transaction));
+          repositories.auditLog.write(transaction, {
+            entityType: 'grade',
+            action: 'update',
+            recordId,
+            studentName: storedRecord.studentName,
+            subject: subjectName,
+            oldValue,
+            newValue,
+            reason: reason.trim(),
+            changedBy: userId,
+          });
+          return { studentName: storedRecord.studentName, averageChanges: averageUpdates };
+        }
+      );
+      publishClassAverages(averageChanges);
+      const record = await findRecord(recordId);
+      if (record) {
+        notifyRecordFollowers(repositories.notifications, userId, record, getRecordEditedNotifications(
+          record, `A ${subjectName} grade for ${studentName} was corrected`, `Reason: ${reason.trim()}`, subjectName
+        ));
+      }
+      showTempNotification(`Updated grade for ${studentName} in ${subjectName}.`);
+      return true;
+    } catch (e) {
+      if (e.message === 'grade-not-found') {
+        showTempNotification("That grade no longer exists.");
+        return false;
+      }
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error updating grade:", e);
+      showTempNotification("Failed to update grade. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler for deleting a recorded grade, keeping a copy of it in the audit log
+  const handleDeleteGrade = async (recordId, subjectName, assessmentId, reason) => {
+    if (!db || !reason.trim()) return;
+    if (!isOnline) {
+      showTempNotification("Deleting a grade needs a connection. Please try again once you are online.");
+      return;
+    }
+    if (isActiveTermArchived) {
+      showTempNotification(`${activeTerm.name} is archived and read-only.`);
+      return;
+    }
+    try {
+      const { studentName, averageChanges } = await repositories.records.deleteAssessment(
+        recordId, subjectName, assessmentId, (transaction, { record: storedRecord, oldValue }) => {
+          const averageUpdates = getClassAverageChanges(oldValue.termId, [{ subject: subjectName, assessment: oldValue, sign: -1 }]);
+          averageUpdates.forEach(change => change.write(transaction));
+          repositories.auditLog.write(transaction, {
+            entityType: 'grade',
+            action: 'delete',
+            recordId,
+            studentName: storedRecord.studentName,
+            subject: subjectName,
+            oldValue,
+            reason: reason.trim(),
+            changedBy: userId,
+          });
+          return { studentName: storedRecord.studentName, averageChanges: averageUpdates };
+        }
+      );
+      publishClassAverages(averageChanges);
+      const record = await findRecord(recordId);
+      if (record) {
+        notifyRecordFollowers(repositories.notifications, userId, record, getRecordEditedNotifications(
+          record, `A ${subjectName} grade for ${studentName} was removed`, `Reason: ${reason.trim()}`, subjectName
+        ));
+      }
+      showTempNotification(`Deleted grade for ${studentName} in ${subjectName}.`);
+    } catch (e) {
+      if (e.message === 'grade-not-found') {
+        showTempNotification("That grade no longer exists.");
+        return;
+      }
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return;
+      }
+      console.error("Error deleting grade:", e);
+      showTempNotification("Failed to delete grade. Please try again.");
+    }
+  };
+
+  // Handler for correcting a student's name
+  const handleUpdateStudent = async (recordId, studentName, reason) => {
+    if (!db || !studentName.trim() || !reason.trim()) return false;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return false;
+      }
+      const nameUpdate = repositories.records.buildRenameUpdate(record, studentName);
+      const newName = nameUpdate.studentName;
+      await repositories.batches.commit([
+        batch => batch.update(repositories.records.ref(recordId), nameUpdate),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'student',
+          action: 'update',
+          recordId,
+          studentName: newName,
+          oldValue: record.studentName,
+          newValue: newName,
+          reason: reason.trim(),
+          changedBy: userId,
+        }),
+      ]);
+      notifyRecordFollowers(repositories.notifications, userId, record, getRecordEditedNotifications(
+        record, `${record.studentName}'s record was updated`, `The name on the record is now ${newName}.`
+      ));
+      showTempNotification(`Renamed ${record.studentName} to ${newName}.`);
+      return true;
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error updating student:", e);
+      showTempNotification("Failed to update student. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler for saving a student's profile. Another record with the same student number is
+  // refused, since the number identifies the student across the school.
+  const handleSaveStudentProfile = async (recordId, profile, reason) => {
+    if (!db || !reason.trim()) return false;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return false;
+      }
+      const profileUpdate = repositories.records.buildProfileUpdate(profile);
+      const duplicates = await findDuplicateRecords(profileUpdate.profile, recordId);
+      const sameNumber = duplicates.find(duplicate => duplicate.matchedOn === 'student number');
+      if (sameNumber) {
+        showTempNotification(`Student number ${profileUpdate.profile.studentNumber} already belongs to ${sameNumber.record.studentName}.`);
+        return false;
+      }
+      await repositories.batches.commit([
+        batch => batch.update(repositories.records.ref(recordId), profileUpdate),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'student',
+          action: 'update',
+          recordId,
+          studentName: profileUpdate.studentName,
+          oldValue: record.profile || { legalName: record.studentName },
+          newValue: profileUpdate.profile,
+          reason: reason.trim(),
+          changedBy: userId,
+        }),
+      ]);
+      showTempNotification(`Saved ${profileUpdate.studentName}'s profile.`);
+      return true;
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error saving student profile:", e);
+      showTempNotification("Failed to save the profile. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler for withdrawing, transferring or re-enrolling a student. The record, its grades
+  // and its sections are kept, and the change is added to the record's enrollment history.
+  const handleChangeEnrollment = async (recordId, change) => {
+    if (!db) return false;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return false;
+      }
+      const enrollmentUpdate = repositories.records.buildEnrollmentUpdate(record, change, userId);
+      await repositories.batches.commit([
+        batch => batch.update(repositories.records.ref(recordId), enrollmentUpdate),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'student',
+          action: 'update',
+          recordId,
+          studentName: record.studentName,
+          oldValue: { enrollmentStatus: getEnrollmentStatus(record) },
+          newValue: { enrollmentStatus: enrollmentUpdate.enrollmentStatus },
+          reason: change.reason.trim(),
+          changedBy: userId,
+        }),
+      ]);
+      showTempNotification(`${record.studentName} is now ${enrollmentUpdate.enrollmentStatus}.`);
+      return true;
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        showTempNotification(e.message);
+        return false;
+      }
+      console.error("Error changing enrollment:", e);
+      showTempNotification("Failed to change the enrollment status. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler for linking a student's login account to their record, so they can sign in and see it
+  const handleLinkStudentAccount = async (recordId, uid) => {
+    if (!db || !uid || userRole !== 'admin') return;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      if (accountLinks[uid]) {
+        const linkedName = (await findRecord(accountLinks[uid]))?.studentName || 'another student';
+        showTempNotification(`That account is already linked to ${linkedName}. Unlink it first.`);
+        return;
+      }
+      await repositories.records.linkAccount(recordId, uid, userId);
+      showTempNotification(`Linked the account to ${record.studentName}.`);
+    } catch (e) {
+      console.error("Error linking student account:", e);
+      showTempNotification("Failed to link the account. Please try again.");
+    }
+  };
+
+  // Handler for removing the link between a record and its student's login account
+  const handleUnlinkStudentAccount = async (recordId) => {
+    if (!db || userRole !== 'admin') return;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      if (!record.studentUid) return;
+      await repositories.records.unlinkAccount(record);
+      showTempNotification(`Unlinked ${record.studentName}'s account.`);
+    } catch (e) {
+      console.error("Error unlinking student account:", e);
+      showTempNotification("Failed to unlink the account. Please try again.");
+    }
+  };
+
+  // Handler for deleting a student record. The student is taken off the rosters this user
+  // manages and their unused invite codes are revoked; the audit entry keeps their grades.
+  const handleDeleteStudent = async (recordId, reason) => {
+    if (!db || !reason.trim()) return;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      const contributionsByTerm = getRecordContributionsByTerm(record, -1);
+      const averageChanges = Object.keys(contributionsByTerm).flatMap(termKey => (
+        getClassAverageChanges(termKey, contributionsByTerm[termKey])
+      ));
+      await repositories.batches.commit([
+        ...sections
+          .filter(section => (section.studentIds || []).includes(recordId))
+          .filter(section => userRole === 'admin' || section.teacherId === userId)
+          .map(section => batch => batch.update(
+            repositories.sections.ref(section.id), repositories.sections.buildRemoveStudentUpdate(recordId)
+          )),
+        ...inviteCodes
+          .filter(invite => invite.recordId === recordId)
+          .map(invite => batch => batch.delete(repositories.inviteCodes.ref(invite.code))),
+        // Only administrators can delete records linked to a student's account
+        ...(record.studentUid ? [batch => batch.delete(repositories.records.accountRef(record.studentUid))] : []),
+        batch => batch.delete(repositories.records.ref(recordId)),
+        ...averageChanges.map(change => change.write),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'student',
+          action: 'delete',
+          recordId,
+          studentName: record.studentName,
+          oldValue: { studentId: record.studentId, studentName: record.studentName, grades: record.grades || {} },
+          reason: reason.trim(),
+          changedBy: userId,
+        }),
+      ]);
+      publishClassAverages(averageChanges);
+      showTempNotification(`Deleted student ${record.studentName}.`);
+    } catch (e) {
+      console.error("Error deleting student:", e);
+      showTempNotification("Failed to delete student. Please try again.");
+    }
+  };
+
+  // Handler for renaming a subject. Grades are stored under the subject's name, so every
+  // record's grades and every section of the subject move to the new name with it.
+  // Archived transcripts keep the name the subject had when the term closed.
+  const handleUpdateSubject = async (subjectId, name, reason) => {
+    const subject = subjects.find(s => s.id === subjectId);
+    if (!db || !subject || !name.trim() || !reason.trim()) return false;
+    if (!isOnline) {
+      showTempNotification("Renaming a subject needs a connection. Please try again once you are online.");
+      return false;
+    }
+    let newName;
+    try {
+      newName = validateSubjectName(name);
+    } catch (e) {
+      showTempNotification(e.message);
+      return false;
+    }
+    if (newName === subject.name) return true;
+    if (subjects.some(s => s.id !== subjectId && normalizeName(s.name) === normalizeName(newName))) {
+      showTempNotification(`A subject named ${newName} already exists.`);
+      return false;
+    }
+    try {
+      const writes = [
+        batch => batch.update(repositories.subjects.ref(subjectId), { name: newName }),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'subject',
+          action: 'update',
+          subject: newName,
+          oldValue: subject.name,
+          newValue: newName,
+          reason: reason.trim(),
+          changedBy: userId,
+        }),
+      ];
+      sections
+        .filter(section => section.subjectId === subjectId)
+        .forEach(section => {
+          writes.push(batch => batch.update(repositories.sections.ref(section.id), {
+            subjectName: newName,
+          }));
+        });
+      (await repositories.classAverages.getAllTotals())
+        .filter(totals => totals.subject === subject.name)
+        .forEach(({ termKey, groups }) => {
+          writes.push(
+            ...repositories.classAverages.buildReplaceWrites(termKey, newName, groups),
+            ...repositories.classAverages.buildDeleteWrites(termKey, subject.name, Object.keys(groups))
+          );
+        });
+      await repositories.batches.commitInChunks(writes);
+
+      // Grades recorded from now on use the new name. The stored ones, with their comments and
+      // attendance, move record by record, a few records at a time, each in its own transaction.
+      // A record that has moved is left as it is, so a retry from the sync bar finishes the rest.
+      const recordIds = (await repositories.records.getAll())
+        .filter(record => (
+          record.grades?.[subject.name]
+          || Object.values(record.comments || {}).some(comment => comment.subject === subject.name)
+          || Object.values(record.attendance || {}).some(entry => entry.subjectName === subject.name)
+        ))
+        .map(record => record.id);
+      const moveRecords = async () => {
+        const failures = [];
+        for (let start = 0; start < recordIds.length; start += SUBJECT_RENAME_CONCURRENCY) {
+          const results = await Promise.allSettled(recordIds.slice(start, start + SUBJECT_RENAME_CONCURRENCY).map(recordId => (
+            repositories.records.moveSubject(recordId, subject.name, newName)
+          )));
+          failures.push(...results.filter(result => result.status === 'rejected'));
+        }
+        if (failures.length > 0) {
+          failures.forEach(failure => console.error("Error moving a record to the renamed subject:", failure.reason));
+          throw new Error(`${failures.length} student records could not be updated`);
+        }
+      };
+      if (recordIds.length > 0) {
+        trackWrite(`Moving ${subject.name} grades to ${newName}`, recordIds, moveRecords);
+      }
+      showTempNotification(`Renamed ${subject.name} to ${newName}.`);
+      return true;
+    } catch (e) {
+      console.error("Error updating subject:", e);
+      showTempNotification("Failed to rename subject. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler for deleting a subject that has no sections or grades left
+  const handleDeleteSubject = async (subjectId, reason) => {
+    const subject = subjects.find(s => s.id === subjectId);
+    if (!db || !subject || !reason.trim()) return;
+    try {
+      const allRecords = await repositories.records.getAll();
+      if (sections.some(section => section.subjectId === subjectId)
+        || allRecords.some(record => record.grades?.[subject.name])) {
+        showTempNotification(`Delete the sections and grades for ${subject.name} before deleting it.`);
+        return;
+      }
+      await repositories.batches.commit([
+        batch => batch.delete(repositories.subjects.ref(subjectId)),
+        batch => repositories.auditLog.write(batch, {
+          entityType: 'subject',
+          action: 'delete',
+          subject: subject.name,
+          oldValue: { name: subject.name, gradingPolicy: subject.gradingPolicy || null, credits: subject.credits ?? null },
+          reason: reason.trim(),
+          changedBy: userId,
+        }),
+      ]);
+      showTempNotification(`Deleted subject ${subject.name}.`);
+    } catch (e) {
+      console.error("Error deleting subject:", e);
+      showTempNotification("Failed to delete subject. Please try again.");
+    }
+  };
+
+  // Handler for saving a section's attendance for one date and period. Each mark is stored on
+  // the student's record, like their grades, so students and parents can read it.
+  const handleSaveAttendance = async (sectionId, date, period, statuses) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!db || !section || !date) return;
+    if (isActiveTermArchived) {
+      showTempNotification(`${activeTerm.name} is archived and read-only.`);
+      return;
+    }
+    try {
+      const key = getAttendanceKey(date, sectionId, period);
+      const writes = Object.keys(statuses).map(recordId => batch => (
+        batch.update(repositories.records.ref(recordId), repositories.records.buildAttendanceUpdate(key, {
+          date,
+          period,
+          sectionId,
+          subjectName: section.subjectName || null,
+          termId: activeTermId || null,
+          status: statuses[recordId],
+          teacherId: userId,
+        }))
+      ));
+      trackWrite(`Attendance for ${section.name} on ${date}`, Object.keys(statuses), repositories.batches.createJob(writes));
+      showTempNotification(`Saved attendance for ${section.name} on ${date}.`);
+    } catch (e) {
+      console.error("Error saving attendance:", e);
+      showTempNotification("Failed to save attendance. Please try again.");
+    }
+  };
+
+  // Handler for recalculating every class average from the stored grades. Used to include
+  // grades recorded before class averages were kept, or to repair the running totals.
+  const handleRebuildClassAverages = async () => {
+    if (!db) return;
+    try {
+      const contributionsByTerm = {};
+      const allRecords = await repositories.records.getAll();
+      allRecords.forEach(record => {
+        const recordContributions = getRecordContributionsByTerm(record, 1);
+        Object.keys(recordContributions).forEach(termKey => {
+          contributionsByTerm[termKey] = [...(contributionsByTerm[termKey] || []), ...recordContributions[termKey]];
+        });
+      });
+      const oldGroupKeys = {};
+      const oldTotals = await repositories.classAverages.getAllTotals();
+      oldTotals.forEach(({ termKey, subject, groups }) => {
+        oldGroupKeys[`${termKey}_${subject}`] = Object.keys(groups || {});
+      });
+      const writes = [];
+      const rebuilt = new Set();
+      Object.keys(contributionsByTerm).forEach(termKey => {
+        const totals = sumClassAverageContributions(contributionsByTerm[termKey]);
+        Object.keys(totals).forEach(subject => {
+          writes.push(...repositories.classAverages.buildReplaceWrites(
+            termKey, subject, totals[subject], oldGroupKeys[`${termKey}_${subject}`]
+          ));
+          rebuilt.add(`${termKey}_${subject}`);
+        });
+      });
+      // Totals left from grades that no longer exist are removed
+      oldTotals
+        .filter(({ termKey, subject }) => !rebuilt.has(`${termKey}_${subject}`))
+        .forEach(({ termKey, subject }) => writes.push(
+          ...repositories.classAverages.buildDeleteWrites(termKey, subject, oldGroupKeys[`${termKey}_${subject}`])
+        ));
+      await repositories.batches.commitInChunks(writes);
+      showTempNotification("Recalculated class averages.");
+    } catch (e) {
+      console.error("Error recalculating class averages:", e);
+      showTempNotification("Failed to recalculate class averages. Please try again.");
+    }
+  };
+
+  // Handler for moving records saved before terms were kept apart to storage by term, so
+  // their grades can be corrected and their archived terms stay read-only
+  const handleUpgradeRecords = async () => {
+    if (!db) return;
+    try {
+      const recordIds = (await repositories.records.getAll()).filter(record => record.hasLegacyStorage).map(record => record.id);
+      let failedCount = 0;
+      for (let start = 0; start < recordIds.length; start += SUBJECT_RENAME_CONCURRENCY) {
+        const results = await Promise.allSettled(recordIds.slice(start, start + SUBJECT_RENAME_CONCURRENCY).map(recordId => (
+          repositories.records.upgradeStorage(recordId)
+        )));
+        const failed = results.filter(result => result.status === 'rejected');
+        failed.forEach(result => console.error("Error upgrading a student record:", result.reason));
+        failedCount += failed.length;
+      }
+      showTempNotification(failedCount > 0
+        ? `Upgraded ${recordIds.length - failedCount} of ${recordIds.length} older records. Please try again for the rest.`
+        : `Upgraded ${recordIds.length} older records.`);
+    } catch (e) {
+      console.error("Error upgrading older records:", e);
+      showTempNotification("Failed to upgrade older records. Please try again.");
+    }
+  };
+
+  // Handler for saving a subject's grading policy and credit hours. Teachers may change them
+  // only for subjects they teach a section of.
+  const handleSaveSubjectSettings = async (subjectId, { gradingPolicy, credits }) => {
+    if (!db) return;
+    const subject = subjects.find(s => s.id === subjectId);
+    const ownSection = sections.find(section => section.subjectId === subjectId && section.teacherId === userId);
+    if (userRole !== 'admin' && !ownSection) {
+      showTempNotification("You can change the grading policy only of subjects you teach.");
+      return;
+    }
+    try {
+      await repositories.subjects.saveSettings(subjectId, { gradingPolicy, credits }, userRole === 'admin' ? null : ownSection.id);
+      showTempNotification(`Saved grading policy for ${subject?.name || subjectId}.`);
+    } catch (e) {
+      console.error("Error saving grading policy:", e);
+      showTempNotification("Failed to save grading policy. Please try again.");
+    }
+  };
+
+  // Handler for saving the school's grading scale
+  const handleSaveGradingScale = async (ranges) => {
+    if (!db) return;
+    try {
+      await repositories.settings.saveGradingScale(ranges, userId);
+      showTempNotification("Saved grading scale.");
+    } catch (e) {
+      console.error("Error saving grading scale:", e);
+      showTempNotification("Failed to save grading scale. Please try again.");
+    }
+  };
+
+  // Handler for saving the school details printed on report cards
+  const handleSaveSchoolProfile = async ({ name, address, phone }) => {
+    if (!db || !name.trim()) return;
+    try {
+      await repositories.settings.saveSchoolProfile({ name, address, phone }, userId);
+      showTempNotification("Saved school details.");
+    } catch (e) {
+      console.error("Error saving school details:", e);
+      showTempNotification("Failed to save school details. Please try again.");
+    }
+  };
+
+  // Handler for creating a new academic term
+  const handleAddTerm = async ({ name, startDate, endDate }) => {
+    if (!db || !name.trim()) return;
+    try {
+      const termId = await repositories.terms.add({ name, startDate, endDate }, userId);
+      setActiveTermId(termId);
+      showTempNotification(`Added new term: ${name.trim()}`);
+    } catch (e) {
+      console.error("Error adding term:", e);
+      showTempNotification("Failed to add term. Please try again.");
+    }
+  };
+
+  // Handler for archiving a term. Each student's final marks for the term are written to their
+  // record's transcript so later policy or scale changes cannot alter a closed term. The
+  // transcripts are written before the term is marked archived, after which the rules refuse them.
+  const handleArchiveTerm = async (termId) => {
+    const term = terms.find(t => t.id === termId);
+    if (!db || !term || term.status === 'archived') return;
+
+    try {
+      const writes = [];
+      const allRecords = await repositories.records.getAll();
+      allRecords.forEach(record => {
+        const results = getSubjectResults(filterGradesByTerm(record.grades, termId), subjects);
+        if (results.length === 0) return;
+        const finalMarks = {};
+        results.forEach(result => {
+          const grade = getLetterGrade(result.percent, gradingScale);
+          finalMarks[result.subject] = {
+            percent: result.percent,
+            letter: grade?.letter || null,
+            points: grade ? grade.points : null,
+            credits: result.credits,
+          };
+        });
+        const recordRef = repositories.records.ref(record.id);
+        writes.push(batch => batch.update(recordRef, {
+          [`transcript.${termId}`]: {
+            termName: term.name,
+            subjects: finalMarks,
+            gpa: computeGpa(results, gradingScale),
+          },
+          lastChangedTermId: termId,
+        }));
+      });
+      await repositories.batches.commitInChunks(writes);
+
+      await repositories.terms.archive(termId, userId);
+      showTempNotification(`Archived ${term.name}.`);
+    } catch (e) {
+      console.error("Error archiving term:", e);
+      showTempNotification("Failed to archive term. Please try again.");
+    }
+  };
+
+  // Handler for an administrator assigning a role to a user
+  const handleAssignRole = async (uid, role) => {
+    if (!db || userRole !== 'admin') return;
+    if (uid === userId && role !== 'admin') {
+      showTempNotification("You cannot remove your own administrator role.");
+      return;
+    }
+    try {
+      await repositories.users.assignRole(uid, role, userId);
+      showTempNotification(`Assigned the ${role} role.`);
+    } catch (e) {
+      console.error("Error assigning role:", e);
+      showTempNotification("Failed to assign role. Please try again.");
+    }
+  };
+
+  // Handler for creating a class section: a subject taught by one teacher in the active term
+  const handleAddSection = async ({ name, subjectId, teacherId }) => {
+    const subject = subjects.find(s => s.id === subjectId);
+    if (!db || !subject || !teacherId) return;
+    try {
+      const sectionName = await repositories.sections.add({ name, subject, teacherId, termId: activeTermId }, userId);
+      showTempNotification(`Added section ${sectionName}.`);
+    } catch (e) {
+      console.error("Error adding section:", e);
+      showTempNotification("Failed to add section. Please try again.");
+    }
+  };
+
+  // Handler for deleting a section that has no students enrolled
+  const handleDeleteSection = async (sectionId) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!db || !section) return;
+    if ((section.studentIds || []).length > 0) {
+      showTempNotification("Remove every student from the section before deleting it.");
+      return;
+    }
+    try {
+      await repositories.sections.remove(sectionId);
+      showTempNotification(`Deleted section ${section.name}.`);
+    } catch (e) {
+      console.error("Error deleting section:", e);
+      showTempNotification("Failed to delete section. Please try again.");
+    }
+  };
+
+  // Handler for enrolling a student in a section. The record lists its sections and their
+  // teachers so security rules can let those teachers edit it. The student is found by a name
+  // search, so a teacher need not have their record loaded yet.
+  const handleEnrollStudent = async (sectionId, record) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!db || !section || !record) return;
+    const recordId = record.id;
+    try {
+      await repositories.batches.commit([
+        batch => batch.update(repositories.sections.ref(sectionId), repositories.sections.buildAddStudentsUpdate([recordId])),
+        batch => batch.update(repositories.records.ref(recordId), repositories.records.buildSectionEnrollmentUpdate(section)),
+      ]);
+      showTempNotification(`Enrolled ${record.studentName} in ${section.name}.`);
+    } catch (e) {
+      console.error("Error enrolling student:", e);
+      showTempNotification("Failed to enroll student. Please try again.");
+    }
+  };
+
+  // Handler for removing a student from a section. The teacher keeps access to the record
+  // if they still teach the student in another section.
+  const handleUnenrollStudent = async (sectionId, recordId) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!db || !section) return;
+    const stillTaught = sections.some(other => (
+      other.id !== sectionId && other.teacherId === section.teacherId && (other.studentIds || []).includes(recordId)
+    ));
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      await repositories.batches.commit([
+        batch => batch.update(repositories.sections.ref(sectionId), repositories.sections.buildRemoveStudentUpdate(recordId)),
+        batch => batch.update(
+          repositories.records.ref(recordId), repositories.records.buildSectionRemovalUpdate(section, stillTaught)
+        ),
+      ]);
+      showTempNotification(`Removed ${record.studentName} from ${section.name}.`);
+    } catch (e) {
+      console.error("Error removing student from section:", e);
+      showTempNotification("Failed to remove student from section. Please try again.");
+    }
+  };
+
+  // Handler for generating a one-time invite code that links a parent to a student
+  const handleCreateInviteCode = async (recordId) => {
+    if (!db) return;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      const code = await repositories.inviteCodes.create(record, userId);
+      showTempNotification(`Created invite code ${code} for ${record.studentName}.`);
+    } catch (e) {
+      console.error("Error creating invite code:", e);
+      showTempNotification("Failed to create invite code. Please try again.");
+    }
+  };
+
+  // Handler for withdrawing an invite code before it is redeemed
+  const handleDeleteInviteCode = async (code) => {
+    if (!db) return;
+    try {
+      await repositories.inviteCodes.revoke(code);
+      showTempNotification(`Revoked invite code ${code}.`);
+    } catch (e) {
+      console.error("Error revoking invite code:", e);
+      showTempNotification("Failed to revoke invite code. Please try again.");
+    }
+  };
+
+  // Handler for a parent redeeming an invite code, which links them to the student's record
+  const handleRedeemInviteCode = async (rawCode) => {
+    const code = normalizeInviteCode(rawCode);
+    if (!db || !code) return;
+    try {
+      const studentName = await repositories.inviteCodes.redeem(code, {
+        uid: userId,
+        name: auth?.currentUser?.displayName || auth?.currentUser?.email || null,
+      });
+      showTempNotification(`You are now linked to ${studentName}.`);
+    } catch (e) {
+      if (e.message === 'invalid-invite-code') {
+        showTempNotification("That invite code is not valid or has already been used.");
+        return;
+      }
+      console.error("Error redeeming invite code:", e);
+      showTempNotification("Failed to redeem invite code. Please try again.");
+    }
+  };
+
+  // Handler for removing a parent's link to a student, used by staff and by the parent themselves
+  const handleUnlinkParent = async (recordId, parentUid) => {
+    if (!db) return;
+    try {
+      const record = await findRecord(recordId);
+      if (!record) {
+        showTempNotification("That student record could not be found.");
+        return;
+      }
+      await repositories.records.unlinkParent(recordId, parentUid);
+      showTempNotification(`Removed the parent link for ${record.studentName}.`);
+    } catch (e) {
+      console.error("Error removing parent link:", e);
+      showTempNotification("Failed to remove the parent link. Please try again.");
+    }
+  };
+
+  // Handler for adding a teacher comment to an assessment, or to a subject when assessmentId is null
+  const handleAddComment = async (recordId, subject, assessmentId, text) => {
+    if (!db || !text.trim()) return;
+    try {
+      await repositories.records.addComment(recordId, {
+        subject,
+        assessmentId,
+        text,
+        authorId: userId,
+        authorName: auth?.currentUser?.displayName || auth?.currentUser?.email || null,
+      });
+    } catch (e) {
+      console.error("Error adding comment:", e);
+      showTempNotification("Failed to add comment. Please try again.");
+    }
+  };
+
+  // The open thread, or the one about to be started
+  const activeThread = threads.find(thread => thread.id === activeThreadId)
+    || (draftThread?.id === activeThreadId ? draftThread : null);
+
+  // Handler for opening an existing thread by id, or a conversation about a student record
+  // between a teacher and the student or one of their parents
+  const handleOpenThread = ({ threadId, record, teacherId, otherId, otherRole, topic }) => {
+    if (threadId) {
+      setActiveThreadId(threadId);
+      return;
+    }
+    const id = getThreadId(record.id, teacherId, otherId);
+    if (!threads.some(thread => thread.id === id)) {
+      setDraftThread({
+        id,
+        recordId: record.id,
+        studentName: record.studentName,
+        teacherId,
+        otherId,
+        otherRole,
+        topic: topic || null,
+        participantIds: [teacherId, otherId],
+        participantNames: {},
+        lastReadAt: {},
+      });
+    }
+    setActiveThreadId(id);
+  };
+
+  const handleCloseThread = () => {
+    setActiveThreadId(null);
+    setDraftThread(null);
+  };
+
+  // Handler for sending a message in the open thread. The first message creates the thread.
+  const handleSendMessage = async (text) => {
+    if (!db || !activeThread || !text.trim()) return false;
+    try {
+      await repositories.threads.send(activeThread, isActiveThreadStarted, {
+        senderId: userId,
+        senderName: auth?.currentUser?.displayName || auth?.currentUser?.email || null,
+        text,
+      });
+      return true;
+    } catch (e) {
+      console.error("Error sending message:", e);
+      showTempNotification("Failed to send message. Please try again.");
+      return false;
+    }
+  };
+
+  // Handler recording that the user has read a thread up to now, shown to the other participant as a read receipt
+  const handleMarkThreadRead = async (threadId) => {
+    if (!db) return;
+    try {
+      await repositories.threads.markRead(threadId, userId);
+    } catch (e) {
+      console.error("Error marking thread as read:", e);
+    }
+  };
+
+  // Handler for marking notifications as read
+  const handleMarkNotificationsRead = async (notificationIds) => {
+    if (!db || notificationIds.length === 0) return;
+    try {
+      await repositories.notifications.markRead(userId, notificationIds);
+    } catch (e) {
+      console.error("Error marking notifications as read:", e);
+      showTempNotification("Failed to update notifications. Please try again.");
+    }
+  };
+
+  // Handler for saving which alerts the user receives and how
+  const handleSaveNotificationPreferences = async (preferences) => {
+    if (!db) return;
+    try {
+      await repositories.notifications.savePreferences(userId, preferences);
+      showTempNotification("Saved notification settings.");
+    } catch (e) {
+      console.error("Error saving notification settings:", e);
+      showTempNotification("Failed to save notification settings. Please try again.");
+    }
+  };
+
+  // Function to calculate the average grade for a subject using its grading policy
+  const calculateAverage = (grades, policy) => {
+    const average = getSubjectPercent(grades, policy);
+    return average === null ? 'N/A' : average.toFixed(2);
   };
 
   // Render the different views based on the user's role
   const renderDashboard = () => {
-    if (isLoading) {
+    if (isLoading || !userRole) {
       return (
         <div className="flex justify-center items-center h-full">
           <svg className="animate-spin h-8 w-8 text-indigo-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -206,38 +2303,73 @@ const App = () => {
       );
     }
 
-    // Role-based rendering
+    // Role-based rendering. Each role has its own pages; any other URL, including another role's
+    // after the demo role switcher is used, goes to the role's home page.
+    const homePath = getHomePath(userRole);
+    // Student login accounts, with the record each is linked to, for administrators to link
+    const studentAccounts = users
+      .filter(user => user.role === 'student')
+      .map(user => ({ ...user, linkedRecordId: accountLinks[user.id] || null }));
+    const studentPageProps = {
+      subjects,
+      terms,
+      activeTermId,
+      gradingScale,
+      schoolProfile,
+      classAverages,
+      calculateAverage,
+    };
     switch (userRole) {
+      case 'admin':
       case 'teacher':
         return (
-          <TeacherDashboard
-            studentRecords={studentRecords}
-            subjects={subjects}
-            handleAddStudent={handleAddStudent}
-            handleAddSubject={handleAddSubject}
-            handleAddGrade={handleAddGrade}
-            setNewStudentName={setNewStudentName}
-            setNewSubjectName={setNewSubjectName}
-            setGradeData={setGradeData}
-            setSelectedStudentId={setSelectedStudentId}
-            newStudentName={newStudentName}
-            newSubjectName={newSubjectName}
-            selectedStudentId={selectedStudentId}
-            gradeData={gradeData}
-            calculateAverage={calculateAverage}
-          />
+          <Routes>
+            <Route path={homePath} element={renderStaffDashboard()} />
+            <Route
+              path={`${homePath}/${STUDENT_PAGE_PATH}`}
+              element={(
+                <StudentPage
+                  studentRecords={visibleRecords}
+                  homePath={homePath}
+                  isAdmin={userRole === 'admin'}
+                  studentAccounts={studentAccounts}
+                  handleSaveStudentProfile={handleSaveStudentProfile}
+                  handleChangeEnrollment={handleChangeEnrollment}
+                  handleLinkStudentAccount={handleLinkStudentAccount}
+                  handleUnlinkStudentAccount={handleUnlinkStudentAccount}
+                  {...studentPageProps}
+                />
+              )}
+            />
+            <Route path="*" element={<Navigate to={homePath} replace />} />
+          </Routes>
         );
       case 'student':
-        // Find the current student's record
-        const studentRecord = studentRecords.find(record => record.studentId === userId);
-        return <StudentDashboard studentRecord={studentRecord} calculateAverage={calculateAverage} />;
+        return (
+          <Routes>
+            <Route path={homePath} element={renderStudentDashboard()} />
+            <Route path="*" element={<Navigate to={homePath} replace />} />
+          </Routes>
+        );
       case 'parent':
-        // Find the child's record (assuming parentId links to studentId for this demo)
-        const childRecord = studentRecords.find(record => record.parentId === userId);
-        return <ParentDashboard childRecord={childRecord} calculateAverage={calculateAverage} />;
-      default:
+        // A child's page and the parent's home page show the same dashboard, opened on that child
         return (
-          <div className="text-center p-8">
+          <Routes>
+            <Route path={homePath} element={renderParentDashboard()} />
+            <Route path={`${homePath}/${STUDENT_PAGE_PATH}`} element={renderParentDashboard()} />
+            <Route path="*" element={<Navigate to={homePath} replace />} />
+          </Routes>
+        );
+      case 'pending':
+        return (
+          <div className="text-center p-8">
+            <h2 className="text-xl font-bold mb-4">Welcome to the Academic Records System</h2>
+            <p>Your account is waiting for an administrator to assign it a role.</p>
+          </div>
+        );
+      default:
+        return (
+          <div className="text-center p-8">
             <h2 className="text-xl font-bold mb-4">Welcome to the Academic Records System</h2>
             <p>Your user role is not recognized. Please contact an administrator.</p>
           </div>
@@ -245,260 +2377,3612 @@ const App = () => {
     }
   };
 
-  // Simple UI for changing the role for demonstration purposes
-  const RoleSelector = () => (
-    <div className="flex space-x-2 bg-white rounded-full p-1 shadow-md mb-6">
-      <button onClick={() => setUserRole('teacher')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'teacher' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Teacher View</button>
-      <button onClick={() => setUserRole('student')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'student' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Student View</button>
-      <button onClick={() => setUserRole('parent')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'parent' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Parent View</button>
+  // Dashboard shared by administrators and teachers
+  const renderStaffDashboard = () => (
+    <div className="space-y-8">
+      {userRole === 'admin' && (
+        <UserRoleManager users={users} userId={userId} handleAssignRole={handleAssignRole} />
+      )}
+      <StaffDashboardContext.Provider value={{
+        isAdmin: userRole === 'admin',
+        userId,
+        sections: visibleSections,
+        teachers: users.filter(user => user.role === 'teacher'),
+        subjects: visibleSubjects,
+        termSubjects,
+        allSubjects: subjects,
+        terms,
+        activeTermId,
+        isActiveTermArchived,
+        gradingScale,
+        schoolProfile,
+        calculateAverage,
+        newSubjectName,
+        setNewSubjectName,
+        handleAddSubject,
+        handleUpdateSubject,
+        handleDeleteSubject,
+        handleSaveSubjectSettings,
+        handleAddSection,
+        handleDeleteSection,
+        handleEnrollStudent,
+        handleUnenrollStudent,
+        handleAddTerm,
+        handleArchiveTerm,
+        handleSaveGradingScale,
+        handleSaveSchoolProfile,
+        handleRebuildClassAverages,
+        handleUpgradeRecords,
+      }}>
+        <StaffRecordsContext.Provider value={{
+          studentRecords: visibleRecords,
+          allStudentRecords: studentRecords,
+          recordsPage: tablePage,
+          recordsPageNumber: recordsPageStarts.length,
+          recordsSearch,
+          recordsSort: recordsSortSubject ? recordsSort : null,
+          pendingWrites,
+          newStudentName,
+          setNewStudentName,
+          handleSearchRecords,
+          handleNextRecordsPage,
+          handlePreviousRecordsPage,
+          handleSortRecords,
+          handleExportRecords,
+          getTableRecords,
+          handleSearchStudents,
+          handleAddStudent,
+          handleImportRoster,
+          handleUpdateStudent,
+          handleDeleteStudent,
+        }}>
+          <StaffGradingContext.Provider value={{
+            gradeEntryStudents,
+            selectedStudentId,
+            setSelectedStudentId,
+            gradeData,
+            setGradeData,
+            handleAddGrade,
+            handleImportGrades,
+            handleUpdateGrade,
+            handleDeleteGrade,
+            handleAddComment,
+            handleSaveAttendance,
+          }}>
+            <StaffMessagingContext.Provider value={{
+              inviteCodes,
+              handleCreateInviteCode,
+              handleDeleteInviteCode,
+              handleUnlinkParent,
+              threads,
+              activeThread,
+              threadMessages,
+              handleOpenThread,
+              handleCloseThread,
+              handleSendMessage,
+              handleMarkThreadRead,
+            }}>
+              <TeacherDashboard />
+            </StaffMessagingContext.Provider>
+          </StaffGradingContext.Provider>
+        </StaffRecordsContext.Provider>
+      </StaffDashboardContext.Provider>
+      {userRole === 'admin' && (
+        <AuditLogPanel auditEntries={auditEntries} users={users} studentRecords={studentRecords} />
+      )}
+    </div>
+  );
+
+  // The signed-in student's own record, the only one their records listener returns
+  const renderStudentDashboard = () => (
+    <StudentDashboard
+      userId={userId}
+      studentRecord={studentRecords[0]}
+      subjects={subjects}
+      terms={terms}
+      activeTermId={activeTermId}
+      gradingScale={gradingScale}
+      schoolProfile={schoolProfile}
+      classAverages={classAverages}
+      calculateAverage={calculateAverage}
+      threads={threads}
+      activeThread={activeThread}
+      threadMessages={threadMessages}
+      handleOpenThread={handleOpenThread}
+      handleCloseThread={handleCloseThread}
+      handleSendMessage={handleSendMessage}
+      handleMarkThreadRead={handleMarkThreadRead}
+    />
+  );
+
+  // The records listener only returns the children this parent is linked to
+  const renderParentDashboard = () => (
+    <ParentDashboard
+      userId={userId}
+      childRecords={studentRecords}
+      handleRedeemInviteCode={handleRedeemInviteCode}
+      handleUnlinkParent={handleUnlinkParent}
+      subjects={subjects}
+      terms={terms}
+      activeTermId={activeTermId}
+      gradingScale={gradingScale}
+      schoolProfile={schoolProfile}
+      classAverages={classAverages}
+      calculateAverage={calculateAverage}
+      threads={threads}
+      activeThread={activeThread}
+      threadMessages={threadMessages}
+      handleOpenThread={handleOpenThread}
+      handleCloseThread={handleCloseThread}
+      handleSendMessage={handleSendMessage}
+      handleMarkThreadRead={handleMarkThreadRead}
+    />
+  );
+
+  // Simple UI for changing the role for demonstration purposes. Only shown in demo mode, since
+  // the switch is local to the browser and real access is decided by the security rules.
+  const RoleSelector = () => (
+    <div className="flex space-x-2 bg-white rounded-full p-1 shadow-md mb-6">
+      <button onClick={() => setUserRole('admin')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'admin' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Admin View</button>
+      <button onClick={() => setUserRole('teacher')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'teacher' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Teacher View</button>
+      <button onClick={() => setUserRole('student')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'student' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Student View</button>
+      <button onClick={() => setUserRole('parent')} className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${userRole === 'parent' ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}>Parent View</button>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100 font-sans antialiased text-gray-800 p-4 sm:p-8 flex flex-col items-center">
+      {/* App Header */}
+      <div className="w-full max-w-5xl text-center mb-6">
+        <h1 className="text-4xl font-extrabold text-indigo-600 mb-2">Digital Academic Records System</h1>
+        <p className="text-lg text-gray-600">A modern solution for managing student performance.</p>
+        <div className="mt-4">
+          <span className="text-sm text-gray-500">
+            Authenticated User ID: <span className="font-mono bg-gray-200 rounded-md px-2 py-1">{userId}</span>
+          </span>
+        </div>
+      </div>
+      
+      {/* Role Selector and Main Dashboard */}
+      {isDemoMode && <RoleSelector />}
+
+      <TermSelector terms={terms} activeTermId={activeTermId} setActiveTermId={setActiveTermId} />
+
+      {(userRole === 'student' || userRole === 'parent') && (
+        <NotificationCenter
+          notifications={notifications}
+          notificationPreferences={notificationPreferences}
+          handleMarkNotificationsRead={handleMarkNotificationsRead}
+          handleSaveNotificationPreferences={handleSaveNotificationPreferences}
+        />
+      )}
+
+      <SyncStatusBar
+        isOnline={isOnline}
+        isUsingCache={isUsingCache}
+        pendingWrites={pendingWrites}
+        pendingRecordCount={studentRecords.filter(record => record.hasPendingWrites).length}
+        handleRetryWrite={handleRetryWrite}
+        handleDismissWrite={handleDismissWrite}
+      />
+      
+      <div className="w-full max-w-5xl bg-white rounded-lg shadow-xl p-6 sm:p-8">
+        {renderDashboard()}
+      </div>
+
+      {/* Notification Toast */}
+      {showNotification.visible && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-800 text-white px-4 py-2 rounded-lg shadow-lg transition-opacity duration-300 opacity-90 z-50">
+          {showNotification.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// State of the staff dashboard and the handlers its sections call, so each section reads what
+// it needs instead of the dashboard passing everything down. StaffDashboardContext holds the
+// school's setup: sections, subjects, terms and settings. Records, grading and messaging each
+// have their own context (inside the main file)
+const StaffDashboardContext = createContext(null);
+const StaffRecordsContext = createContext(null);
+const StaffGradingContext = createContext(null);
+const StaffMessagingContext = createContext(null);
+
+const useStaffDashboard = () => useContext(StaffDashboardContext);
+const useStaffRecords = () => useContext(StaffRecordsContext);
+const useStaffGrading = () => useContext(StaffGradingContext);
+const useStaffMessaging = () => useContext(StaffMessagingContext);
+
+// Teacher Dashboard Component, laid out from its sections (inside the main file)
+const TeacherDashboard = () => {
+  const {
+    isAdmin, userId, sections, teachers, subjects, termSubjects, allSubjects, terms, activeTermId, isActiveTermArchived,
+    gradingScale, schoolProfile, handleAddSection, handleDeleteSection, handleEnrollStudent, handleUnenrollStudent,
+  } = useStaffDashboard();
+  const { studentRecords, allStudentRecords, handleSearchStudents, getTableRecords, handleImportRoster } = useStaffRecords();
+  const { handleImportGrades, handleSaveAttendance } = useStaffGrading();
+  const {
+    inviteCodes, handleCreateInviteCode, handleDeleteInviteCode, handleUnlinkParent,
+    threads, activeThread, threadMessages, handleOpenThread, handleCloseThread, handleSendMessage, handleMarkThreadRead,
+  } = useStaffMessaging();
+
+  return (
+    <div className="space-y-8">
+      <div className="grid md:grid-cols-2 gap-6">
+        <ManageStudentsForm />
+        <ManageSubjectsPanel />
+      </div>
+
+      {/* Grade entry and attendance sit side by side since both work from the teacher's rosters */}
+      <div className="grid lg:grid-cols-2 gap-6">
+        <GradeEntryForm />
+        <AttendanceRoster
+          sections={sections}
+          studentRecords={allStudentRecords}
+          isActiveTermArchived={isActiveTermArchived}
+          handleSaveAttendance={handleSaveAttendance}
+        />
+      </div>
+
+      <CsvImportPanel
+        studentRecords={studentRecords}
+        allStudentRecords={allStudentRecords}
+        subjects={subjects}
+        sections={sections}
+        isActiveTermArchived={isActiveTermArchived}
+        handleImportRoster={handleImportRoster}
+        handleImportGrades={handleImportGrades}
+      />
+
+      <StudentRecordsSection />
+
+      <ClassAnalyticsPanel
+        studentRecords={studentRecords}
+        subjects={subjects}
+        activeTermId={activeTermId}
+        gradingScale={gradingScale}
+      />
+
+      <AbsenceReport studentRecords={studentRecords} activeTermId={activeTermId} />
+
+      <SectionManager
+        isAdmin={isAdmin}
+        userId={userId}
+        sections={sections}
+        subjects={termSubjects}
+        teachers={teachers}
+        studentRecords={allStudentRecords}
+        isActiveTermArchived={isActiveTermArchived}
+        handleAddSection={handleAddSection}
+        handleDeleteSection={handleDeleteSection}
+        handleEnrollStudent={handleEnrollStudent}
+        handleUnenrollStudent={handleUnenrollStudent}
+        handleSearchStudents={handleSearchStudents}
+      />
+
+      <ParentAccessPanel
+        studentRecords={studentRecords}
+        inviteCodes={inviteCodes}
+        handleCreateInviteCode={handleCreateInviteCode}
+        handleDeleteInviteCode={handleDeleteInviteCode}
+        handleUnlinkParent={handleUnlinkParent}
+      />
+
+      <MessagesPanel
+        userId={userId}
+        threads={threads}
+        activeThread={activeThread}
+        threadMessages={threadMessages}
+        studentRecords={studentRecords}
+        handleOpenThread={handleOpenThread}
+        handleCloseThread={handleCloseThread}
+        handleSendMessage={handleSendMessage}
+        handleMarkThreadRead={handleMarkThreadRead}
+      />
+
+      <TranscriptPanel studentRecords={studentRecords} subjects={allSubjects} terms={terms} gradingScale={gradingScale} />
+
+      <ReportCardPanel
+        studentRecords={studentRecords}
+        isAdmin={isAdmin}
+        getTableRecords={getTableRecords}
+        subjects={allSubjects}
+        terms={terms}
+        activeTermId={activeTermId}
+        gradingScale={gradingScale}
+        schoolProfile={schoolProfile}
+      />
+
+      {/* Terms, the grading scale and the school details apply school-wide, so only administrators manage them */}
+      {isAdmin && <SchoolSettingsSection />}
+    </div>
+  );
+};
+
+// Manage Students section of the staff dashboard for adding a student (inside the main file)
+const ManageStudentsForm = () => {
+  const { newStudentName, setNewStudentName, handleAddStudent } = useStaffRecords();
+  return (
+    <div className="p-6 bg-indigo-50 rounded-xl shadow-inner">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Manage Students</h3>
+      <form onSubmit={handleAddStudent} className="space-y-4">
+        <input
+          type="text"
+          placeholder="Student Name"
+          value={newStudentName}
+          onChange={(e) => setNewStudentName(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Add Student
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Manage Subjects section of the staff dashboard for adding subjects and their grading policies (inside the main file)
+const ManageSubjectsPanel = () => {
+  const {
+    isAdmin, subjects, allSubjects, newSubjectName, setNewSubjectName,
+    handleAddSubject, handleUpdateSubject, handleDeleteSubject, handleSaveSubjectSettings,
+  } = useStaffDashboard();
+  return (
+    <div className="p-6 bg-indigo-50 rounded-xl shadow-inner">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Manage Subjects</h3>
+      <form onSubmit={handleAddSubject} className="space-y-4">
+        <input
+          type="text"
+          placeholder="Subject Name"
+          value={newSubjectName}
+          onChange={(e) => setNewSubjectName(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Add Subject
+        </button>
+      </form>
+      {/* Subjects are shared by every section, so only administrators rename or delete them */}
+      {isAdmin && (
+        <SubjectList subjects={allSubjects} handleUpdateSubject={handleUpdateSubject} handleDeleteSubject={handleDeleteSubject} />
+      )}
+      <GradingPolicyEditor subjects={subjects} handleSaveSubjectSettings={handleSaveSubjectSettings} />
+    </div>
+  );
+};
+
+// Grade Entry Form section of the staff dashboard (inside the main file)
+const GradeEntryForm = () => {
+  const { subjects, isActiveTermArchived } = useStaffDashboard();
+  const {
+    gradeEntryStudents, selectedStudentId, setSelectedStudentId, gradeData, setGradeData, handleAddGrade,
+  } = useStaffGrading();
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Enter a New Grade</h3>
+      {isActiveTermArchived && (
+        <p className="mb-4 text-sm text-amber-700 bg-amber-50 rounded-lg px-4 py-2">This term is archived. Its grades are read-only.</p>
+      )}
+      <form onSubmit={handleAddGrade} className="space-y-4">
+        <fieldset disabled={isActiveTermArchived} className="space-y-4 disabled:opacity-60">
+          <select
+            value={selectedStudentId}
+            onChange={(e) => setSelectedStudentId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Select a Student</option>
+            {gradeEntryStudents.map(student => (
+              <option key={student.studentId} value={student.studentId}>{student.studentName}</option>
+            ))}
+          </select>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <select
+              value={gradeData.subject}
+              onChange={(e) => setGradeData({ ...gradeData, subject: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              <option value="">Select a Subject</option>
+              {subjects.map(subject => (
+                <option key={subject.id} value={subject.name}>{subject.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Assessment Title (e.g., Chapter 3 Quiz)"
+              value={gradeData.title}
+              onChange={(e) => setGradeData({ ...gradeData, title: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+          </div>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <select
+              value={gradeData.category}
+              onChange={(e) => setGradeData({ ...gradeData, category: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              {ASSESSMENT_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={gradeData.date}
+              onChange={(e) => setGradeData({ ...gradeData, date: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+          </div>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <input
+              type="number"
+              placeholder="Score (e.g., 45)"
+              value={gradeData.missing ? '' : gradeData.score}
+              disabled={gradeData.missing}
+              onChange={(e) => setGradeData({ ...gradeData, score: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition disabled:bg-gray-100"
+            />
+            <input
+              type="number"
+              placeholder="Max Points (e.g., 50)"
+              value={gradeData.maxPoints}
+              onChange={(e) => setGradeData({ ...gradeData, maxPoints: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={gradeData.missing}
+              onChange={(e) => setGradeData({ ...gradeData, missing: e.target.checked })}
+              className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+            />
+            Mark as missing work
+          </label>
+          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+            Add Grade
+          </button>
+        </fieldset>
+      </form>
+    </div>
+  );
+};
+
+// Student records section of the staff dashboard: exports, class average upkeep and the records table (inside the main file)
+const StudentRecordsSection = () => {
+  const {
+    isAdmin, userId, subjects, activeTermId, isActiveTermArchived, gradingScale, calculateAverage,
+    handleRebuildClassAverages, handleUpgradeRecords,
+  } = useStaffDashboard();
+  const {
+    pendingWrites, recordsPage, recordsPageNumber, recordsSearch, recordsSort, handleSearchRecords, handleNextRecordsPage,
+    handlePreviousRecordsPage, handleSortRecords, handleExportRecords, handleUpdateStudent, handleDeleteStudent,
+  } = useStaffRecords();
+  const { handleUpdateGrade, handleDeleteGrade, handleAddComment } = useStaffGrading();
+  return (
+    <>
+      <div className="flex justify-end gap-4">
+        {isAdmin && (
+          <button
+            type="button"
+            onClick={() => window.confirm('Recalculate every class average from the stored grades?') && handleRebuildClassAverages()}
+            className="px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors"
+          >
+            Recalculate Class Averages
+          </button>
+        )}
+        {isAdmin && (
+          <button
+            type="button"
+            onClick={() => window.confirm('Move records saved by older versions to storage by term?') && handleUpgradeRecords()}
+            className="px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors"
+          >
+            Upgrade Older Records
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleExportRecords}
+          className="px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors"
+        >
+          Export to CSV
+        </button>
+      </div>
+      <StudentRecordsTable
+        isAdmin={isAdmin}
+        userId={userId}
+        recordsPage={recordsPage}
+        pageNumber={recordsPageNumber}
+        search={recordsSearch}
+        sort={recordsSort}
+        subjects={subjects}
+        activeTermId={activeTermId}
+        isActiveTermArchived={isActiveTermArchived}
+        pendingWrites={pendingWrites}
+        gradingScale={gradingScale}
+        calculateAverage={calculateAverage}
+        handleSearch={handleSearchRecords}
+        handleNextPage={handleNextRecordsPage}
+        handlePreviousPage={handlePreviousRecordsPage}
+        handleSort={handleSortRecords}
+        handleUpdateStudent={handleUpdateStudent}
+        handleDeleteStudent={handleDeleteStudent}
+        handleUpdateGrade={handleUpdateGrade}
+        handleDeleteGrade={handleDeleteGrade}
+        handleAddComment={handleAddComment}
+      />
+    </>
+  );
+};
+
+// School settings section of the staff dashboard for administrators: terms, grading scale and school details (inside the main file)
+const SchoolSettingsSection = () => {
+  const {
+    terms, gradingScale, schoolProfile, handleAddTerm, handleArchiveTerm, handleSaveGradingScale, handleSaveSchoolProfile,
+  } = useStaffDashboard();
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <TermManager terms={terms} handleAddTerm={handleAddTerm} handleArchiveTerm={handleArchiveTerm} />
+      <GradingScaleEditor gradingScale={gradingScale} handleSaveGradingScale={handleSaveGradingScale} />
+      <SchoolProfileEditor schoolProfile={schoolProfile} handleSaveSchoolProfile={handleSaveSchoolProfile} />
+    </div>
+  );
+};
+
+// Grading Policy Editor Component for the Manage Subjects panel (inside the main file)
+const GradingPolicyEditor = ({ subjects, handleSaveSubjectSettings }) => {
+  const [subjectId, setSubjectId] = useState('');
+  const [draft, setDraft] = useState(normalizeGradingPolicy(null));
+  const [credits, setCredits] = useState(String(DEFAULT_CREDIT_HOURS));
+
+  // Load the selected subject's stored policy and credit hours into the form
+  const handleSelectSubject = (id) => {
+    setSubjectId(id);
+    const subject = subjects.find(s => s.id === id);
+    setDraft(normalizeGradingPolicy(subject?.gradingPolicy));
+    setCredits(String(subject?.credits ?? DEFAULT_CREDIT_HOURS));
+  };
+
+  const updateCategoryField = (field, category, value) => {
+    setDraft({ ...draft, [field]: { ...draft[field], [category]: value } });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!subjectId) return;
+
+    // Store numbers only, treating blank inputs as zero
+    const policy = { weights: {}, dropLowest: {}, missingWork: draft.missingWork };
+    ASSESSMENT_CATEGORIES.forEach(({ value }) => {
+      policy.weights[value] = Math.max(parseFloat(draft.weights[value]) || 0, 0);
+      policy.dropLowest[value] = Math.max(parseInt(draft.dropLowest[value], 10) || 0, 0);
+    });
+    const creditHours = parseFloat(credits);
+    handleSaveSubjectSettings(subjectId, {
+      gradingPolicy: policy,
+      credits: creditHours > 0 ? creditHours : DEFAULT_CREDIT_HOURS,
+    });
+  };
+
+  const totalWeight = ASSESSMENT_CATEGORIES.reduce(
+    (acc, { value }) => acc + (parseFloat(draft.weights[value]) || 0),
+    0
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 mt-6 pt-6 border-t border-indigo-100">
+      <h4 className="text-lg font-semibold text-indigo-700">Grading Policy</h4>
+      <select
+        value={subjectId}
+        onChange={(e) => handleSelectSubject(e.target.value)}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      >
+        <option value="">Select a Subject</option>
+        {subjects.map(subject => (
+          <option key={subject.id} value={subject.id}>{subject.name}</option>
+        ))}
+      </select>
+      {subjectId && (
+        <>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-1">Category</th>
+                <th className="py-1">Weight %</th>
+                <th className="py-1">Drop Lowest</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ASSESSMENT_CATEGORIES.map(category => (
+                <tr key={category.value}>
+                  <td className="py-1 pr-2 text-gray-700">{category.label}</td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={draft.weights[category.value] ?? ''}
+                      onChange={(e) => updateCategoryField('weights', category.value, e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+                    />
+                  </td>
+                  <td className="py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={draft.dropLowest[category.value] ?? ''}
+                      onChange={(e) => updateCategoryField('dropLowest', category.value, e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className={`text-xs ${totalWeight === 100 || totalWeight === 0 ? 'text-gray-500' : 'text-amber-600'}`}>
+            Total weight: {totalWeight}%. {totalWeight === 0
+              ? 'With no weights set, every assessment counts equally.'
+              : 'Weights are scaled over the categories a student has work in.'}
+          </p>
+          <select
+            value={draft.missingWork}
+            onChange={(e) => setDraft({ ...draft, missingWork: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            {MISSING_WORK_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>Missing work: {option.label}</option>
+            ))}
+          </select>
+          <label className="block text-sm text-gray-600">
+            Credit Hours
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={credits}
+              onChange={(e) => setCredits(e.target.value)}
+              className="mt-1 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+          </label>
+          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+            Save Policy
+          </button>
+        </>
+      )}
+    </form>
+  );
+};
+
+// User Role Manager Component for administrators (inside the main file)
+const UserRoleManager = ({ users, userId, handleAssignRole }) => (
+  <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+    <h3 className="text-xl font-bold text-indigo-700 mb-4">User Roles</h3>
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {users.map(user => (
+            <tr key={user.id}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                <div className="font-medium">{user.displayName || user.email || 'Unnamed account'}</div>
+                <div className="font-mono text-xs text-gray-500">{user.id}</div>
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm">
+                <select
+                  value={user.role || 'pending'}
+                  disabled={user.id === userId}
+                  onChange={(e) => handleAssignRole(user.id, e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition disabled:bg-gray-100"
+                >
+                  {USER_ROLES.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+// Comment List Component for teacher comments on an assessment or subject (inside the main file)
+const CommentList = ({ comments, onAddComment }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [text, setText] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onAddComment(text.trim());
+    setText('');
+    setIsAdding(false);
+  };
+
+  if (comments.length === 0 && !onAddComment) return null;
+
+  return (
+    <div className="text-xs whitespace-normal">
+      {comments.map(comment => (
+        <p key={comment.id} className="mt-1 pl-2 border-l-2 border-indigo-200 text-gray-600">
+          {comment.text}
+          <span className="ml-1 text-gray-400">{comment.authorName ? `- ${comment.authorName}` : ''}</span>
+        </p>
+      ))}
+      {onAddComment && (isAdding ? (
+        <form onSubmit={handleSubmit} className="mt-1 flex gap-2">
+          <input
+            type="text"
+            placeholder="Add a comment"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="flex-1 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          />
+          <button type="submit" className="text-indigo-600 hover:underline">Post</button>
+          <button type="button" onClick={() => setIsAdding(false)} className="text-gray-500 hover:underline">Cancel</button>
+        </form>
+      ) : (
+        <button type="button" onClick={() => setIsAdding(true)} className="mt-1 text-indigo-600 hover:underline">
+          Comment
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Messages Panel Component listing the user's threads with the open conversation. Teachers can start
+// a thread with a student or a linked parent; students and parents start one from their grades (inside the main file)
+const MessagesPanel = ({
+  userId, threads, activeThread, threadMessages, studentRecords,
+  handleOpenThread, handleCloseThread, handleSendMessage, handleMarkThreadRead
+}) => {
+  const [recordId, setRecordId] = useState('');
+  const [recipientId, setRecipientId] = useState('');
+  const record = studentRecords?.find(r => r.id === recordId);
+
+  // A thread is labelled with the other participant and the student it is about
+  const getThreadLabel = (thread) => {
+    if (thread.teacherId === userId) {
+      const name = thread.participantNames?.[thread.otherId] || (thread.otherRole === 'parent' ? 'Parent' : 'Student');
+      return `${name} (${thread.studentName})`;
+    }
+    return `${thread.participantNames?.[thread.teacherId] || `${thread.topic || 'Class'} teacher`} (${thread.studentName})`;
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    if (!record || !recipientId) return;
+    handleOpenThread({
+      record,
+      teacherId: userId,
+      otherId: recipientId,
+      otherRole: recipientId === record.studentUid ? 'student' : 'parent',
+      topic: null,
+    });
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Messages</h3>
+      {studentRecords && (
+        <form onSubmit={handleStart} className="grid sm:grid-cols-3 gap-4 mb-4">
+          <select
+            value={recordId}
+            onChange={(e) => { setRecordId(e.target.value); setRecipientId(''); }}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Select a Student</option>
+            {studentRecords.map(student => (
+              <option key={student.id} value={student.id}>{student.studentName}</option>
+            ))}
+          </select>
+          <select
+            value={recipientId}
+            onChange={(e) => setRecipientId(e.target.value)}
+            disabled={!record}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Select a Recipient</option>
+            {record?.studentUid && <option value={record.studentUid}>{record.studentName} (student)</option>}
+            {record && (record.parentIds || []).map(parentId => (
+              <option key={parentId} value={parentId}>{record.parentLinks?.[parentId]?.name || parentId} (parent)</option>
+            ))}
+          </select>
+          <button type="submit" disabled={!recipientId} className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors disabled:opacity-50">
+            Open Conversation
+          </button>
+        </form>
+      )}
+      <div className="grid md:grid-cols-3 gap-4">
+        <ul className="divide-y divide-gray-200 text-sm md:border-r md:pr-4">
+          {threads.length === 0 && <li className="py-2 text-gray-500">No conversations yet.</li>}
+          {threads.map(thread => (
+            <li key={thread.id}>
+              <button
+                type="button"
+                onClick={() => handleOpenThread({ threadId: thread.id })}
+                className={`w-full text-left py-2 px-2 rounded-lg ${activeThread?.id === thread.id ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+              >
+                <span className={isThreadUnread(thread, userId) ? 'font-semibold text-gray-900' : 'text-gray-700'}>
+                  {getThreadLabel(thread)}
+                </span>
+                {isThreadUnread(thread, userId) && <span className="ml-2 inline-block w-2 h-2 rounded-full bg-indigo-600"></span>}
+                <span className="block text-xs text-gray-500 truncate">{thread.lastMessage}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="md:col-span-2">
+          {activeThread ? (
+            <MessageThreadView
+              userId={userId}
+              thread={activeThread}
+              title={getThreadLabel(activeThread)}
+              messages={threadMessages}
+              handleSendMessage={handleSendMessage}
+              handleMarkThreadRead={handleMarkThreadRead}
+              handleCloseThread={handleCloseThread}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">Select a conversation to read it.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Message Thread View Component showing one conversation with read receipts (inside the main file)
+const MessageThreadView = ({ userId, thread, title, messages, handleSendMessage, handleMarkThreadRead, handleCloseThread }) => {
+  const [text, setText] = useState('');
+  const markedAt = useRef(null); // Latest message already marked as read, so it is only written once
+  const isUnread = isThreadUnread(thread, userId);
+
+  // Opening a thread, or a new message arriving while it is open, marks it as read
+  useEffect(() => {
+    if (!isUnread || markedAt.current === thread.lastMessageAt) return;
+    markedAt.current = thread.lastMessageAt;
+    handleMarkThreadRead(thread.id);
+  }, [isUnread, thread.id, thread.lastMessageAt, handleMarkThreadRead]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    if (await handleSendMessage(text.trim())) setText('');
+  };
+
+  // The other participant has seen everything up to the time they last opened the thread
+  const otherId = thread.teacherId === userId ? thread.otherId : thread.teacherId;
+  const otherLastRead = thread.lastReadAt?.[otherId] || '';
+  const lastOwnMessage = [...messages].reverse().find(message => message.senderId === userId);
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex justify-between items-center mb-2">
+        <h4 className="font-semibold text-gray-700">
+          {title}
+          {thread.topic && <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">{thread.topic}</span>}
+        </h4>
+        <button type="button" onClick={handleCloseThread} className="text-sm text-gray-500 hover:underline">Close</button>
+      </div>
+      <ul className="flex-1 space-y-2 max-h-80 overflow-y-auto mb-2">
+        {messages.length === 0 && <li className="text-sm text-gray-500">No messages yet. Write the first one below.</li>}
+        {messages.map(message => (
+          <li key={message.id} className={`flex flex-col ${message.senderId === userId ? 'items-end' : 'items-start'}`}>
+            <span className={`px-3 py-2 rounded-lg text-sm max-w-md ${message.senderId === userId ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-800'}`}>
+              {message.text}
+            </span>
+            <span className="text-xs text-gray-400">
+              {new Date(message.createdAt).toLocaleString()}
+              {message.id === lastOwnMessage?.id && (otherLastRead >= message.createdAt ? ' - Seen' : ' - Sent')}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          placeholder="Write a message"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Notification Center Component with a student's or parent's alerts and alert preferences (inside the main file)
+const NotificationCenter = ({ notifications, notificationPreferences, handleMarkNotificationsRead, handleSaveNotificationPreferences }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const unread = notifications.filter(notification => !notification.read);
+
+  return (
+    <div className="w-full max-w-5xl mb-6">
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="px-4 py-2 bg-white text-indigo-600 font-semibold rounded-full shadow-md hover:bg-indigo-50 transition-colors"
+        >
+          Notifications
+          {unread.length > 0 && (
+            <span className="ml-2 px-2 py-0.5 rounded-full bg-red-600 text-white text-xs">{unread.length}</span>
+          )}
+        </button>
+      </div>
+      {isOpen && (
+        <div className="mt-2 p-4 bg-white rounded-lg shadow-xl space-y-4">
+          <div className="flex justify-between items-center">
+            <h3 className="text-lg font-bold text-indigo-700">Notifications</h3>
+            <div className="flex gap-4 text-sm">
+              {unread.length > 0 && (
+                <button type="button" onClick={() => handleMarkNotificationsRead(unread.map(n => n.id))} className="text-indigo-600 hover:underline">
+                  Mark all as read
+                </button>
+              )}
+              <button type="button" onClick={() => setShowPreferences(!showPreferences)} className="text-gray-600 hover:underline">
+                {showPreferences ? 'Hide settings' : 'Settings'}
+              </button>
+            </div>
+          </div>
+          {showPreferences && (
+            <NotificationPreferencesForm
+              preferences={notificationPreferences}
+              handleSaveNotificationPreferences={handleSaveNotificationPreferences}
+            />
+          )}
+          {notifications.length > 0 ? (
+            <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {notifications.map(notification => (
+                <li key={notification.id} className={`py-2 flex justify-between gap-4 ${notification.read ? 'text-gray-500' : ''}`}>
+                  <div>
+                    <p className={notification.read ? 'font-medium' : 'font-semibold text-gray-900'}>{notification.title}</p>
+                    <p className="text-sm">{notification.message}</p>
+                    <p className="text-xs text-gray-400">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                  {!notification.read && (
+                    <button type="button" onClick={() => handleMarkNotificationsRead([notification.id])} className="text-xs text-indigo-600 hover:underline whitespace-nowrap">
+                      Mark as read
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">You have no notifications.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Notification Preferences Form Component for choosing alerts and how they arrive (inside the main file)
+const NotificationPreferencesForm = ({ preferences, handleSaveNotificationPreferences }) => {
+  const [draft, setDraft] = useState(preferences);
+
+  // Reload the form whenever the stored preferences change
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const threshold = parseFloat(draft.lowAverageThreshold);
+    if (isNaN(threshold)) return;
+    handleSaveNotificationPreferences({ ...draft, lowAverageThreshold: threshold });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-indigo-50 rounded-xl space-y-3 text-sm">
+      <p className="font-medium text-gray-700">Tell me when</p>
+      {NOTIFICATION_TYPES.map(type => (
+        <label key={type.value} className="flex items-center gap-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={draft.types[type.value]}
+            onChange={(e) => setDraft({ ...draft, types: { ...draft.types, [type.value]: e.target.checked } })}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          {type.label}
+        </label>
+      ))}
+      <label className="flex items-center gap-2 text-gray-600">
+        Threshold
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={draft.lowAverageThreshold}
+          onChange={(e) => setDraft({ ...draft, lowAverageThreshold: e.target.value })}
+          className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        %
+      </label>
+      <p className="font-medium text-gray-700">Send alerts</p>
+      {NOTIFICATION_CHANNELS.map(channel => (
+        <label key={channel.id} className="flex items-center gap-2 text-gray-600">
+          <input
+            type="checkbox"
+            checked={Boolean(draft.channels[channel.id])}
+            onChange={(e) => setDraft({ ...draft, channels: { ...draft.channels, [channel.id]: e.target.checked } })}
+            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+          />
+          {channel.label}
+        </label>
+      ))}
+      <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+        Save Settings
+      </button>
+    </form>
+  );
+};
+
+// Sync Status Bar Component showing the connection and the writes still waiting for the server (inside the main file)
+const SyncStatusBar = ({ isOnline, isUsingCache, pendingWrites, pendingRecordCount, handleRetryWrite, handleDismissWrite }) => {
+  const failedWrites = pendingWrites.filter(write => write.status === 'failed');
+  const waitingWrites = pendingWrites.filter(write => write.status === 'pending');
+  if (isOnline && !isUsingCache && pendingWrites.length === 0 && pendingRecordCount === 0) return null;
+
+  return (
+    <div className="w-full max-w-5xl mb-6 p-4 bg-white rounded-lg shadow-md space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-4">
+        <span className={`font-semibold ${isOnline ? 'text-green-700' : 'text-amber-700'}`}>
+          {isOnline ? 'Online' : 'Offline: changes are saved on this device and sent when you reconnect'}
+        </span>
+        {isOnline && isUsingCache && <span className="text-gray-500">Reconnecting to the server...</span>}
+        {(waitingWrites.length > 0 || pendingRecordCount > 0) && (
+          <span className="text-amber-700">
+            {/* Writes queued before a reload are no longer listed, but their records still show as pending */}
+            {waitingWrites.length > 0 ? `${waitingWrites.length} ${waitingWrites.length === 1 ? 'change' : 'changes'}` : 'Changes'} waiting to sync
+            {pendingRecordCount > 0 && ` across ${pendingRecordCount} ${pendingRecordCount === 1 ? 'record' : 'records'}`}
+          </span>
+        )}
+      </div>
+      {pendingWrites.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {pendingWrites.map(write => (
+            <li key={write.id} className="flex flex-wrap items-center justify-between gap-2 py-1">
+              <span className="text-gray-700">{write.label}</span>
+              {write.status === 'failed' ? (
+                <span className="flex items-center gap-3">
+                  <span className="text-red-600">Not saved ({write.error})</span>
+                  <button type="button" onClick={() => handleRetryWrite(write.id)} className="text-indigo-600 hover:underline">Retry</button>
+                  <button type="button" onClick={() => handleDismissWrite(write.id)} className="text-gray-500 hover:underline">Dismiss</button>
+                </span>
+              ) : (
+                <span className="text-amber-700">Waiting</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {failedWrites.length > 0 && (
+        <p className="text-red-600">The server rejected {failedWrites.length === 1 ? 'a change' : 'some changes'}. Retry, or dismiss and enter it again.</p>
+      )}
+    </div>
+  );
+};
+
+// Term Selector Component for switching the term being viewed (inside the main file)
+const TermSelector = ({ terms, activeTermId, setActiveTermId }) => {
+  if (terms.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2 mb-6">
+      <label htmlFor="term-selector" className="text-sm font-semibold text-gray-600">Term</label>
+      <select
+        id="term-selector"
+        value={activeTermId || ''}
+        onChange={(e) => setActiveTermId(e.target.value)}
+        className="px-4 py-2 bg-white border border-gray-300 rounded-full shadow-md text-sm focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      >
+        {terms.map(term => (
+          <option key={term.id} value={term.id}>
+            {term.name}{term.status === 'archived' ? ' (archived)' : ''}
+          </option>
+        ))}
+        <option value="">No term (earlier grades)</option>
+      </select>
+    </div>
+  );
+};
+
+// Term Manager Component for creating and archiving terms (inside the main file)
+const TermManager = ({ terms, handleAddTerm, handleArchiveTerm }) => {
+  const [termData, setTermData] = useState({ name: '', startDate: '', endDate: '' });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!termData.name.trim()) return;
+    handleAddTerm(termData);
+    setTermData({ name: '', startDate: '', endDate: '' });
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Academic Terms</h3>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="text"
+          placeholder="Term Name (e.g., Fall 2026)"
+          value={termData.name}
+          onChange={(e) => setTermData({ ...termData, name: e.target.value })}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <div className="grid sm:grid-cols-2 gap-4">
+          <input
+            type="date"
+            value={termData.startDate}
+            onChange={(e) => setTermData({ ...termData, startDate: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          />
+          <input
+            type="date"
+            value={termData.endDate}
+            onChange={(e) => setTermData({ ...termData, endDate: e.target.value })}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          />
+        </div>
+        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Add Term
+        </button>
+      </form>
+      <ul className="mt-6 divide-y divide-gray-200">
+        {terms.map(term => (
+          <li key={term.id} className="py-2 flex items-center justify-between text-sm">
+            <span>
+              <span className="font-medium text-gray-900">{term.name}</span>
+              <span className="ml-2 text-gray-500">{term.startDate} – {term.endDate}</span>
+            </span>
+            {term.status === 'archived' ? (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-200 text-gray-600">Archived</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => window.confirm(`Archive ${term.name}? Its grades will become read-only.`) && handleArchiveTerm(term.id)}
+                className="text-sm text-red-600 hover:underline"
+              >
+                Archive
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Download the records table for a term as CSV: one row per student with each subject's
+// average and letter grade
+const exportRecordsCsv = (studentRecords, subjects, term, gradingScale) => {
+  const header = ['Student Name', ...subjects.flatMap(subject => [`${subject.name} Average`, `${subject.name} Letter`])];
+  const rows = studentRecords.map(student => {
+    const termGrades = filterGradesByTerm(student.grades, term?.id);
+    return [
+      student.studentName,
+      ...subjects.flatMap(subject => {
+        const percent = getSubjectPercent(termGrades[subject.name], subject.gradingPolicy);
+        return [
+          percent === null ? '' : percent.toFixed(2),
+          getLetterGrade(percent, gradingScale)?.letter || '',
+        ];
+      }),
+    ];
+  });
+  const termLabel = term ? toFileLabel(term.name) : 'all';
+  downloadFile(`academic-records-${termLabel}.csv`, toCsv([header, ...rows]), 'text/csv;charset=utf-8');
+};
+
+// Page layout for report cards, in points on US letter paper
+const REPORT_CARD_MARGIN = 40;
+
+// Draw one student's report card for a term onto the current page of a PDF, adding pages as needed.
+// Averages come from the archived snapshot when the term is closed, like the transcript.
+const drawReportCard = (pdf, autoTable, { record, subjects, term, gradingScale, schoolProfile }) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const termGrades = filterGradesByTerm(record.grades, term?.id);
+  const results = getTermResults(record, term?.id, subjects);
+  let y = REPORT_CARD_MARGIN;
+
+  // Start a new page when the next block would run off the bottom
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - REPORT_CARD_MARGIN) {
+      pdf.addPage();
+      y = REPORT_CARD_MARGIN;
+    }
+  };
+
+  // School header
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.text(schoolProfile.name, pageWidth / 2, y, { align: 'center' });
+  y += 16;
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  [schoolProfile.address, schoolProfile.phone].filter(Boolean).forEach(line => {
+    pdf.text(line, pageWidth / 2, y, { align: 'center' });
+    y += 12;
+  });
+  y += 8;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(14);
+  pdf.text('Student Report Card', pageWidth / 2, y, { align: 'center' });
+  y += 10;
+  pdf.line(REPORT_CARD_MARGIN, y, pageWidth - REPORT_CARD_MARGIN, y);
+  y += 20;
+
+  // Student details
+  pdf.setFontSize(10);
+  [
+    ['Student', record.studentName],
+    ['Student ID', record.profile?.studentNumber || record.studentId],
+    ['Term', term ? term.name : 'Earlier grades'],
+    ['Issued', getTodayString()],
+  ].forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.text(`${label}:`, REPORT_CARD_MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.text(String(value || ''), REPORT_CARD_MARGIN + 70, y);
+    y += 14;
+  });
+  y += 10;
+
+  if (results.length === 0) {
+    pdf.text('No grades have been recorded for this term.', REPORT_CARD_MARGIN, y);
+    return;
+  }
+
+  // One heading and grade list per subject
+  results.forEach(result => {
+    const letter = result.letter !== undefined ? result.letter : getLetterGrade(result.percent, gradingScale)?.letter;
+    const average = result.percent === null ? 'N/A' : `${result.percent.toFixed(2)}%${letter ? ` (${letter})` : ''}`;
+    ensureSpace(60);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text(result.subject, REPORT_CARD_MARGIN, y);
+    pdf.setFontSize(10);
+    pdf.text(`Average: ${average}`, pageWidth - REPORT_CARD_MARGIN, y, { align: 'right' });
+    y += 6;
+    autoTable(pdf, {
+      startY: y,
+      margin: { left: REPORT_CARD_MARGIN, right: REPORT_CARD_MARGIN },
+      head: [['Assessment', 'Category', 'Date', 'Score']],
+      body: getAssessments(termGrades, result.subject).map(assessment => [
+        assessment.title,
+        getCategoryLabel(assessment.category),
+        assessment.date || '',
+        isMissingAssessment(assessment) ? 'Missing' : `${assessment.score}/${assessment.maxPoints}`,
+      ]),
+      styles: { fontSize: 9 },
+      headStyles: { fillColor: [79, 70, 229] },
+    });
+    y = pdf.lastAutoTable.finalY + 20;
+  });
+
+  // Overall summary
+  const overall = getMean(results.map(result => result.percent).filter(percent => percent !== null));
+  const overallLetter = getLetterGrade(overall, gradingScale)?.letter;
+  const gpa = computeGpa(results, gradingScale);
+  ensureSpace(40);
+  pdf.line(REPORT_CARD_MARGIN, y - 10, pageWidth - REPORT_CARD_MARGIN, y - 10);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.text(
+    `Overall Average: ${overall === null ? 'N/A' : `${overall.toFixed(2)}%${overallLetter ? ` (${overallLetter})` : ''}`}`,
+    REPORT_CARD_MARGIN,
+    y + 6
+  );
+  pdf.text(`Term GPA: ${gpa === null ? 'N/A' : gpa.toFixed(2)}`, pageWidth - REPORT_CARD_MARGIN, y + 6, { align: 'right' });
+};
+
+// Build report cards for one or more students into a single PDF, each starting on a new page,
+// and download it. The PDF libraries are only loaded the first time a report card is requested.
+const downloadReportCards = async (records, options, filename) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+  records.forEach((record, index) => {
+    if (index > 0) pdf.addPage();
+    drawReportCard(pdf, autoTable, { ...options, record });
+  });
+  pdf.save(filename);
+};
+
+// Report Card Button Component that downloads a PDF for one or more students (inside the main file)
+// Button downloading report cards for the given records, or for those getRecords loads when clicked
+const ReportCardButton = ({ records, getRecords, subjects, terms, activeTermId, gradingScale, schoolProfile, label, className }) => {
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleClick = async () => {
+    const term = terms.find(t => t.id === activeTermId);
+    const termLabel = term ? toFileLabel(term.name) : 'earlier-grades';
+    setIsGenerating(true);
+    setError('');
+    try {
+      const batch = getRecords ? await getRecords() : records;
+      const filename = batch.length === 1
+        ? `report-card-${toFileLabel(batch[0].studentName)}-${termLabel}.pdf`
+        : `report-cards-${termLabel}.pdf`;
+      await downloadReportCards(batch, { subjects, term, gradingScale, schoolProfile }, filename);
+    } catch (e) {
+      console.error("Error generating report cards:", e);
+      setError('Could not create the PDF. Please try again.');
+    }
+    setIsGenerating(false);
+  };
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={handleClick}
+        disabled={isGenerating || (!getRecords && records.length === 0)}
+        className={className || 'px-4 py-2 bg-white text-indigo-600 font-semibold rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-50'}
+      >
+        {isGenerating ? 'Preparing PDF...' : label}
+      </button>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// CSV Import Panel Component for student rosters and gradebooks (inside the main file)
+const CsvImportPanel = ({
+  studentRecords, allStudentRecords, subjects, sections, isActiveTermArchived,
+  handleImportRoster, handleImportGrades
+}) => {
+  const [mode, setMode] = useState('roster');
+  const [preview, setPreview] = useState(null);
+  const [sectionId, setSectionId] = useState('');
+  const [gradeOptions, setGradeOptions] = useState({ category: 'homework', date: getTodayString(), maxPoints: '100' });
+  const fileInputRef = useRef(null);
+
+  const resetImport = () => {
+    setPreview(null);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  // Parse and validate the chosen file. Rosters are checked against every record so a student
+  // is not added twice; gradebooks are matched against the students this teacher can see.
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const rows = parseCsv(await file.text());
+    setPreview(mode === 'roster'
+      ? validateRosterRows(rows, allStudentRecords)
+      : validateGradebookRows(rows, subjects, studentRecords));
+  };
+
+  const validRows = preview ? preview.rows.filter(row => row.errors.length === 0) : [];
+
+  const handleCommit = async () => {
+    if (validRows.length === 0) return;
+    const maxPoints = parseFloat(gradeOptions.maxPoints);
+    if (mode === 'grades' && !(maxPoints > 0)) return;
+    const imported = mode === 'roster'
+      ? await handleImportRoster(validRows, sectionId)
+      : await handleImportGrades(validRows, preview.columns, { ...gradeOptions, maxPoints });
+    if (imported) resetImport();
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Import from CSV</h3>
+      <div className="flex space-x-2 bg-gray-100 rounded-full p-1 mb-4 w-fit">
+        {[{ value: 'roster', label: 'Student Roster' }, { value: 'grades', label: 'Gradebook' }].map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => { setMode(option.value); resetImport(); }}
+            className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${mode === option.value ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-200'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {mode === 'roster'
+          ? 'One student per row, with a "Student Name" column.'
+          : 'One student and subject per row, with "Student Name" and "Subject" columns. Every other column is an assessment, titled by its header.'}
+      </p>
+
+      <div className="space-y-4">
+        {mode === 'roster' ? (
+          <select
+            value={sectionId}
+            onChange={(e) => setSectionId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Do not enroll in a section</option>
+            {sections.map(section => (
+              <option key={section.id} value={section.id}>Enroll in {section.name}</option>
+            ))}
+          </select>
+        ) : (
+          <div className="grid sm:grid-cols-3 gap-4">
+            <select
+              value={gradeOptions.category}
+              onChange={(e) => setGradeOptions({ ...gradeOptions, category: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              {ASSESSMENT_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={gradeOptions.date}
+              onChange={(e) => setGradeOptions({ ...gradeOptions, date: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+            <input
+              type="number"
+              placeholder="Max Points"
+              value={gradeOptions.maxPoints}
+              onChange={(e) => setGradeOptions({ ...gradeOptions, maxPoints: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+          </div>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          disabled={mode === 'grades' && isActiveTermArchived}
+          onChange={handleFileChange}
+          className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700 file:font-semibold hover:file:bg-indigo-100"
+        />
+      </div>
+
+      {preview?.error && <p className="mt-4 text-sm text-red-600">{preview.error}</p>}
+
+      {preview && !preview.error && (
+        <div className="mt-6 space-y-4">
+          <div className="overflow-x-auto rounded-xl border border-gray-200 max-h-96">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student Name</th>
+                  {mode === 'grades' && (
+                    <>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                      {preview.columns.map(column => (
+                        <th key={column.index} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{column.title}</th>
+                      ))}
+                    </>
+                  )}
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.rows.map(row => (
+                  <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-gray-500">{row.line}</td>
+                    <td className="px-4 py-2 text-gray-900">{row.studentName}</td>
+                    {mode === 'grades' && (
+                      <>
+                        <td className="px-4 py-2 text-gray-900">{row.subjectName}</td>
+                        {row.scores.map((score, index) => (
+                          <td key={index} className="px-4 py-2 text-gray-500">{score ?? ''}</td>
+                        ))}
+                      </>
+                    )}
+                    <td className={`px-4 py-2 ${row.errors.length > 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {row.errors.length > 0 ? row.errors.join('; ') : 'Ready'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <button type="button" onClick={resetImport} className="w-full bg-white text-indigo-600 font-semibold py-2 rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors">
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={validRows.length === 0}
+              onClick={handleCommit}
+              className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+              Import {validRows.length} of {preview.rows.length} Rows
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Records table of the teacher dashboard (inside the main file). Pages come in name order,
+// optionally only names starting with the search text. Teachers can sort their students by a
+// subject's average across every page. Administrators page through the whole school from the
+// server, which cannot order records by an average, so their table stays in name order.
+const StudentRecordsTable = ({
+  isAdmin, userId, recordsPage, pageNumber, search, sort, subjects, activeTermId, isActiveTermArchived,
+  pendingWrites, gradingScale, calculateAverage, handleSearch, handleNextPage, handlePreviousPage, handleSort,
+  handleUpdateStudent, handleDeleteStudent, handleUpdateGrade, handleDeleteGrade, handleAddComment
+}) => {
+  const [searchText, setSearchText] = useState(search);
+
+  const handleSortBySubject = (subjectId) => {
+    handleSort({
+      subjectId,
+      descending: sort?.subjectId === subjectId ? !sort.descending : true,
+    });
+  };
+
+  const rows = recordsPage.records.map(student => ({
+    student,
+    termGrades: filterGradesByTerm(student.grades, activeTermId),
+  }));
+  const sortSubject = sort && subjects.find(subject => subject.id === sort.subjectId);
+
+  return (
+    <div className="space-y-4">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSearch(searchText);
+        }}
+        className="flex gap-2"
+      >
+        <input
+          type="search"
+          placeholder="Search students by name"
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Search
+        </button>
+      </form>
+      {isAdmin && (
+        <p className="text-sm text-gray-600">
+          Students are listed by name. Sorting by a subject's average is not available across the whole school.
+        </p>
+      )}
+      <div className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                {isAdmin ? 'Student Name' : (
+                  <button type="button" onClick={() => handleSort(null)} className="uppercase tracking-wider hover:text-indigo-600">
+                    Student Name{!sort && ' ▲'}
+                  </button>
+                )}
+              </th>
+              {subjects.map(subject => (
+                <th key={subject.id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {isAdmin ? subject.name : (
+                    <button
+                      type="button"
+                      onClick={() => handleSortBySubject(subject.id)}
+                      title={`Sort students by ${subject.name} average`}
+                      className="uppercase tracking-wider hover:text-indigo-600"
+                    >
+                      {subject.name}{sort?.subjectId === subject.id && (sort.descending ? ' ▼' : ' ▲')}
+                    </button>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.length > 0 ? (
+              rows.map(({ student, termGrades }) => (
+                <tr key={student.studentId}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 align-top">
+                    <StudentNameCell
+                      student={student}
+                      studentPath={getStudentPath(isAdmin ? 'admin' : 'teacher', student.id)}
+                      isSyncFailed={pendingWrites.some(write => write.status === 'failed' && write.recordIds.includes(student.id))}
+                      canDelete={isAdmin || (student.createdBy === userId && !student.studentUid)}
+                      handleUpdateStudent={handleUpdateStudent}
+                      handleDeleteStudent={handleDeleteStudent}
+                    />
+                  </td>
+                  {subjects.map(subject => (
+                    <td key={subject.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 align-top">
+                      <div className="font-semibold text-indigo-600 mb-1">
+                        {calculateAverage(termGrades[subject.name], subject.gradingPolicy)}
+                        <span className="ml-2 text-gray-500">
+                          {getLetterGrade(getSubjectPercent(termGrades[subject.name], subject.gradingPolicy), gradingScale)?.letter}
+                        </span>
+                      </div>
+                      {/* Grades in an archived term stay as they were when it closed */}
+                      <AssessmentList
+                        assessments={getAssessments(termGrades, subject.name)}
+                        record={student}
+                        subject={subject.name}
+                        onAddComment={(assessmentId, text) => handleAddComment(student.id, subject.name, assessmentId, text)}
+                        onUpdate={isActiveTermArchived ? null : (assessmentId, changes, reason) => (
+                          handleUpdateGrade(student.id, subject.name, assessmentId, changes, reason)
+                        )}
+                        onDelete={isActiveTermArchived ? null : (assessmentId, reason) => (
+                          handleDeleteGrade(student.id, subject.name, assessmentId, reason)
+                        )}
+                      />
+                      <CommentList
+                        comments={getComments(student, subject.name, null)}
+                        onAddComment={text => handleAddComment(student.id, subject.name, null, text)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={subjects.length + 1} className="text-center py-8 text-gray-500">
+                  {recordsPage.isLoading && 'Loading students...'}
+                  {!recordsPage.isLoading && search && `No students found whose name starts with "${search}".`}
+                  {!recordsPage.isLoading && !search && (isAdmin
+                    ? 'No student records found. Add a student to get started.'
+                    : 'No students in your sections yet. Create a section and enroll students to get started.')}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <button
+          type="button"
+          onClick={handlePreviousPage}
+          disabled={pageNumber === 1}
+          className="px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>Page {pageNumber}{sortSubject && ` · sorted by ${sortSubject.name} average`}</span>
+        <button
+          type="button"
+          onClick={handleNextPage}
+          disabled={!recordsPage.hasNextPage}
+          className="px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Section Manager Component for creating class sections and managing their rosters (inside the main file)
+const SectionManager = ({
+  isAdmin, userId, sections, subjects, teachers, studentRecords, isActiveTermArchived,
+  handleAddSection, handleDeleteSection, handleEnrollStudent, handleUnenrollStudent, handleSearchStudents
+}) => {
+  const [sectionData, setSectionData] = useState({ name: '', subjectId: '', teacherId: '' });
+  const [selectedSectionId, setSelectedSectionId] = useState('');
+  const [studentSearch, setStudentSearch] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null until a search has been run
+
+  const selectedSection = sections.find(section => section.id === selectedSectionId);
+  const roster = selectedSection
+    ? studentRecords.filter(record => (selectedSection.studentIds || []).includes(record.id))
+    : [];
+  const unenrolled = selectedSection && searchResults
+    ? searchResults.filter(record => !(selectedSection.studentIds || []).includes(record.id))
+    : [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!sectionData.subjectId) return;
+    // Teachers always create sections for themselves; administrators choose the teacher
+    handleAddSection({ ...sectionData, teacherId: isAdmin ? sectionData.teacherId : userId });
+    setSectionData({ name: '', subjectId: '', teacherId: '' });
+  };
+
+  // Students are looked up on the server by the start of their name, rather than listing the
+  // whole school
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!studentSearch.trim()) return;
+    try {
+      setSearchResults(await handleSearchStudents(studentSearch));
+    } catch (error) {
+      console.error("Error searching students:", error);
+      setSearchResults([]);
+    }
+  };
+
+  const handleEnroll = (record) => {
+    handleEnrollStudent(selectedSectionId, record);
+    setSearchResults(results => results.filter(result => result.id !== record.id));
+  };
+
+  const getTeacherName = (teacherId) => {
+    const teacher = teachers.find(t => t.id === teacherId);
+    if (teacherId === userId) return 'You';
+    return teacher?.displayName || teacher?.email || teacherId;
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Class Sections</h3>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <fieldset disabled={isActiveTermArchived} className="space-y-4 disabled:opacity-60">
+          <div className={`grid gap-4 ${isAdmin ? 'sm:grid-cols-3' : 'sm:grid-cols-2'}`}>
+            <input
+              type="text"
+              placeholder="Section Name (e.g., Algebra - Period 2)"
+              value={sectionData.name}
+              onChange={(e) => setSectionData({ ...sectionData, name: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+            <select
+              value={sectionData.subjectId}
+              onChange={(e) => setSectionData({ ...sectionData, subjectId: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              <option value="">Select a Subject</option>
+              {subjects.map(subject => (
+                <option key={subject.id} value={subject.id}>{subject.name}</option>
+              ))}
+            </select>
+            {isAdmin && (
+              <select
+                value={sectionData.teacherId}
+                onChange={(e) => setSectionData({ ...sectionData, teacherId: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+              >
+                <option value="">Select a Teacher</option>
+                <option value={userId}>Myself</option>
+                {teachers.map(teacher => (
+                  <option key={teacher.id} value={teacher.id}>{teacher.displayName || teacher.email || teacher.id}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+            Add Section
+          </button>
+        </fieldset>
+      </form>
+
+      <div className="grid md:grid-cols-2 gap-6 mt-6 text-sm">
+        <ul className="divide-y divide-gray-200">
+          {sections.length === 0 && <li className="py-2 text-gray-500">No sections in this term yet.</li>}
+          {sections.map(section => (
+            <li key={section.id} className="py-2 flex items-center justify-between">
+              <button
+                type="button"
+                onClick={() => setSelectedSectionId(section.id)}
+                className={`text-left ${section.id === selectedSectionId ? 'font-semibold text-indigo-700' : 'text-gray-900 hover:text-indigo-600'}`}
+              >
+                {section.name}
+                <span className="ml-2 text-gray-500">
+                  {section.subjectName} · {(section.studentIds || []).length} students
+                  {isAdmin && ` · ${getTeacherName(section.teacherId)}`}
+                </span>
+              </button>
+              <button type="button" onClick={() => handleDeleteSection(section.id)} className="text-red-600 hover:underline">
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {selectedSection && (
+          <div className="space-y-4">
+            <h4 className="font-semibold text-gray-700">Roster: {selectedSection.name}</h4>
+            <form onSubmit={handleSearch} className="flex gap-2">
+              <input
+                type="search"
+                placeholder="Find a student to enroll by name"
+                value={studentSearch}
+                onChange={(e) => setStudentSearch(e.target.value)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+              />
+              <button type="submit" className="px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+                Search
+              </button>
+            </form>
+            {searchResults && (
+              <ul className="divide-y divide-gray-200">
+                {unenrolled.length === 0 && (
+                  <li className="py-2 text-gray-500">
+                    No students to enroll match that name.
+                    {!isAdmin && ' You can find the students you teach or added. Ask an administrator to enroll anyone else.'}
+                  </li>
+                )}
+                {unenrolled.map(record => (
+                  <li key={record.id} className="py-2 flex items-center justify-between">
+                    <span className="text-gray-900">{record.studentName}</span>
+                    <button type="button" onClick={() => handleEnroll(record)} className="text-indigo-600 hover:underline">
+                      Enroll
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <ul className="divide-y divide-gray-200">
+              {roster.length === 0 && <li className="py-2 text-gray-500">No students enrolled.</li>}
+              {roster.map(record => (
+                <li key={record.id} className="py-2 flex items-center justify-between">
+                  <span className="text-gray-900">{record.studentName}</span>
+                  <button type="button" onClick={() => handleUnenrollStudent(selectedSection.id, record.id)} className="text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Parent Access Panel Component for invite codes and parent links (inside the main file)
+const ParentAccessPanel = ({ studentRecords, inviteCodes, handleCreateInviteCode, handleDeleteInviteCode, handleUnlinkParent }) => {
+  const [recordId, setRecordId] = useState('');
+  const record = studentRecords.find(s => s.id === recordId);
+  const pendingCodes = inviteCodes.filter(invite => invite.recordId === recordId);
+  const parentLinks = record?.parentLinks || {};
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Parent Access</h3>
+      <div className="grid sm:grid-cols-2 gap-4">
+        <select
+          value={recordId}
+          onChange={(e) => setRecordId(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        >
+          <option value="">Select a Student</option>
+          {studentRecords.map(student => (
+            <option key={student.id} value={student.id}>{student.studentName}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={!recordId}
+          onClick={() => handleCreateInviteCode(recordId)}
+          className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          Generate Invite Code
+        </button>
+      </div>
+      {record && (
+        <div className="grid sm:grid-cols-2 gap-6 mt-6 text-sm">
+          <div>
+            <h4 className="font-semibold text-gray-700 mb-2">Unused Invite Codes</h4>
+            {pendingCodes.length === 0 ? (
+              <p className="text-gray-500">No unused codes.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {pendingCodes.map(invite => (
+                  <li key={invite.id} className="py-2 flex items-center justify-between">
+                    <span className="font-mono bg-gray-100 rounded-md px-2 py-1">{invite.code}</span>
+                    <button type="button" onClick={() => handleDeleteInviteCode(invite.code)} className="text-red-600 hover:underline">
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div>
+            <h4 className="font-semibold text-gray-700 mb-2">Linked Parents</h4>
+            {(record.parentIds || []).length === 0 ? (
+              <p className="text-gray-500">No parents linked yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {record.parentIds.map(parentUid => (
+                  <li key={parentUid} className="py-2 flex items-center justify-between">
+                    <span>
+                      <span className="text-gray-900">{parentLinks[parentUid]?.name || 'Parent account'}</span>
+                      <span className="ml-2 font-mono text-xs text-gray-500">{parentUid}</span>
+                    </span>
+                    <button type="button" onClick={() => handleUnlinkParent(record.id, parentUid)} className="text-red-600 hover:underline">
+                      Unlink
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Invite Code Form Component for parents linking to a child (inside the main file)
+const InviteCodeForm = ({ handleRedeemInviteCode }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    handleRedeemInviteCode(code);
+    setCode('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 bg-indigo-50 rounded-xl shadow-inner space-y-4">
+      <h3 className="text-lg font-bold text-indigo-700">Link a Child</h3>
+      <p className="text-sm text-gray-600">Enter the invite code you received from your child's teacher.</p>
+      <div className="grid sm:grid-cols-3 gap-4">
+        <input
+          type="text"
+          placeholder="Invite Code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="sm:col-span-2 w-full px-4 py-2 border border-gray-300 rounded-lg font-mono uppercase focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Link
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Transcript View Component listing every term's final marks and GPA (inside the main file)
+const TranscriptView = ({ record, subjects, terms, gradingScale }) => {
+  // Grades recorded before terms existed are listed first, then each term in order
+  const sections = [
+    { id: '', name: 'Earlier Grades', results: getSubjectResults(filterGradesByTerm(record.grades, null), subjects) },
+    ...terms.map(term => ({
+      id: term.id,
+      name: term.status === 'archived' ? term.name : `${term.name} (in progress)`,
+      results: getTermResults(record, term.id, subjects),
+    })),
+  ].filter(section => section.results.length > 0);
+
+  const cumulativeGpa = computeGpa(getAllTermResults(record, terms, subjects), gradingScale);
+
+  if (sections.length === 0) {
+    return <p className="text-gray-500">No grades have been recorded yet.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {sections.map(section => {
+        const termGpa = computeGpa(section.results, gradingScale);
+        return (
+          <div key={section.id || 'none'} className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
+            <div className="px-6 py-3 bg-indigo-50 flex justify-between">
+              <span className="font-semibold text-indigo-700">{section.name}</span>
+              <span className="text-sm text-gray-600">Term GPA: {termGpa === null ? 'N/A' : termGpa.toFixed(2)}</span>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Final Mark</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Letter</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {section.results.map(result => (
+                  <tr key={result.subject}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{result.subject}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{result.credits}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {result.percent === null ? 'N/A' : result.percent.toFixed(2)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-indigo-600">
+                      {result.letter !== undefined ? result.letter || 'N/A' : getLetterGrade(result.percent, gradingScale)?.letter || 'N/A'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+      <p className="text-right font-semibold text-gray-700">
+        Cumulative GPA: {cumulativeGpa === null ? 'N/A' : cumulativeGpa.toFixed(2)}
+      </p>
+    </div>
+  );
+};
+
+// Transcript Panel Component for looking up any student's transcript (inside the main file)
+const TranscriptPanel = ({ studentRecords, subjects, terms, gradingScale }) => {
+  const [studentId, setStudentId] = useState('');
+  const record = studentRecords.find(s => s.studentId === studentId);
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Student Transcript</h3>
+      <select
+        value={studentId}
+        onChange={(e) => setStudentId(e.target.value)}
+        className="w-full px-4 py-2 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      >
+        <option value="">Select a Student</option>
+        {studentRecords.map(student => (
+          <option key={student.studentId} value={student.studentId}>{student.studentName}</option>
+        ))}
+      </select>
+      {record && <TranscriptView record={record} subjects={subjects} terms={terms} gradingScale={gradingScale} />}
+    </div>
+  );
+};
+
+// Report Card Panel Component for printing one student's report card or the whole class at once (inside the main file)
+const ReportCardPanel = ({ studentRecords, isAdmin, getTableRecords, subjects, terms, activeTermId, gradingScale, schoolProfile }) => {
+  const [studentId, setStudentId] = useState('');
+  const record = studentRecords.find(s => s.studentId === studentId);
+  const reportCardProps = { subjects, terms, activeTermId, gradingScale, schoolProfile };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Report Cards</h3>
+      <p className="text-sm text-gray-500 mb-4">Report cards cover the term selected above.</p>
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <select
+            value={studentId}
+            onChange={(e) => setStudentId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Select a Student</option>
+            {studentRecords.map(student => (
+              <option key={student.studentId} value={student.studentId}>{student.studentName}</option>
+            ))}
+          </select>
+          <ReportCardButton records={record ? [record] : []} label="Download Report Card" {...reportCardProps} />
+        </div>
+        <div>
+          {/* Administrators' records table covers the whole school, read when the report cards are made */}
+          <ReportCardButton
+            getRecords={getTableRecords}
+            label={isAdmin ? 'Download All Report Cards' : `Download All Report Cards (${studentRecords.length})`}
+            {...reportCardProps}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Grading Scale Editor Component (inside the main file)
+const GradingScaleEditor = ({ gradingScale, handleSaveGradingScale }) => {
+  const [rows, setRows] = useState(() => gradingScale.map(range => ({ ...range })));
+
+  // Reload the form whenever the stored scale changes
+  useEffect(() => {
+    setRows(gradingScale.map(range => ({ ...range })));
+  }, [gradingScale]);
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const ranges = rows
+      .map(row => ({ letter: String(row.letter).trim(), min: parseFloat(row.min), points: parseFloat(row.points) }))
+      .filter(row => row.letter);
+    if (ranges.length === 0 || ranges.some(row => isNaN(row.min) || isNaN(row.points))) return;
+    handleSaveGradingScale(ranges.sort((a, b) => b.min - a.min));
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Grading Scale</h3>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <th className="py-1">Letter</th>
+              <th className="py-1">Minimum %</th>
+              <th className="py-1">Grade Points</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                {['letter', 'min', 'points'].map(field => (
+                  <td key={field} className="py-1 pr-2">
+                    <input
+                      type={field === 'letter' ? 'text' : 'number'}
+                      step="0.1"
+                      value={row[field]}
+                      onChange={(e) => updateRow(index, field, e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+                    />
+                  </td>
+                ))}
+                <td className="py-1 text-right">
+                  <button type="button" onClick={() => setRows(rows.filter((_, i) => i !== index))} className="text-sm text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="grid sm:grid-cols-2 gap-4">
+          <button type="button" onClick={() => setRows([...rows, { letter: '', min: '', points: '' }])} className="w-full bg-white text-indigo-600 font-semibold py-2 rounded-lg border border-indigo-600 hover:bg-indigo-50 transition-colors">
+            Add Range
+          </button>
+          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+            Save Scale
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// School Profile Editor Component for the details printed on report cards (inside the main file)
+const SchoolProfileEditor = ({ schoolProfile, handleSaveSchoolProfile }) => {
+  const [profile, setProfile] = useState(schoolProfile);
+
+  // Reload the form whenever the stored details change
+  useEffect(() => {
+    setProfile(schoolProfile);
+  }, [schoolProfile]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleSaveSchoolProfile(profile);
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">School Details</h3>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          type="text"
+          value={profile.name}
+          onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+          placeholder="School name"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <input
+          type="text"
+          value={profile.address}
+          onChange={(e) => setProfile({ ...profile, address: e.target.value })}
+          placeholder="Address"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <input
+          type="text"
+          value={profile.phone}
+          onChange={(e) => setProfile({ ...profile, phone: e.target.value })}
+          placeholder="Phone"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
+          Save Details
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// GPA Summary Component (inside the main file)
+const GpaSummary = ({ termGpa, cumulativeGpa }) => (
+  <div className="grid sm:grid-cols-2 gap-4">
+    <div className="p-4 bg-indigo-50 rounded-xl shadow-inner">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Term GPA</p>
+      <p className="text-2xl font-bold text-indigo-700">{termGpa === null ? 'N/A' : termGpa.toFixed(2)}</p>
+    </div>
+    <div className="p-4 bg-indigo-50 rounded-xl shadow-inner">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Cumulative GPA</p>
+      <p className="text-2xl font-bold text-indigo-700">{cumulativeGpa === null ? 'N/A' : cumulativeGpa.toFixed(2)}</p>
+    </div>
+  </div>
+);
+
+// Assessment List Component with each assessment's teacher comments. Grades can be corrected or
+// deleted in place when onUpdate and onDelete are given; every change asks for a reason for the
+// audit log. Teachers can comment when onAddComment is given (inside the main file)
+const AssessmentList = ({ assessments, record, subject, onUpdate, onDelete, onAddComment }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  if (assessments.length === 0) {
+    return <span className="text-gray-400">No assessments</span>;
+  }
+
+  const handleDelete = (assessment) => {
+    const reason = window.prompt(`Why are you deleting "${assessment.title}"?`);
+    if (reason && reason.trim()) onDelete(assessment.id, reason);
+  };
+
+  return (
+    <ul className="space-y-1">
+      {assessments.map(assessment => (
+        editingId === assessment.id ? (
+          <li key={assessment.id}>
+            <GradeEditForm
+              assessment={assessment}
+              onSave={async (changes, reason) => {
+                if (await onUpdate(assessment.id, changes, reason)) setEditingId(null);
+              }}
+              onCancel={() => setEditingId(null)}
+            />
+          </li>
+        ) : (
+          <li key={assessment.id}>
+            <div className="flex items-baseline gap-2">
+              <span className="font-medium text-gray-700">{assessment.title}</span>
+              <span className="text-xs px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">{getCategoryLabel(assessment.category)}</span>
+              {isMissingAssessment(assessment) ? (
+                <span className="text-red-600 font-medium">Missing</span>
+              ) : (
+                <span className="text-gray-600">{assessment.score}/{assessment.maxPoints}</span>
+              )}
+              {assessment.date && <span className="text-xs text-gray-400">{assessment.date}</span>}
+              {onUpdate && (
+                <button type="button" onClick={() => setEditingId(assessment.id)} className="text-xs text-indigo-600 hover:underline">
+                  Edit
+                </button>
+              )}
+              {onDelete && (
+                <button type="button" onClick={() => handleDelete(assessment)} className="text-xs text-red-600 hover:underline">
+                  Delete
+                </button>
+              )}
+            </div>
+            <CommentList
+              comments={getComments(record, subject, assessment.id)}
+              onAddComment={onAddComment ? text => onAddComment(assessment.id, text) : null}
+            />
+          </li>
+        )
+      ))}
+    </ul>
+  );
+};
+
+// Grade Edit Form Component for correcting one assessment in place (inside the main file)
+const GradeEditForm = ({ assessment, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({
+    title: assessment.title,
+    category: assessment.category || '',
+    date: assessment.date || '',
+    score: assessment.score === null ? '' : String(assessment.score),
+    maxPoints: String(assessment.maxPoints),
+    missing: isMissingAssessment(assessment),
+  });
+  const [reason, setReason] = useState('');
+
+  const score = draft.missing ? null : parseFloat(draft.score);
+  const maxPoints = parseFloat(draft.maxPoints);
+  const isValid = draft.title.trim() && reason.trim() && maxPoints > 0 && (score === null || !isNaN(score));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    onSave({
+      title: draft.title.trim(),
+      category: draft.category || null,
+      date: draft.date || null,
+      score,
+      maxPoints,
+      missing: draft.missing,
+    }, reason.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200 whitespace-normal">
+      <input
+        type="text"
+        value={draft.title}
+        onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+        className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={draft.category}
+          onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+          className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        >
+          <option value="">Uncategorized</option>
+          {ASSESSMENT_CATEGORIES.map(category => (
+            <option key={category.value} value={category.value}>{category.label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={draft.date}
+          onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+          className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+        <input
+          type="number"
+          placeholder="Score"
+          value={draft.missing ? '' : draft.score}
+          disabled={draft.missing}
+          onChange={(e) => setDraft({ ...draft, score: e.target.value })}
+          className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition disabled:bg-gray-100"
+        />
+        <input
+          type="number"
+          placeholder="Max Points"
+          value={draft.maxPoints}
+          onChange={(e) => setDraft({ ...draft, maxPoints: e.target.value })}
+          className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={draft.missing}
+          onChange={(e) => setDraft({ ...draft, missing: e.target.checked })}
+          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+        />
+        Missing work
+      </label>
+      <input
+        type="text"
+        placeholder="Reason for the change"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      />
+      <div className="flex gap-2">
+        <button type="submit" disabled={!isValid} className="px-3 py-1 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+          Save
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:underline">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Inline Rename Form Component used to correct student and subject names (inside the main file)
+const InlineRenameForm = ({ value, onSave, onCancel }) => {
+  const [name, setName] = useState(value);
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (name.trim() && reason.trim()) onSave(name, reason);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      />
+      <input
+        type="text"
+        placeholder="Reason for the change"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className="w-full px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+      />
+      <div className="flex gap-2">
+        <button type="submit" disabled={!name.trim() || !reason.trim()} className="px-3 py-1 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+          Save
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:underline">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Student Profile Panel Component for a student's details, enrollment and login account (inside the main file).
+// Administrators link and unlink the student's account; teachers only see whether one is linked.
+const StudentProfilePanel = ({
+  record, isAdmin, studentAccounts, handleSaveStudentProfile, handleChangeEnrollment,
+  handleLinkStudentAccount, handleUnlinkStudentAccount
+}) => {
+  const profile = record.profile || createEmptyStudentProfile(record.studentName);
+  const status = getEnrollmentStatus(record);
+  const [draft, setDraft] = useState(null); // The profile being edited, or null when not editing
+  const [reason, setReason] = useState('');
+  const [change, setChange] = useState({ status: '', date: getTodayString(), reason: '', transferSchool: '' });
+  const [accountId, setAccountId] = useState('');
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition';
+  const getStatusLabel = (value) => ENROLLMENT_STATUSES.find(s => s.value === value)?.label || value;
+  const linkedAccount = studentAccounts.find(account => account.id === record.studentUid);
+  const unlinkedAccounts = studentAccounts.filter(account => !account.linkedRecordId);
+
+  const updateGuardian = (index, field, value) => {
+    setDraft({
+      ...draft,
+      guardians: draft.guardians.map((guardian, i) => (i === index ? { ...guardian, [field]: value } : guardian)),
+    });
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    if (await handleSaveStudentProfile(record.id, draft, reason)) {
+      setDraft(null);
+      setReason('');
+    }
+  };
+
+  const handleSaveChange = async (e) => {
+    e.preventDefault();
+    if (!change.status) return;
+    if (await handleChangeEnrollment(record.id, change)) {
+      setChange({ status: '', date: getTodayString(), reason: '', transferSchool: '' });
+    }
+  };
+
+  const handleLink = (e) => {
+    e.preventDefault();
+    if (!accountId) return;
+    handleLinkStudentAccount(record.id, accountId);
+    setAccountId('');
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200 space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-indigo-700">Profile</h3>
+          {!draft && (
+            <button
+              type="button"
+              onClick={() => setDraft({ ...createEmptyStudentProfile(), ...profile })}
+              className="text-sm text-indigo-600 hover:underline"
+            >
+              Edit Profile
+            </button>
+          )}
+        </div>
+        {draft ? (
+          <form onSubmit={handleSaveProfile} className="space-y-4 text-sm">
+            <div className="grid sm:grid-cols-2 gap-4">
+              <label className="block">
+                <span className="text-gray-600">Legal Name</span>
+                <input type="text" value={draft.legalName} onChange={(e) => setDraft({ ...draft, legalName: e.target.value })} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Preferred Name</span>
+                <input type="text" value={draft.preferredName} onChange={(e) => setDraft({ ...draft, preferredName: e.target.value })} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Student Number</span>
+                <input type="text" value={draft.studentNumber} onChange={(e) => setDraft({ ...draft, studentNumber: e.target.value })} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Grade Level</span>
+                <select value={draft.gradeLevel} onChange={(e) => setDraft({ ...draft, gradeLevel: e.target.value })} className={inputClass}>
+                  <option value="">Not set</option>
+                  {GRADE_LEVELS.map(level => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Date of Birth</span>
+                <input type="date" value={draft.dateOfBirth} onChange={(e) => setDraft({ ...draft, dateOfBirth: e.target.value })} className={inputClass} />
+              </label>
+            </div>
+            <div className="space-y-2">
+              <h4 className="font-semibold text-gray-700">Guardians</h4>
+              {draft.guardians.map((guardian, index) => (
+                // Guardians have no id of their own, and keep their position while being edited
+                <div key={index} className="grid sm:grid-cols-5 gap-2">
+                  <input type="text" placeholder="Name" value={guardian.name} onChange={(e) => updateGuardian(index, 'name', e.target.value)} className={inputClass} />
+                  <input type="text" placeholder="Relationship" value={guardian.relationship} onChange={(e) => updateGuardian(index, 'relationship', e.target.value)} className={inputClass} />
+                  <input type="email" placeholder="Email" value={guardian.email} onChange={(e) => updateGuardian(index, 'email', e.target.value)} className={inputClass} />
+                  <input type="tel" placeholder="Phone" value={guardian.phone} onChange={(e) => updateGuardian(index, 'phone', e.target.value)} className={inputClass} />
+                  <button
+                    type="button"
+                    onClick={() => setDraft({ ...draft, guardians: draft.guardians.filter((_, i) => i !== index) })}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setDraft({ ...draft, guardians: [...draft.guardians, { name: '', relationship: '', email: '', phone: '' }] })}
+                className="text-indigo-600 hover:underline"
+              >
+                Add Guardian
+              </button>
+            </div>
+            <input type="text" placeholder="Reason for the change" value={reason} onChange={(e) => setReason(e.target.value)} className={inputClass} />
+            <div className="flex gap-2">
+              <button type="submit" disabled={!reason.trim()} className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+                Save Profile
+              </button>
+              <button type="button" onClick={() => { setDraft(null); setReason(''); }} className="px-4 py-2 text-gray-600 hover:underline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <dl className="grid sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+            {[
+              ['Legal Name', profile.legalName],
+              ['Preferred Name', profile.preferredName],
+              ['Student Number', profile.studentNumber],
+              ['Grade Level', GRADE_LEVELS.find(level => level.value === profile.gradeLevel)?.label],
+              ['Date of Birth', profile.dateOfBirth],
+              ['Guardians', profile.guardians.map(guardian => (
+                [guardian.name, guardian.relationship && `(${guardian.relationship})`, guardian.email, guardian.phone].filter(Boolean).join(' ')
+              )).join('; ')],
+            ].map(([label, value]) => (
+              <div key={label} className="flex gap-2">
+                <dt className="font-medium text-gray-600">{label}:</dt>
+                <dd className="text-gray-900">{value || '—'}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-xl font-bold text-indigo-700 mb-2">Enrollment</h3>
+        <p className="text-sm text-gray-700 mb-4">Status: <span className="font-semibold">{getStatusLabel(status)}</span></p>
+        <form onSubmit={handleSaveChange} className="grid sm:grid-cols-4 gap-2 text-sm">
+          <select value={change.status} onChange={(e) => setChange({ ...change, status: e.target.value })} className={inputClass}>
+            <option value="">Change Status</option>
+            {ENROLLMENT_STATUSES.filter(option => option.value !== status).map(option => (
+              <option key={option.value} value={option.value}>{option.value === 'enrolled' ? 'Re-enroll' : option.label}</option>
+            ))}
+          </select>
+          <input type="date" value={change.date} onChange={(e) => setChange({ ...change, date: e.target.value })} className={inputClass} />
+          <input type="text" placeholder="Reason" value={change.reason} onChange={(e) => setChange({ ...change, reason: e.target.value })} className={inputClass} />
+          {change.status === 'transferred' ? (
+            <input type="text" placeholder="New school" value={change.transferSchool} onChange={(e) => setChange({ ...change, transferSchool: e.target.value })} className={inputClass} />
+          ) : <span />}
+          <button type="submit" disabled={!change.status} className="sm:col-span-4 px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+            Save Change
+          </button>
+        </form>
+        {(record.enrollmentHistory || []).length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-200 text-sm">
+            {[...record.enrollmentHistory].sort((a, b) => b.changedAt.localeCompare(a.changedAt)).map(entry => (
+              <li key={entry.changedAt} className="py-2 text-gray-700">
+                <span className="font-medium">{entry.date}</span>: {getStatusLabel(entry.status)}
+                {entry.transferSchool && ` to ${entry.transferSchool}`} · {entry.reason}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-xl font-bold text-indigo-700 mb-2">Login Account</h3>
+        {!isAdmin && (
+          <p className="text-sm text-gray-700">
+            {record.studentUid ? 'The student can sign in to see this record.' : 'No login account is linked to this record yet.'}
+          </p>
+        )}
+        {isAdmin && record.studentUid && (
+          <div className="flex items-center gap-4 text-sm">
+            <span className="text-gray-700">Linked to {linkedAccount?.displayName || linkedAccount?.email || record.studentUid}</span>
+            <button type="button" onClick={() => handleUnlinkStudentAccount(record.id)} className="text-red-600 hover:underline">
+              Unlink
+            </button>
+          </div>
+        )}
+        {isAdmin && !record.studentUid && (
+          <form onSubmit={handleLink} className="flex gap-2 text-sm">
+            <select value={accountId} onChange={(e) => setAccountId(e.target.value)} className={inputClass}>
+              <option value="">Select a Student Account</option>
+              {unlinkedAccounts.map(account => (
+                <option key={account.id} value={account.id}>{account.displayName || account.email || account.id}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={!accountId} className="px-4 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50">
+              Link
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Student Name Cell Component for the records table, with rename and delete (inside the main file)
+const StudentNameCell = ({ student, studentPath, isSyncFailed, canDelete, handleUpdateStudent, handleDeleteStudent }) => {
+  const [isEditing, setIsEditing] = useState(false);
+
+  if (isEditing) {
+    return (
+      <InlineRenameForm
+        value={student.studentName}
+        onSave={async (name, reason) => {
+          if (await handleUpdateStudent(student.id, name, reason)) setIsEditing(false);
+        }}
+        onCancel={() => setIsEditing(false)}
+      />
+    );
+  }
+
+  const handleDelete = () => {
+    const reason = window.prompt(`Why are you deleting ${student.studentName} and all of their grades?`);
+    if (reason && reason.trim()) handleDeleteStudent(student.id, reason);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <Link to={studentPath} className="text-indigo-700 hover:underline">{student.studentName}</Link>
+        {getEnrollmentStatus(student) !== 'enrolled' && (
+          <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+            {ENROLLMENT_STATUSES.find(status => status.value === getEnrollmentStatus(student))?.label}
+          </span>
+        )}
+        {isSyncFailed ? (
+          <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700" title="A change to this student was rejected. See Sync Status.">Not saved</span>
+        ) : student.hasPendingWrites && (
+          <span className="text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-700" title="Saved on this device and waiting to reach the server">Syncing</span>
+        )}
+      </div>
+      <div className="flex gap-2 mt-1">
+        <button type="button" onClick={() => setIsEditing(true)} className="text-xs text-indigo-600 hover:underline">
+          Rename
+        </button>
+        {canDelete && (
+          <button type="button" onClick={handleDelete} className="text-xs text-red-600 hover:underline">
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Subject List Component for renaming and deleting subjects (inside the main file)
+const SubjectList = ({ subjects, handleUpdateSubject, handleDeleteSubject }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  if (subjects.length === 0) return null;
+
+  const handleDelete = (subject) => {
+    const reason = window.prompt(`Why are you deleting ${subject.name}?`);
+    if (reason && reason.trim()) handleDeleteSubject(subject.id, reason);
+  };
+
+  return (
+    <ul className="mt-4 divide-y divide-indigo-100">
+      {subjects.map(subject => (
+        <li key={subject.id} className="py-2">
+          {editingId === subject.id ? (
+            <InlineRenameForm
+              value={subject.name}
+              onSave={async (name, reason) => {
+                if (await handleUpdateSubject(subject.id, name, reason)) setEditingId(null);
+              }}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-700">{subject.name}</span>
+              <div className="flex gap-3">
+                <button type="button" onClick={() => setEditingId(subject.id)} className="text-sm text-indigo-600 hover:underline">
+                  Rename
+                </button>
+                <button type="button" onClick={() => handleDelete(subject)} className="text-sm text-red-600 hover:underline">
+                  Delete
+                </button>
+              </div>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Audit Log Panel Component so administrators can trace every correction and deletion (inside the main file)
+const AuditLogPanel = ({ auditEntries, users, studentRecords }) => {
+  const [entityType, setEntityType] = useState('');
+  const [search, setSearch] = useState('');
+
+  // Show who made a change by name when their account is known
+  const getUserLabel = (uid) => {
+    const user = users.find(u => u.id === uid);
+    return user?.displayName || user?.email || uid;
+  };
+
+  // Students are matched by their current name as well as the name recorded with the change
+  const getStudentLabel = (entry) => (
+    studentRecords.find(record => record.id === entry.recordId)?.studentName || entry.studentName || ''
+  );
+
+  const searchText = normalizeName(search);
+  const filtered = auditEntries.filter(entry => (
+    (!entityType || entry.entityType === entityType)
+    && (!searchText || [getStudentLabel(entry), entry.subject, entry.reason, getUserLabel(entry.changedBy)]
+      .some(value => normalizeName(value).includes(searchText)))
+  ));
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Change History</h3>
+      <div className="grid sm:grid-cols-2 gap-4 mb-4">
+        <select
+          value={entityType}
+          onChange={(e) => setEntityType(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        >
+          <option value="">All changes</option>
+          {AUDIT_ENTITY_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label} changes</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Search by student, subject, reason or user"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        />
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Who</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student / Subject</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Old Value</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">New Value</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {filtered.length > 0 ? (
+              filtered.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-500">{new Date(entry.changedAt).toLocaleString()}</td>
+                  <td className="px-4 py-2 text-gray-700">{getUserLabel(entry.changedBy)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-700">
+                    {AUDIT_ENTITY_TYPES.find(type => type.value === entry.entityType)?.label} {entry.action === 'delete' ? 'deleted' : 'edited'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">
+                    {[getStudentLabel(entry), entry.subject].filter(Boolean).join(' / ')}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{formatAuditValue(entry.oldValue)}</td>
+                  <td className="px-4 py-2 text-gray-500">{formatAuditValue(entry.newValue)}</td>
+                  <td className="px-4 py-2 text-gray-700">{entry.reason}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center py-8 text-gray-500">No changes have been recorded.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Attendance Roster Component for taking a section's attendance (inside the main file)
+const AttendanceRoster = ({ sections, studentRecords, isActiveTermArchived, handleSaveAttendance }) => {
+  const [sectionId, setSectionId] = useState('');
+  const [date, setDate] = useState(getTodayString);
+  const [period, setPeriod] = useState('day');
+  const [draft, setDraft] = useState({}); // Marks changed since the roster was loaded
+
+  const section = sections.find(s => s.id === sectionId);
+  const roster = section ? studentRecords.filter(record => (section.studentIds || []).includes(record.id)) : [];
+  const key = getAttendanceKey(date, sectionId, period);
+
+  // Show the saved mark until the teacher changes it; unmarked students default to present
+  const getStatus = (record) => draft[record.id] || record.attendance?.[key]?.status || 'present';
+
+  // Changing the section, date or period loads a different roster, so pending marks are dropped
+  const changeSelection = (setter) => (e) => {
+    setter(e.target.value);
+    setDraft({});
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (roster.length === 0) return;
+    const statuses = {};
+    roster.forEach(record => {
+      statuses[record.id] = getStatus(record);
+    });
+    handleSaveAttendance(sectionId, date, period, statuses);
+    setDraft({});
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <h3 className="text-xl font-bold text-indigo-700 mb-4">Take Attendance</h3>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <fieldset disabled={isActiveTermArchived} className="space-y-4 disabled:opacity-60">
+          <select
+            value={sectionId}
+            onChange={changeSelection(setSectionId)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+          >
+            <option value="">Select a Section</option>
+            {sections.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <input
+              type="date"
+              value={date}
+              onChange={changeSelection(setDate)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            />
+            <select
+              value={period}
+              onChange={changeSelection(setPeriod)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              {ATTENDANCE_PERIODS.map(p => (
+                <option key={p.value} value={p.value}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          {section && (roster.length > 0 ? (
+            <ul className="divide-y divide-gray-200 max-h-80 overflow-y-auto">
+              {roster.map(record => (
+                <li key={record.id} className="flex items-center justify-between py-2 gap-2">
+                  <span className="text-sm font-medium text-gray-700">{record.studentName}</span>
+                  <select
+                    value={getStatus(record)}
+                    onChange={(e) => setDraft({ ...draft, [record.id]: e.target.value })}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+                  >
+                    {ATTENDANCE_STATUSES.map(status => (
+                      <option key={status.value} value={status.value}>{status.label}</option>
+                    ))}
+                  </select>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No students are enrolled in this section.</p>
+          ))}
+          <button type="submit" disabled={roster.length === 0} className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors disabled:opacity-50">
+            Save Attendance
+          </button>
+        </fieldset>
+      </form>
     </div>
   );
+};
+
+// Class Analytics Panel Component with statistics for one subject across the teacher's students
+// in the active term. It is computed from the streamed records, so it updates as grades arrive (inside the main file)
+const ClassAnalyticsPanel = ({ studentRecords, subjects, activeTermId, gradingScale }) => {
+  const [subjectId, setSubjectId] = useState('');
+  const [dropThreshold, setDropThreshold] = useState(String(DEFAULT_DROP_THRESHOLD));
+  const [passingThreshold, setPassingThreshold] = useState(String(DEFAULT_PASSING_THRESHOLD));
+
+  const subject = subjects.find(s => s.id === subjectId) || subjects[0];
+  if (!subject) return null;
+
+  // Each student's average and assessments in the subject this term
+  const students = studentRecords
+    .map(record => {
+      const assessments = getAssessments(filterGradesByTerm(record.grades, activeTermId), subject.name);
+      return {
+        record,
+        assessments,
+        percent: assessments.length > 0 ? computeWeightedAverage(assessments, subject.gradingPolicy) : null,
+        series: getProgressSeries(assessments, subject.gradingPolicy, () => null),
+      };
+    })
+    .filter(student => student.assessments.length > 0);
+  const averages = students.map(student => student.percent).filter(percent => percent !== null);
+  const mean = getMean(averages);
+  const median = getMedian(averages);
+  const standardDeviation = getStandardDeviation(averages);
+
+  // Number of students at each letter grade, highest first
+  const distribution = gradingScale.map(range => ({
+    letter: range.letter,
+    count: averages.filter(percent => getLetterGrade(percent, gradingScale)?.letter === range.letter).length,
+  }));
+  const maxCount = Math.max(1, ...distribution.map(bucket => bucket.count));
+
+  // Assessments given to the class, hardest first
+  const byAssessment = {};
+  students.forEach(({ assessments }) => assessments.forEach(assessment => {
+    const key = getAssessmentGroupKey(assessment) || assessment.title;
+    const group = byAssessment[key] || { title: assessment.title, date: assessment.date, percents: [], missing: 0 };
+    if (isMissingAssessment(assessment)) group.missing += 1;
+    else group.percents.push(getAssessmentPercent(assessment));
+    byAssessment[key] = group;
+  }));
+  const assessmentStats = Object.values(byAssessment)
+    .map(group => ({ ...group, mean: getMean(group.percents) }))
+    .sort((a, b) => (a.mean ?? Infinity) - (b.mean ?? Infinity));
+
+  // Students below the passing mark, or whose average fell by more than the threshold over their latest work
+  const drop = parseFloat(dropThreshold);
+  const passing = parseFloat(passingThreshold);
+  const atRisk = students
+    .map(student => {
+      const { series } = student;
+      const before = series.length > TREND_WINDOW ? series[series.length - 1 - TREND_WINDOW].running : null;
+      return { ...student, change: before !== null && student.percent !== null ? student.percent - before : null };
+    })
+    .filter(student => (
+      (!isNaN(passing) && student.percent !== null && student.percent < passing)
+      || (!isNaN(drop) && student.change !== null && -student.change > drop)
+    ));
+
+  const formatPercent = (value) => (value === null ? 'N/A' : `${value.toFixed(1)}%`);
 
   return (
-    <div className="min-h-screen bg-gray-100 font-sans antialiased text-gray-800 p-4 sm:p-8 flex flex-col items-center">
-      {/* App Header */}
-      <div className="w-full max-w-5xl text-center mb-6">
-        <h1 className="text-4xl font-extrabold text-indigo-600 mb-2">Digital Academic Records System</h1>
-        <p className="text-lg text-gray-600">A modern solution for managing student performance.</p>
-        <div className="mt-4">
-          <span className="text-sm text-gray-500">
-            Authenticated User ID: <span className="font-mono bg-gray-200 rounded-md px-2 py-1">{userId}</span>
-          </span>
-        </div>
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h3 className="text-xl font-bold text-indigo-700">Class Analytics</h3>
+        <select
+          value={subject.id}
+          onChange={(e) => setSubjectId(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+        >
+          {subjects.map(s => (
+            <option key={s.id} value={s.id}>{s.name}</option>
+          ))}
+        </select>
       </div>
-      
-      {/* Role Selector and Main Dashboard */}
-      <RoleSelector />
-      
-      <div className="w-full max-w-5xl bg-white rounded-lg shadow-xl p-6 sm:p-8">
-        {renderDashboard()}
+
+      <div className="grid sm:grid-cols-4 gap-4">
+        {[
+          ['Students', String(students.length)],
+          ['Mean', formatPercent(mean)],
+          ['Median', formatPercent(median)],
+          ['Std. Deviation', standardDeviation === null ? 'N/A' : standardDeviation.toFixed(1)],
+        ].map(([label, value]) => (
+          <div key={label} className="p-4 bg-indigo-50 rounded-xl shadow-inner">
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+            <p className="text-2xl font-bold text-indigo-700">{value}</p>
+          </div>
+        ))}
       </div>
 
-      {/* Notification Toast */}
-      {showNotification.visible && (
-        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-gray-800 text-white px-4 py-2 rounded-lg shadow-lg transition-opacity duration-300 opacity-90 z-50">
-          {showNotification.message}
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Grade Distribution</h4>
+          <div className="flex items-end gap-1 h-40">
+            {distribution.map(bucket => (
+              <div key={bucket.letter} className="flex-1 flex flex-col items-center justify-end h-full">
+                <span className="text-xs text-gray-500">{bucket.count || ''}</span>
+                <div className="w-full bg-indigo-500 rounded-t" style={{ height: `${(bucket.count / maxCount) * 100}%` }}></div>
+                <span className="text-xs font-medium text-gray-600 mt-1">{bucket.letter}</span>
+              </div>
+            ))}
+          </div>
         </div>
-      )}
+
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Assessment Difficulty</h4>
+          {assessmentStats.length > 0 ? (
+            <ul className="space-y-2 max-h-48 overflow-y-auto text-sm">
+              {assessmentStats.map(group => (
+                <li key={`${group.date} ${group.title}`}>
+                  <div className="flex justify-between">
+                    <span className="text-gray-700">{group.title}{group.date && <span className="ml-2 text-xs text-gray-400">{group.date}</span>}</span>
+                    <span className="font-medium text-gray-700">
+                      {formatPercent(group.mean)}
+                      {group.missing > 0 && <span className="ml-2 text-xs text-red-600">{group.missing} missing</span>}
+                    </span>
+                  </div>
+                  <div className="h-1.5 bg-gray-200 rounded">
+                    <div className="h-1.5 bg-indigo-500 rounded" style={{ width: `${Math.min(group.mean ?? 0, 100)}%` }}></div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No assessments yet.</p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+          <h4 className="font-semibold text-gray-700">Students Needing Attention</h4>
+          <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+            <label className="flex items-center gap-2">
+              Below
+              <input
+                type="number"
+                value={passingThreshold}
+                onChange={(e) => setPassingThreshold(e.target.value)}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+              />
+              %
+            </label>
+            <label className="flex items-center gap-2">
+              or dropped more than
+              <input
+                type="number"
+                value={dropThreshold}
+                onChange={(e) => setDropThreshold(e.target.value)}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+              />
+              points over their last {TREND_WINDOW} assessments
+            </label>
+          </div>
+        </div>
+        {atRisk.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recent Change</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {atRisk.map(student => (
+                <tr key={student.record.id}>
+                  <td className="px-4 py-2 font-medium text-gray-900">{student.record.studentName}</td>
+                  <td className={`px-4 py-2 ${student.percent !== null && student.percent < passing ? 'font-semibold text-red-600' : 'text-gray-500'}`}>
+                    {formatPercent(student.percent)}
+                  </td>
+                  <td className={`px-4 py-2 ${student.change !== null && -student.change > drop ? 'font-semibold text-red-600' : 'text-gray-500'}`}>
+                    {student.change === null ? 'N/A' : `${student.change > 0 ? '+' : ''}${student.change.toFixed(1)} points`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-500">No students match these thresholds.</p>
+        )}
+      </div>
     </div>
   );
 };
 
-// Teacher Dashboard Component (inside the main file)
-const TeacherDashboard = ({
-  studentRecords, subjects, handleAddStudent, handleAddSubject, handleAddGrade,
-  setNewStudentName, setNewSubjectName, setGradeData, setSelectedStudentId,
-  newStudentName, newSubjectName, selectedStudentId, gradeData, calculateAverage
-}) => (
-  <div className="space-y-8">
-    <div className="grid md:grid-cols-2 gap-6">
-      {/* Add New Student Form */}
-      <div className="p-6 bg-indigo-50 rounded-xl shadow-inner">
-        <h3 className="text-xl font-bold text-indigo-700 mb-4">Manage Students</h3>
-        <form onSubmit={handleAddStudent} className="space-y-4">
+// Absence Report Component listing students whose absence rate is over a threshold (inside the main file)
+const AbsenceReport = ({ studentRecords, activeTermId }) => {
+  const [threshold, setThreshold] = useState(String(DEFAULT_ABSENCE_THRESHOLD));
+
+  const maxRate = parseFloat(threshold);
+  const flagged = studentRecords
+    .map(record => ({ record, summary: getAttendanceSummary(getAttendanceEntries(record, activeTermId)) }))
+    .filter(({ summary }) => summary.absenceRate !== null && !isNaN(maxRate) && summary.absenceRate > maxRate)
+    .sort((a, b) => b.summary.absenceRate - a.summary.absenceRate);
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-xl font-bold text-indigo-700">Absence Report</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Absence rate over
           <input
-            type="text"
-            placeholder="Student Name"
-            value={newStudentName}
-            onChange={(e) => setNewStudentName(e.target.value)}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            type="number"
+            min="0"
+            max="100"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
           />
-          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
-            Add Student
-          </button>
-        </form>
+          %
+        </label>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sessions</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Absent</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tardy</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Excused</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Absence Rate</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {flagged.length > 0 ? (
+              flagged.map(({ record, summary }) => (
+                <tr key={record.id}>
+                  <td className="px-4 py-2 font-medium text-gray-900">{record.studentName}</td>
+                  <td className="px-4 py-2 text-gray-500">{summary.total}</td>
+                  <td className="px-4 py-2 text-gray-500">{summary.absent}</td>
+                  <td className="px-4 py-2 text-gray-500">{summary.tardy}</td>
+                  <td className="px-4 py-2 text-gray-500">{summary.excused}</td>
+                  <td className="px-4 py-2 font-semibold text-red-600">{summary.absenceRate.toFixed(1)}%</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="6" className="text-center py-8 text-gray-500">No students are over the threshold this term.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
       </div>
+    </div>
+  );
+};
 
-      {/* Add New Subject Form */}
-      <div className="p-6 bg-indigo-50 rounded-xl shadow-inner">
-        <h3 className="text-xl font-bold text-indigo-700 mb-4">Manage Subjects</h3>
-        <form onSubmit={handleAddSubject} className="space-y-4">
-          <input
-            type="text"
-            placeholder="Subject Name"
-            value={newSubjectName}
-            onChange={(e) => setNewSubjectName(e.target.value)}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
-          />
-          <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
-            Add Subject
-          </button>
-        </form>
+// Progress Charts Component with one trend chart per subject for the active term (inside the main file)
+const ProgressCharts = ({ record, subjects, activeTermId, classAverages }) => {
+  const termGrades = filterGradesByTerm(record.grades, activeTermId);
+  const subjectNames = Object.keys(termGrades);
+  if (subjectNames.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold text-indigo-700">Progress</h3>
+      <div className="grid lg:grid-cols-2 gap-6">
+        {subjectNames.map(subject => (
+          <div key={subject} className="p-4 bg-white rounded-xl shadow-md border border-gray-200">
+            <h4 className="font-semibold text-gray-700 mb-2">{subject}</h4>
+            <ProgressChart
+              series={getProgressSeries(
+                getAssessments(termGrades, subject),
+                getSubjectPolicy(subjects, subject),
+                assessment => getClassAverage(classAverages, activeTermId, subject, assessment)
+              )}
+            />
+          </div>
+        ))}
       </div>
     </div>
-    
-    {/* Grade Entry Form */}
-    <div className="p-6 bg-white rounded-xl shadow-md border border-gray-200">
-      <h3 className="text-xl font-bold text-indigo-700 mb-4">Enter a New Grade</h3>
-      <form onSubmit={handleAddGrade} className="space-y-4">
-        <select
-          value={selectedStudentId}
-          onChange={(e) => setSelectedStudentId(e.target.value)}
-          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
-        >
-          <option value="">Select a Student</option>
-          {studentRecords.map(student => (
-            <option key={student.studentId} value={student.studentId}>{student.studentName}</option>
-          ))}
-        </select>
-        <div className="grid sm:grid-cols-2 gap-4">
-          <select
-            value={gradeData.subject}
-            onChange={(e) => setGradeData({ ...gradeData, subject: e.target.value })}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
-          >
-            <option value="">Select a Subject</option>
-            {subjects.map(subject => (
-              <option key={subject.id} value={subject.name}>{subject.name}</option>
-            ))}
-          </select>
-          <input
-            type="number"
-            placeholder="Grade (e.g., 95)"
-            value={gradeData.grade}
-            onChange={(e) => setGradeData({ ...gradeData, grade: e.target.value })}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
-          />
-        </div>
-        <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-2 rounded-lg shadow-md hover:bg-indigo-700 transition-colors">
-          Add Grade
-        </button>
-      </form>
+  );
+};
+
+// Chart colours, matching the Tailwind palette used elsewhere
+const CHART_COLORS = {
+  score: '#4f46e5', // indigo-600
+  running: '#10b981', // emerald-500
+  classAverage: '#9ca3af', // gray-400
+  missing: '#dc2626', // red-600
+  grid: '#e5e7eb', // gray-200
+};
+
+// Progress Chart Component drawing a subject's scores, running average and class average as SVG (inside the main file)
+const ProgressChart = ({ series }) => {
+  const width = 560;
+  const height = 220;
+  const pad = { left: 36, right: 12, top: 12, bottom: 28 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  // Extra credit can push a score over 100%, so the scale grows to fit it
+  const values = series.flatMap(point => [point.percent, point.running, point.classAverage]).filter(value => value !== null);
+  const yMax = Math.max(100, ...values);
+  const x = (index) => pad.left + (series.length === 1 ? plotWidth / 2 : (index / (series.length - 1)) * plotWidth);
+  const y = (value) => pad.top + plotHeight - (value / yMax) * plotHeight;
+
+  // SVG path through the points that have a value, starting a new segment after each gap
+  const linePath = (field) => series.reduce((path, point, index) => {
+    if (point[field] === null) return path;
+    const previous = index > 0 ? series[index - 1][field] : null;
+    return `${path}${previous === null ? 'M' : 'L'}${x(index).toFixed(1)},${y(point[field]).toFixed(1)} `;
+  }, '');
+
+  // Label every assessment when there is room, otherwise only the first and last
+  const showLabel = (index) => series.length <= 8 || index === 0 || index === series.length - 1;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label="Grade trend chart">
+        {[0, 25, 50, 75, 100].map(tick => (
+          <g key={tick}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(tick)} y2={y(tick)} stroke={CHART_COLORS.grid} />
+            <text x={pad.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}%</text>
+          </g>
+        ))}
+        <path d={linePath('classAverage')} fill="none" stroke={CHART_COLORS.classAverage} strokeWidth="2" strokeDasharray="6 4" />
+        <path d={linePath('running')} fill="none" stroke={CHART_COLORS.running} strokeWidth="2" />
+        <path d={linePath('percent')} fill="none" stroke={CHART_COLORS.score} strokeWidth="1" strokeOpacity="0.4" />
+        {series.map((point, index) => (
+          <g key={point.assessment.id}>
+            <title>
+              {`${point.assessment.title}: ${point.percent === null ? 'Missing' : `${point.percent.toFixed(1)}%`}`
+                + (point.running === null ? '' : `, running average ${point.running.toFixed(1)}%`)
+                + (point.classAverage === null ? '' : `, class average ${point.classAverage.toFixed(1)}%`)}
+            </title>
+            {point.classAverage !== null && (
+              <circle cx={x(index)} cy={y(point.classAverage)} r="3" fill={CHART_COLORS.classAverage} />
+            )}
+            {point.percent === null ? (
+              <text x={x(index)} y={y(0) + 4} textAnchor="middle" fontSize="12" fontWeight="bold" fill={CHART_COLORS.missing}>×</text>
+            ) : (
+              <circle cx={x(index)} cy={y(point.percent)} r="4" fill={CHART_COLORS.score} />
+            )}
+            {showLabel(index) && (
+              <text x={x(index)} y={height - 8} textAnchor="middle" fontSize="10" fill="#6b7280">
+                {point.assessment.date || point.assessment.title}
+              </text>
+            )}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-2">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: CHART_COLORS.score }}></span>Score</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-4 h-0.5" style={{ backgroundColor: CHART_COLORS.running }}></span>Running average</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-4 border-t-2 border-dashed" style={{ borderColor: CHART_COLORS.classAverage }}></span>Class average</span>
+        <span className="flex items-center gap-1"><span className="font-bold" style={{ color: CHART_COLORS.missing }}>×</span>Missing</span>
+      </div>
     </div>
+  );
+};
 
-    {/* Student Records Table */}
-    <div className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
-      <table className="min-w-full divide-y divide-gray-200">
-        <thead className="bg-gray-50">
-          <tr>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student Name</th>
-            {subjects.map(subject => (
-              <th key={subject.id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{subject.name}</th>
+// Attendance Summary Component shared by the student and parent views (inside the main file)
+const AttendanceSummary = ({ record, activeTermId }) => {
+  const entries = getAttendanceEntries(record, activeTermId);
+  const summary = getAttendanceSummary(entries);
+  const recentIssues = entries.filter(entry => entry.status !== 'present').slice(0, 10);
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-xl font-bold text-indigo-700">Attendance</h3>
+      {summary.total === 0 ? (
+        <p className="text-gray-500">No attendance has been recorded this term.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            {ATTENDANCE_STATUSES.map(status => (
+              <div key={status.value} className="p-4 bg-indigo-50 rounded-xl shadow-inner">
+                <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{status.label}</p>
+                <p className="text-2xl font-bold text-indigo-700">{summary[status.value]}</p>
+              </div>
             ))}
-          </tr>
-        </thead>
-        <tbody className="bg-white divide-y divide-gray-200">
-          {studentRecords.length > 0 ? (
-            studentRecords.map(student => (
-              <tr key={student.studentId}>
-                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{student.studentName}</td>
-                {subjects.map(subject => (
-                  <td key={subject.id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {calculateAverage(student.grades[subject.name])}
-                  </td>
-                ))}
-              </tr>
-            ))
-          ) : (
-            <tr>
-              <td colSpan={subjects.length + 1} className="text-center py-8 text-gray-500">No student records found. Add a student to get started.</td>
-            </tr>
+          </div>
+          <p className="text-sm text-gray-600">
+            Absence rate: <span className="font-semibold">{summary.absenceRate.toFixed(1)}%</span> of {summary.total} sessions
+          </p>
+          {recentIssues.length > 0 && (
+            <ul className="text-sm divide-y divide-gray-200">
+              {recentIssues.map(entry => (
+                <li key={getAttendanceKey(entry.date, entry.sectionId, entry.period)} className="py-1 flex gap-3">
+                  <span className="text-gray-500">{entry.date}</span>
+                  <span className="text-gray-700">{entry.subjectName || 'Class'} ({getAttendancePeriodLabel(entry.period)})</span>
+                  <span className={entry.status === 'absent' ? 'font-medium text-red-600' : 'font-medium text-amber-600'}>
+                    {ATTENDANCE_STATUSES.find(status => status.value === entry.status)?.label}
+                  </span>
+                </li>
+              ))}
+            </ul>
           )}
-        </tbody>
-      </table>
+        </>
+      )}
     </div>
+  );
+};
+
+// Subject Results Table Component shared by the student and parent views, with teacher comments
+// and a way to message the subject's teacher (inside the main file)
+const SubjectResultsTable = ({ record, grades, subjects, gradingScale, calculateAverage, emptyMessage, onMessageTeacher }) => (
+  <div className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assessments</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average Grade</th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Letter</th>
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {Object.keys(grades).length > 0 ? (
+          Object.keys(grades).map(subject => (
+            <tr key={subject}>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 align-top">
+                {subject}
+                {onMessageTeacher && (
+                  <button type="button" onClick={() => onMessageTeacher(subject)} className="block mt-1 text-xs font-normal text-indigo-600 hover:underline">
+                    Message teacher
+                  </button>
+                )}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                <AssessmentList assessments={getAssessments(grades, subject)} record={record} subject={subject} />
+                <CommentList comments={getComments(record, subject, null)} />
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-indigo-600 align-top">
+                {calculateAverage(grades[subject], getSubjectPolicy(subjects, subject))}
+              </td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-700 align-top">
+                {getLetterGrade(getSubjectPercent(grades[subject], getSubjectPolicy(subjects, subject)), gradingScale)?.letter || 'N/A'}
+              </td>
+            </tr>
+          ))
+        ) : (
+          <tr>
+            <td colSpan="4" className="text-center py-8 text-gray-500">{emptyMessage}</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
   </div>
 );
 
+// Student Page Component: one student's results for staff, at a URL that can be bookmarked or shared (inside the main file)
+const StudentPage = ({
+  studentRecords, homePath, subjects, terms, activeTermId, gradingScale, schoolProfile, classAverages, calculateAverage,
+  isAdmin, studentAccounts, handleSaveStudentProfile, handleChangeEnrollment, handleLinkStudentAccount, handleUnlinkStudentAccount
+}) => {
+  const { recordId } = useParams();
+  const record = studentRecords.find(r => r.id === recordId);
+
+  if (!record) {
+    return (
+      <div className="text-center p-8">
+        <h2 className="text-2xl font-bold text-gray-700">Student Record Not Found</h2>
+        <p className="mt-2 text-gray-500">The student may have been deleted, or is not in one of your sections.</p>
+        <Link to={homePath} className="inline-block mt-4 text-indigo-600 hover:underline">Back to all students</Link>
+      </div>
+    );
+  }
+
+  const termGrades = filterGradesByTerm(record.grades, activeTermId);
+  const termGpa = computeGpa(getTermResults(record, activeTermId, subjects), gradingScale);
+  const cumulativeGpa = computeGpa(getAllTermResults(record, terms, subjects), gradingScale);
+
+  return (
+    <div className="space-y-6">
+      <Link to={homePath} className="text-sm text-indigo-600 hover:underline">&larr; All students</Link>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-3xl font-bold text-indigo-600">{record.studentName}</h2>
+        <ReportCardButton
+          records={[record]}
+          subjects={subjects}
+          terms={terms}
+          activeTermId={activeTermId}
+          gradingScale={gradingScale}
+          schoolProfile={schoolProfile}
+          label="Download Report Card"
+        />
+      </div>
+
+      <GpaSummary termGpa={termGpa} cumulativeGpa={cumulativeGpa} />
+
+      <StudentProfilePanel
+        record={record}
+        isAdmin={isAdmin}
+        studentAccounts={studentAccounts}
+        handleSaveStudentProfile={handleSaveStudentProfile}
+        handleChangeEnrollment={handleChangeEnrollment}
+        handleLinkStudentAccount={handleLinkStudentAccount}
+        handleUnlinkStudentAccount={handleUnlinkStudentAccount}
+      />
+
+      <SubjectResultsTable
+        record={record}
+        grades={termGrades}
+        subjects={subjects}
+        gradingScale={gradingScale}
+        calculateAverage={calculateAverage}
+        emptyMessage="No grades have been entered for this student this term."
+      />
+
+      <ProgressCharts record={record} subjects={subjects} activeTermId={activeTermId} classAverages={classAverages} />
+
+      <AttendanceSummary record={record} activeTermId={activeTermId} />
+
+      <h3 className="text-xl font-bold text-indigo-700">Transcript</h3>
+      <TranscriptView record={record} subjects={subjects} terms={terms} gradingScale={gradingScale} />
+    </div>
+  );
+};
+
 // Student Dashboard Component (inside the main file)
-const StudentDashboard = ({ studentRecord, calculateAverage }) => {
+const StudentDashboard = ({
+  userId, studentRecord, subjects, terms, activeTermId, gradingScale, schoolProfile, classAverages, calculateAverage,
+  threads, activeThread, threadMessages, handleOpenThread, handleCloseThread, handleSendMessage, handleMarkThreadRead
+}) => {
   if (!studentRecord) {
     return (
       <div className="text-center p-8">
         <h2 className="text-2xl font-bold text-gray-700">Student Record Not Found</h2>
-        <p className="mt-2 text-gray-500">Please make sure you are signed in with a valid student ID.</p>
+        <p className="mt-2 text-gray-500">Your account is not linked to a student record yet. Please ask your school office to link it.</p>
       </div>
     );
   }
 
+  const termGrades = filterGradesByTerm(studentRecord.grades, activeTermId);
+  const termGpa = computeGpa(getTermResults(studentRecord, activeTermId, subjects), gradingScale);
+  const cumulativeGpa = computeGpa(getAllTermResults(studentRecord, terms, subjects), gradingScale);
+
   return (
     <div className="space-y-6">
       <h2 className="text-3xl font-bold text-indigo-600">Welcome, {studentRecord.studentName}!</h2>
-      <p className="text-gray-600">Here are your academic results.  They are updated in real-time as your teachers enter new grades.</p>
-      
-      <div className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recent Grades</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average Grade</th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {Object.keys(studentRecord.grades).length > 0 ? (
-              Object.keys(studentRecord.grades).map(subject => (
-                <tr key={subject}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{subject}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {studentRecord.grades[subject].map(g => g.toFixed(0)).join(', ')}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-indigo-600">
-                    {calculateAverage(studentRecord.grades[subject])}
-                  </td>
-                </tr>
-              ))
-            ) : (
-              <tr>
-                <td colSpan="3" className="text-center py-8 text-gray-500">No grades have been entered for you yet.</td>
-              </tr>
-            )}
-          </tbody>
-        </table>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-gray-600">Here are your academic results.  They are updated in real-time as your teachers enter new grades.</p>
+        <ReportCardButton
+          records={[studentRecord]}
+          subjects={subjects}
+          terms={terms}
+          activeTermId={activeTermId}
+          gradingScale={gradingScale}
+          schoolProfile={schoolProfile}
+          label="Download Report Card"
+        />
       </div>
+      
+      <GpaSummary termGpa={termGpa} cumulativeGpa={cumulativeGpa} />
+
+      <SubjectResultsTable
+        record={studentRecord}
+        grades={termGrades}
+        subjects={subjects}
+        gradingScale={gradingScale}
+        calculateAverage={calculateAverage}
+        emptyMessage="No grades have been entered for you this term."
+        onMessageTeacher={subject => handleOpenThread({
+          record: studentRecord,
+          teacherId: getSubjectTeacherId(studentRecord, subject),
+          otherId: userId,
+          otherRole: 'student',
+          topic: subject,
+        })}
+      />
+
+      <MessagesPanel
+        userId={userId}
+        threads={threads}
+        activeThread={activeThread}
+        threadMessages={threadMessages}
+        handleOpenThread={handleOpenThread}
+        handleCloseThread={handleCloseThread}
+        handleSendMessage={handleSendMessage}
+        handleMarkThreadRead={handleMarkThreadRead}
+      />
+
+      <ProgressCharts record={studentRecord} subjects={subjects} activeTermId={activeTermId} classAverages={classAverages} />
+
+      <AttendanceSummary record={studentRecord} activeTermId={activeTermId} />
+
+      <h3 className="text-xl font-bold text-indigo-700">Transcript</h3>
+      <TranscriptView record={studentRecord} subjects={subjects} terms={terms} gradingScale={gradingScale} />
     </div>
   );
 };
 
 // Parent Dashboard Component (inside the main file)
-const ParentDashboard = ({ childRecord, calculateAverage }) => {
+const ParentDashboard = ({
+  userId, childRecords, subjects, terms, activeTermId, gradingScale, schoolProfile, classAverages, calculateAverage,
+  handleRedeemInviteCode, handleUnlinkParent,
+  threads, activeThread, threadMessages, handleOpenThread, handleCloseThread, handleSendMessage, handleMarkThreadRead
+}) => {
+  const { recordId } = useParams();
+  const navigate = useNavigate();
+
+  // Fall back to the first child when none is selected or the selected link was removed
+  const childRecord = childRecords.find(record => record.id === recordId) || childRecords[0];
+
   if (!childRecord) {
     return (
-      <div className="text-center p-8">
-        <h2 className="text-2xl font-bold text-gray-700">Child's Record Not Found</h2>
-        <p className="mt-2 text-gray-500">Please make sure you are linked to your child's student ID.</p>
+      <div className="space-y-6">
+        <div className="text-center p-8">
+          <h2 className="text-2xl font-bold text-gray-700">No Linked Children</h2>
+          <p className="mt-2 text-gray-500">Link your account to your child's record with an invite code from their teacher.</p>
+        </div>
+        <InviteCodeForm handleRedeemInviteCode={handleRedeemInviteCode} />
       </div>
     );
   }
 
+  const termGrades = filterGradesByTerm(childRecord.grades, activeTermId);
+  const termGpa = computeGpa(getTermResults(childRecord, activeTermId, subjects), gradingScale);
+  const cumulativeGpa = computeGpa(getAllTermResults(childRecord, terms, subjects), gradingScale);
+
   return (
     <div className="space-y-6">
       <h2 className="text-3xl font-bold text-indigo-600">Welcome, Parent!</h2>
-      <p className="text-gray-600">Here are the academic results for {childRecord.studentName}.</p>
-      
-      <div className="overflow-x-auto rounded-xl shadow-md border border-gray-200">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50">
-            <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recent Grades</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Average Grade</th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {Object.keys(childRecord.grades).length > 0 ? (
-              Object.keys(childRecord.grades).map(subject => (
-                <tr key={subject}>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{subject}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {childRecord.grades[subject].map(g => g.toFixed(0)).join(', ')}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-indigo-600">
-                    {calculateAverage(childRecord.grades[subject])}
-                  </td>
-                </tr>
-              ))
-            ) : (
-              <tr>
-                <td colSpan="3" className="text-center py-8 text-gray-500">No grades have been entered for your child yet.</td>
-              </tr>
-            )}
-          </tbody>
-        </table>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-gray-600">Here are the academic results for {childRecord.studentName}.</p>
+        <div className="flex items-center gap-4">
+          {childRecords.length > 1 && (
+            <select
+              value={childRecord.id}
+              onChange={(e) => navigate(getStudentPath('parent', e.target.value))}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 outline-none transition"
+            >
+              {childRecords.map(record => (
+                <option key={record.id} value={record.id}>{record.studentName}</option>
+              ))}
+            </select>
+          )}
+          <ReportCardButton
+            records={[childRecord]}
+            subjects={subjects}
+            terms={terms}
+            activeTermId={activeTermId}
+            gradingScale={gradingScale}
+            schoolProfile={schoolProfile}
+            label="Download Report Card"
+          />
+          <button
+            type="button"
+            onClick={() => window.confirm(`Stop seeing ${childRecord.studentName}'s records?`) && handleUnlinkParent(childRecord.id, userId)}
+            className="text-sm text-red-600 hover:underline"
+          >
+            Unlink
+          </button>
+        </div>
       </div>
+      
+      <GpaSummary termGpa={termGpa} cumulativeGpa={cumulativeGpa} />
+
+      <SubjectResultsTable
+        record={childRecord}
+        grades={termGrades}
+        subjects={subjects}
+        gradingScale={gradingScale}
+        calculateAverage={calculateAverage}
+        emptyMessage="No grades have been entered for your child this term."
+        onMessageTeacher={subject => handleOpenThread({
+          record: childRecord,
+          teacherId: getSubjectTeacherId(childRecord, subject),
+          otherId: userId,
+          otherRole: 'parent',
+          topic: subject,
+        })}
+      />
+
+      <MessagesPanel
+        userId={userId}
+        threads={threads}
+        activeThread={activeThread}
+        threadMessages={threadMessages}
+        handleOpenThread={handleOpenThread}
+        handleCloseThread={handleCloseThread}
+        handleSendMessage={handleSendMessage}
+        handleMarkThreadRead={handleMarkThreadRead}
+      />
+
+      <ProgressCharts record={childRecord} subjects={subjects} activeTermId={activeTermId} classAverages={classAverages} />
+
+      <AttendanceSummary record={childRecord} activeTermId={activeTermId} />
+
+      <h3 className="text-xl font-bold text-indigo-700">Transcript</h3>
+      <TranscriptView record={childRecord} subjects={subjects} terms={terms} gradingScale={gradingScale} />
+
+      <InviteCodeForm handleRedeemInviteCode={handleRedeemInviteCode} />
     </div>
   );
 };
 
 // Main App export
 export default App;
+
+// Exported for the component tests
+export {
+  getSubjectPercent,
+  computeGpa,
+  getLetterGrade,
+  createEmptyGradeData,
+  validateGradebookRows,
+  DEFAULT_GRADING_SCALE,
+  DEFAULT_SCHOOL_PROFILE,
+  StaffDashboardContext,
+  StaffRecordsContext,
+  StaffGradingContext,
+  StaffMessagingContext,
+  TeacherDashboard,
+  StudentPage,
+  StudentDashboard,
+  ParentDashboard,
+};
@@ -0,0 +1,427 @@
+import { render, screen, fireEvent, within, waitFor, cleanup } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import {
+  getSubjectPercent,
+  computeGpa,
+  getLetterGrade,
+  createEmptyGradeData,
+  validateGradebookRows,
+  DEFAULT_GRADING_SCALE,
+  DEFAULT_SCHOOL_PROFILE,
+  StaffDashboardContext,
+  StaffRecordsContext,
+  StaffGradingContext,
+  StaffMessagingContext,
+  TeacherDashboard,
+  StudentPage,
+  StudentDashboard,
+  ParentDashboard,
+} from './App';
+import { ROUTER_FUTURE_FLAGS } from './routes';
+
+// Same formatting App applies before passing calculateAverage to the dashboards
+const calculateAverage = (grades, policy) => {
+  const average = getSubjectPercent(grades, policy);
+  return average === null ? 'N/A' : average.toFixed(2);
+};
+
+const assessment = (id, category, score, maxPoints, extra = {}) => ({
+  id, title: id, category, date: '2026-09-10', maxPoints, score, missing: false, termId: 'fall', teacherId: 'teacher1', ...extra,
+});
+
+const mathPolicy = { weights: { homework: 40, exam: 60 }, dropLowest: { homework: 1 }, missingWork: 'zero' };
+
+const record = {
+  id: 'ada',
+  studentId: 'ada',
+  studentName: 'Ada Lovelace',
+  createdBy: 'teacher1',
+  parentIds: ['parent1'],
+  grades: {
+    Math: [
+      assessment('Homework 1', 'homework', 10, 20),
+      assessment('Homework 2', 'homework', 18, 20),
+      assessment('Midterm', 'exam', 90, 100),
+    ],
+    Art: [assessment('Portfolio', 'project', 45, 50, { termId: 'spring' })],
+  },
+};
+
+const subjects = [
+  { id: 'math', name: 'Math', gradingPolicy: mathPolicy, termIds: ['fall'] },
+  { id: 'art', name: 'Art', termIds: ['spring'] },
+];
+
+const terms = [
+  { id: 'fall', name: 'Fall', status: 'open' },
+  { id: 'spring', name: 'Spring', status: 'open' },
+];
+
+const messagingProps = {
+  threads: [],
+  activeThread: null,
+  threadMessages: [],
+  handleOpenThread: jest.fn(),
+  handleCloseThread: jest.fn(),
+  handleSendMessage: jest.fn(),
+  handleMarkThreadRead: jest.fn(),
+};
+
+// Render a page at a URL, matched against the given route patterns as App does
+const renderAt = (url, element, paths = ['*']) => render(
+  <MemoryRouter initialEntries={[url]} future={ROUTER_FUTURE_FLAGS}>
+    <Routes>
+      {paths.map(path => <Route key={path} path={path} element={element} />)}
+    </Routes>
+  </MemoryRouter>
+);
+
+const dashboardProps = {
+  subjects,
+  terms,
+  activeTermId: 'fall',
+  gradingScale: DEFAULT_GRADING_SCALE,
+  schoolProfile: DEFAULT_SCHOOL_PROFILE,
+  classAverages: {},
+  calculateAverage,
+  ...messagingProps,
+};
+
+describe('average calculation', () => {
+  it('averages every assessment equally when the subject has no weights', () => {
+    expect(getSubjectPercent([assessment('a', 'quiz', 8, 10), assessment('b', 'exam', 30, 50)], {})).toBeCloseTo(70);
+  });
+
+  it('weights categories and drops the lowest scores', () => {
+    // Homework 1 is dropped: 40% of 90 (homework) + 60% of 90 (exam)
+    expect(getSubjectPercent(record.grades.Math, mathPolicy)).toBeCloseTo(90);
+  });
+
+  it('keeps legacy and uncategorized grades once a subject has weights', () => {
+    // Homework 80 (40%), exam 90 (60%), and the plain-number and uncategorized grades averaging
+    // 60 weighted as the mean of the two: (80 * 40 + 90 * 60 + 60 * 50) / 150
+    const grades = [assessment('a', 'homework', 8, 10), assessment('b', 'exam', 45, 50), 50, assessment('c', null, 7, 10)];
+    expect(getSubjectPercent(grades, mathPolicy)).toBeCloseTo(77.33);
+  });
+
+  it('applies the policy for missing work', () => {
+    const grades = [assessment('a', 'quiz', 9, 10), assessment('b', 'quiz', null, 10, { missing: true })];
+    expect(getSubjectPercent(grades, { missingWork: 'exclude' })).toBeCloseTo(90);
+    expect(getSubjectPercent(grades, { missingWork: 'zero' })).toBeCloseTo(45);
+  });
+
+  it('has no average without grades', () => {
+    expect(getSubjectPercent([], {})).toBeNull();
+    expect(calculateAverage(undefined, {})).toBe('N/A');
+  });
+
+  it('turns percentages into letters and credit-weighted GPAs', () => {
+    expect(getLetterGrade(90, DEFAULT_GRADING_SCALE).letter).toBe('A-');
+    expect(getLetterGrade(null, DEFAULT_GRADING_SCALE)).toBeNull();
+    const gpa = computeGpa([{ percent: 95, credits: 3 }, { percent: 75, credits: 1 }], DEFAULT_GRADING_SCALE);
+    expect(gpa).toBeCloseTo((4.0 * 3 + 2.0 * 1) / 4);
+  });
+});
+
+describe('gradebook import', () => {
+  it('flags scores that are not numbers or are negative', () => {
+    const { rows } = validateGradebookRows([
+      ['Student Name', 'Subject', 'Quiz 1', 'Quiz 2'],
+      ['Ada Lovelace', 'Math', '9', '-3'],
+      ['Ada Lovelace', 'Art', 'ten', '8.5'],
+    ], subjects, [record]);
+    expect(rows[0].scores).toEqual([9, null]);
+    expect(rows[0].errors).toEqual(['Negative grade for Quiz 2: "-3"']);
+    expect(rows[1].scores).toEqual([null, 8.5]);
+    expect(rows[1].errors).toEqual(['Non-numeric grade for Quiz 1: "ten"']);
+  });
+});
+
+describe('TeacherDashboard', () => {
+  const renderTeacherDashboard = (props = {}) => {
+    const handlers = {
+      handleAddStudent: jest.fn(e => e.preventDefault()),
+      handleAddSubject: jest.fn(e => e.preventDefault()),
+      handleAddGrade: jest.fn(e => e.preventDefault()),
+      setNewStudentName: jest.fn(),
+      setNewSubjectName: jest.fn(),
+      setGradeData: jest.fn(),
+      setSelectedStudentId: jest.fn(),
+      handleSearchRecords: jest.fn(),
+      handleNextRecordsPage: jest.fn(),
+      handlePreviousRecordsPage: jest.fn(),
+      handleSortRecords: jest.fn(),
+      handleSearchStudents: jest.fn(),
+      getTableRecords: jest.fn(async () => [record]),
+    };
+    // Every context gets the same fields; each section reads only the ones it uses
+    const value = {
+      isAdmin: false,
+      userId: 'teacher1',
+      studentRecords: [record],
+      allStudentRecords: [record],
+      recordsPage: { records: [record], hasNextPage: false, lastDoc: null, isLoading: false },
+      recordsPageNumber: 1,
+      recordsSearch: '',
+      recordsSort: null,
+      gradeEntryStudents: [record],
+      sections: [],
+      teachers: [],
+      subjects,
+      termSubjects: subjects,
+      allSubjects: subjects,
+      terms,
+      activeTermId: 'fall',
+      isActiveTermArchived: false,
+      inviteCodes: [],
+      newStudentName: '',
+      newSubjectName: '',
+      selectedStudentId: '',
+      gradeData: createEmptyGradeData(),
+      pendingWrites: [],
+      gradingScale: DEFAULT_GRADING_SCALE,
+      schoolProfile: DEFAULT_SCHOOL_PROFILE,
+      calculateAverage,
+      ...messagingProps,
+      ...handlers,
+      ...props,
+    };
+    renderAt(
+      '/teacher',
+      <StaffDashboardContext.Provider value={value}>
+        <StaffRecordsContext.Provider value={value}>
+          <StaffGradingContext.Provider value={value}>
+            <StaffMessagingContext.Provider value={value}>
+              <TeacherDashboard />
+            </StaffMessagingContext.Provider>
+          </StaffGradingContext.Provider>
+        </StaffRecordsContext.Provider>
+      </StaffDashboardContext.Provider>
+    );
+    return handlers;
+  };
+
+  it('adds a student from the Manage Students form', () => {
+    const handlers = renderTeacherDashboard();
+    fireEvent.change(screen.getByPlaceholderText('Student Name'), { target: { value: 'Grace Hopper' } });
+    expect(handlers.setNewStudentName).toHaveBeenCalledWith('Grace Hopper');
+    fireEvent.click(screen.getByRole('button', { name: 'Add Student' }));
+    expect(handlers.handleAddStudent).toHaveBeenCalledTimes(1);
+  });
+
+  it('adds a subject from the Manage Subjects form', () => {
+    const handlers = renderTeacherDashboard();
+    fireEvent.change(screen.getByPlaceholderText('Subject Name'), { target: { value: 'Science' } });
+    expect(handlers.setNewSubjectName).toHaveBeenCalledWith('Science');
+    fireEvent.click(screen.getByRole('button', { name: 'Add Subject' }));
+    expect(handlers.handleAddSubject).toHaveBeenCalledTimes(1);
+  });
+
+  it('adds a grade from the grade entry form', () => {
+    const gradeData = { ...createEmptyGradeData(), subject: 'Math', title: 'Quiz 1', score: '45', maxPoints: '50' };
+    const handlers = renderTeacherDashboard({ selectedStudentId: 'ada', gradeData });
+    fireEvent.change(screen.getByPlaceholderText('Score (e.g., 45)'), { target: { value: '48' } });
+    expect(handlers.setGradeData).toHaveBeenCalledWith({ ...gradeData, score: '48' });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Grade' }));
+    expect(handlers.handleAddGrade).toHaveBeenCalledTimes(1);
+  });
+
+  it("links each student to their page", () => {
+    renderTeacherDashboard();
+    expect(screen.getByRole('link', { name: 'Ada Lovelace' }).getAttribute('href')).toBe('/teacher/students/ada');
+  });
+
+  it('offers the students the teacher can grade', () => {
+    const grace = { ...record, id: 'grace', studentId: 'grace', studentName: 'Grace Hopper' };
+    renderTeacherDashboard({ studentRecords: [record, grace], allStudentRecords: [record, grace] });
+    const gradeForm = screen.getByRole('button', { name: 'Add Grade' }).closest('form');
+    const [studentSelect] = within(gradeForm).getAllByRole('combobox');
+    expect(within(studentSelect).getAllByRole('option').map(option => option.textContent)).toEqual(['Select a Student', 'Ada Lovelace']);
+  });
+
+  it('searches and pages through the records table on the server', () => {
+    const handlers = renderTeacherDashboard({
+      recordsPage: { records: [record], hasNextPage: true, lastDoc: null, isLoading: false },
+    });
+    fireEvent.change(screen.getByPlaceholderText('Search students by name'), { target: { value: 'ada' } });
+    fireEvent.submit(screen.getByPlaceholderText('Search students by name').closest('form'));
+    expect(handlers.handleSearchRecords).toHaveBeenCalledWith('ada');
+    expect(screen.getByRole('button', { name: 'Previous' }).disabled).toBe(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    expect(handlers.handleNextRecordsPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('sorts a teacher\'s students by a subject average', () => {
+    const handlers = renderTeacherDashboard();
+    fireEvent.click(screen.getByRole('button', { name: 'Math' }));
+    expect(handlers.handleSortRecords).toHaveBeenCalledWith({ subjectId: 'math', descending: true });
+  });
+
+  it('shows the sorted order and switches back to name order', () => {
+    const handlers = renderTeacherDashboard({ recordsSort: { subjectId: 'math', descending: true } });
+    expect(screen.getByText('Page 1 · sorted by Math average')).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: /^Math/ }));
+    expect(handlers.handleSortRecords).toHaveBeenCalledWith({ subjectId: 'math', descending: false });
+    fireEvent.click(screen.getByRole('button', { name: 'Student Name' }));
+    expect(handlers.handleSortRecords).toHaveBeenCalledWith(null);
+  });
+
+  it('makes report cards for every student in the records table', () => {
+    renderTeacherDashboard();
+    expect(screen.getByRole('button', { name: 'Download All Report Cards (1)' })).toBeTruthy();
+    cleanup();
+    renderTeacherDashboard({ isAdmin: true });
+    expect(screen.getByRole('button', { name: 'Download All Report Cards' }).disabled).toBe(false);
+  });
+
+  it('keeps the administrator\'s server pages in name order', () => {
+    renderTeacherDashboard({ isAdmin: true });
+    expect(screen.queryByRole('button', { name: 'Math' })).toBeNull();
+    expect(screen.getByText(/Sorting by a subject's average is not available across the whole school/)).toBeTruthy();
+  });
+});
+
+describe('StudentPage', () => {
+  const renderStudentPage = (url, props = {}) => {
+    const handlers = {
+      handleSaveStudentProfile: jest.fn(async () => true),
+      handleChangeEnrollment: jest.fn(async () => true),
+      handleLinkStudentAccount: jest.fn(),
+      handleUnlinkStudentAccount: jest.fn(),
+    };
+    renderAt(
+      url,
+      <StudentPage
+        studentRecords={[record]}
+        homePath="/teacher"
+        isAdmin={false}
+        studentAccounts={[]}
+        {...dashboardProps}
+        {...handlers}
+        {...props}
+      />,
+      ['/teacher/students/:recordId']
+    );
+    return handlers;
+  };
+
+  it("opens a student's results from their URL", () => {
+    renderStudentPage('/teacher/students/ada');
+    expect(screen.getByRole('heading', { name: 'Ada Lovelace' })).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Message teacher' })).toBeNull();
+  });
+
+  it('explains when the student is not one of the teacher\'s', () => {
+    renderStudentPage('/teacher/students/grace');
+    expect(screen.getByText('Student Record Not Found')).toBeTruthy();
+    expect(screen.getByRole('link', { name: 'Back to all students' }).getAttribute('href')).toBe('/teacher');
+  });
+
+  it("edits the student's profile with a reason", async () => {
+    const handlers = renderStudentPage('/teacher/students/ada');
+    fireEvent.click(screen.getByRole('button', { name: 'Edit Profile' }));
+    fireEvent.change(screen.getByLabelText('Student Number'), { target: { value: 'S1001' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Guardian' }));
+    fireEvent.change(screen.getByPlaceholderText('Name'), { target: { value: 'Anne Lovelace' } });
+    fireEvent.change(screen.getAllByPlaceholderText('Reason for the change').pop(), { target: { value: 'New enrollment form' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Save Profile' })).toBeNull());
+    expect(handlers.handleSaveStudentProfile).toHaveBeenCalledWith('ada', expect.objectContaining({
+      legalName: 'Ada Lovelace',
+      studentNumber: 'S1001',
+      guardians: [{ name: 'Anne Lovelace', relationship: '', email: '', phone: '' }],
+    }), 'New enrollment form');
+  });
+
+  it('re-enrolls a transferred student and lists their enrollment history', async () => {
+    const transferred = {
+      ...record,
+      enrollmentStatus: 'transferred',
+      enrollmentHistory: [{
+        status: 'transferred', date: '2026-10-01', reason: 'Family moved', transferSchool: 'Northside High',
+        changedBy: 'teacher1', changedAt: '2026-10-01T09:00:00.000Z',
+      }],
+    };
+    const handlers = renderStudentPage('/teacher/students/ada', { studentRecords: [transferred] });
+    expect(screen.getByText(/to Northside High · Family moved/)).toBeTruthy();
+    fireEvent.change(screen.getByDisplayValue('Change Status'), { target: { value: 'enrolled' } });
+    fireEvent.change(screen.getByPlaceholderText('Reason'), { target: { value: 'Returned' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Change' }));
+    expect(handlers.handleChangeEnrollment).toHaveBeenCalledWith('ada', expect.objectContaining({ status: 'enrolled', reason: 'Returned' }));
+    await waitFor(() => expect(screen.getByPlaceholderText('Reason').value).toBe(''));
+  });
+
+  it('lets administrators link a student account', () => {
+    const handlers = renderStudentPage('/teacher/students/ada', {
+      isAdmin: true,
+      studentAccounts: [
+        { id: 'student-ada', displayName: 'Ada (account)', linkedRecordId: null },
+        { id: 'student-grace', displayName: 'Grace (account)', linkedRecordId: 'grace' },
+      ],
+    });
+    const accountSelect = screen.getByDisplayValue('Select a Student Account');
+    expect(within(accountSelect).getAllByRole('option').map(option => option.textContent))
+      .toEqual(['Select a Student Account', 'Ada (account)']);
+    fireEvent.change(accountSelect, { target: { value: 'student-ada' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Link' }));
+    expect(handlers.handleLinkStudentAccount).toHaveBeenCalledWith('ada', 'student-ada');
+  });
+});
+
+describe('StudentDashboard', () => {
+  it('shows the student their results for the active term', () => {
+    renderAt('/student', <StudentDashboard userId="ada" studentRecord={record} {...dashboardProps} />);
+    expect(screen.getByText('Welcome, Ada Lovelace!')).toBeTruthy();
+    const [mathRow] = screen.getAllByText('Math', { selector: 'td' }).map(cell => cell.closest('tr'));
+    expect(within(mathRow).getByText('90.00')).toBeTruthy();
+    // Art was taken in another term
+    expect(screen.queryByText('Portfolio')).toBeNull();
+  });
+
+  it('explains when the record cannot be found', () => {
+    renderAt('/student', <StudentDashboard userId="ada" studentRecord={undefined} {...dashboardProps} />);
+    expect(screen.getByText('Student Record Not Found')).toBeTruthy();
+  });
+
+  it('lets the student message the subject teacher', () => {
+    const handleOpenThread = jest.fn();
+    renderAt('/student', <StudentDashboard userId="ada" studentRecord={record} {...dashboardProps} handleOpenThread={handleOpenThread} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Message teacher' }));
+    expect(handleOpenThread).toHaveBeenCalledWith({
+      record, teacherId: 'teacher1', otherId: 'ada', otherRole: 'student', topic: 'Math',
+    });
+  });
+});
+
+describe('ParentDashboard', () => {
+  const parentProps = { ...dashboardProps, userId: 'parent1', handleRedeemInviteCode: jest.fn(), handleUnlinkParent: jest.fn() };
+  const grace = { ...record, id: 'grace', studentId: 'grace', studentName: 'Grace Hopper', grades: {} };
+  const renderParentDashboard = (childRecords, url = '/parent') => renderAt(
+    url,
+    <ParentDashboard childRecords={childRecords} {...parentProps} />,
+    ['/parent', '/parent/students/:recordId']
+  );
+
+  it("shows a linked child's results", () => {
+    renderParentDashboard([record]);
+    expect(screen.getByText('Welcome, Parent!')).toBeTruthy();
+    expect(screen.getByText('Here are the academic results for Ada Lovelace.')).toBeTruthy();
+  });
+
+  it('switches between children', () => {
+    renderParentDashboard([record, grace]);
+    fireEvent.change(screen.getByDisplayValue('Ada Lovelace'), { target: { value: 'grace' } });
+    expect(screen.getByText('Here are the academic results for Grace Hopper.')).toBeTruthy();
+    expect(screen.getByText('No grades have been entered for your child this term.')).toBeTruthy();
+  });
+
+  it("opens a child's page from its URL", () => {
+    renderParentDashboard([record, grace], '/parent/students/grace');
+    expect(screen.getByText('Here are the academic results for Grace Hopper.')).toBeTruthy();
+  });
+
+  it('asks for an invite code when no child is linked', () => {
+    renderParentDashboard([]);
+    expect(screen.getByText('No Linked Children')).toBeTruthy();
+  });
+});
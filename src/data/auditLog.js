@@ -0,0 +1,41 @@
+import { doc, limit, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { dataCollection } from './paths';
+
+/**
+ * Access to the audit log of changes to grades, students and subjects. Entries are never
+ * edited or deleted once written.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createAuditLogRepository = (db, appId) => ({
+  /**
+   * Add an entry for one change to a batch or transaction, so it is saved with the change itself.
+   * @param {import('firebase/firestore').WriteBatch | import('firebase/firestore').Transaction} writer
+   * @param {Omit<import('./models').AuditEntry, 'changedAt'>} change Unset fields are stored as null
+   */
+  write: (writer, {
+    entityType, action, recordId = null, studentName = null, subject = null, oldValue = null, newValue = null, reason, changedBy,
+  }) => writer.set(doc(dataCollection(db, appId, 'auditLog')), {
+    entityType,
+    action,
+    recordId,
+    studentName,
+    subject,
+    oldValue,
+    newValue,
+    reason,
+    changedBy,
+    changedAt: new Date().toISOString(),
+  }),
+
+  /**
+   * Listen to the most recent entries, newest first. Only administrators may read them.
+   * @param {number} count
+   * @param {(entries: (import('./models').AuditEntry & {id: string})[]) => void} onChange
+   * @returns {() => void} Unsubscribe
+   */
+  subscribeToRecent: (count, onChange) => onSnapshot(
+    query(dataCollection(db, appId, 'auditLog'), orderBy('changedAt', 'desc'), limit(count)),
+    (snapshot) => onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+  ),
+});
@@ -0,0 +1,54 @@
+import { writeBatch } from 'firebase/firestore';
+
+// Firestore batches accept at most 500 writes, so larger jobs are split into chunks of this size
+const BATCH_WRITE_LIMIT = 450;
+
+/**
+ * Commits writes that span several collections, such as a record with its section roster and
+ * audit entry. Writes are functions that add one write to the batch they are given, built from
+ * the other repositories' refs and build*Update helpers.
+ * @param {import('firebase/firestore').Firestore} db
+ */
+export const createBatchWriter = (db) => {
+  const commitChunk = (writes) => {
+    const batch = writeBatch(db);
+    writes.forEach(write => write(batch));
+    return batch.commit();
+  };
+
+  return {
+    /**
+     * Commit writes together, so either all of them are saved or none are.
+     * @param {((batch: import('firebase/firestore').WriteBatch) => *)[]} writes
+     */
+    commit: (writes) => commitChunk(writes),
+
+    /**
+     * Commit any number of writes in batches of up to BATCH_WRITE_LIMIT. Each batch is saved
+     * on its own, so use this only where a partly saved job is acceptable.
+     * @param {((batch: import('firebase/firestore').WriteBatch) => *)[]} writes
+     */
+    commitInChunks: async (writes) => {
+      for (let start = 0; start < writes.length; start += BATCH_WRITE_LIMIT) {
+        await commitChunk(writes.slice(start, start + BATCH_WRITE_LIMIT));
+      }
+    },
+
+    /**
+     * A job for trackWrite that commits writes in chunks. Each run resumes at the first chunk
+     * not yet committed, so retrying a failed job never sends a committed chunk again and
+     * increments such as class average totals are applied only once.
+     * @param {((batch: import('firebase/firestore').WriteBatch) => *)[]} writes
+     * @returns {() => Promise<void>}
+     */
+    createJob: (writes) => {
+      let committedCount = 0;
+      return async () => {
+        while (committedCount < writes.length) {
+          await commitChunk(writes.slice(committedCount, committedCount + BATCH_WRITE_LIMIT));
+          committedCount += BATCH_WRITE_LIMIT;
+        }
+      };
+    },
+  };
+};
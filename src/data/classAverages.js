@@ -0,0 +1,141 @@
+import { getDocs, increment, onSnapshot, runTransaction } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+
+// Class averages are only published once enough students have a score, so a student cannot
+// work out a classmate's grade from them. The security rules hold the same minimum.
+export const MIN_CLASS_AVERAGE_COUNT = 3;
+
+// One document of running totals per term and subject, so the security rules can check who may change it
+const getDocId = (termKey, subject) => `${termKey}_${subject}`;
+
+// One published document per assessment group, so the security rules can compare it with the
+// group's running totals. Group keys hold assessment titles, which may contain slashes.
+const getPublishedDocId = (termKey, subject, groupKey) => encodeURIComponent(`${termKey}_${subject}_${groupKey}`);
+
+// Averages were once published in one document per term and subject, under the id of its totals
+const getOldPublishedDocId = getDocId;
+
+const isPublishable = (totals) => Boolean(totals) && totals.count >= MIN_CLASS_AVERAGE_COUNT;
+
+/**
+ * Access to per-assessment class averages. Staff keep running totals of the scores of each
+ * assessment in classAverages; the totals students and parents see are published from them
+ * to publishedClassAverages, one document per assessment, leaving out those too few students
+ * have a score for.
+ * Terms are identified by their key from getTermKey, as grades are stored under.
+ * Teachers name one of their sections of the subject with each change, for the security rules.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createClassAveragesRepository = (db, appId) => {
+  const ref = (termKey, subject) => dataDoc(db, appId, 'classAverages', getDocId(termKey, subject));
+  const publishedRef = (termKey, subject, groupKey) => (
+    dataDoc(db, appId, 'publishedClassAverages', getPublishedDocId(termKey, subject, groupKey))
+  );
+  const oldPublishedRef = (termKey, subject) => dataDoc(db, appId, 'publishedClassAverages', getOldPublishedDocId(termKey, subject));
+  const sectionField = (sectionId) => (sectionId ? { lastEditedSectionId: sectionId } : {});
+
+  return {
+    ref,
+    publishedRef,
+
+    /**
+     * Update adding to a subject's running totals for a term, for set with merge in a batch or
+     * transaction. Increments let several teachers grade at the same time.
+     * @param {string} termKey
+     * @param {string} subject
+     * @param {Object<string, {sum: number, count: number}>} totals Change to each assessment group
+     * @param {?string} sectionId
+     * @returns {Object}
+     */
+    buildIncrementUpdate: (termKey, subject, totals, sectionId) => {
+      const groups = {};
+      Object.keys(totals).forEach(key => {
+        groups[key] = { sum: increment(totals[key].sum), count: increment(totals[key].count) };
+      });
+      return { termKey, subject, groups, ...sectionField(sectionId) };
+    },
+
+    /**
+     * Publish the averages of some of a subject's assessment groups for a term from their latest
+     * running totals, and withdraw those too few students now have a score for.
+     * @param {string} termKey
+     * @param {string} subject
+     * @param {string[]} groupKeys Assessment groups whose totals changed
+     * @param {?string} sectionId
+     */
+    publish: (termKey, subject, groupKeys, sectionId) => runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref(termKey, subject));
+      const published = await Promise.all(groupKeys.map(groupKey => transaction.get(publishedRef(termKey, subject, groupKey))));
+      const groups = snapshot.exists() ? snapshot.data().groups || {} : {};
+      groupKeys.forEach((groupKey, i) => {
+        if (isPublishable(groups[groupKey])) {
+          const { sum, count } = groups[groupKey];
+          transaction.set(publishedRef(termKey, subject, groupKey), { termKey, subject, groupKey, sum, count, ...sectionField(sectionId) });
+        } else if (published[i].exists()) {
+          transaction.delete(publishedRef(termKey, subject, groupKey));
+        }
+      });
+    }),
+
+    /**
+     * Writes replacing a subject's running totals for a term and its published averages, each
+     * a function taking a batch. Used by administrators recalculating every average.
+     * @param {string} termKey
+     * @param {string} subject
+     * @param {Object<string, {sum: number, count: number}>} groups
+     * @param {string[]} [oldGroupKeys] Groups of the totals being replaced, withdrawn unless still published
+     * @returns {((batch: import('firebase/firestore').WriteBatch) => void)[]}
+     */
+    buildReplaceWrites: (termKey, subject, groups, oldGroupKeys = []) => [
+      batch => batch.delete(oldPublishedRef(termKey, subject)),
+      ...oldGroupKeys
+        .filter(groupKey => !isPublishable(groups[groupKey]))
+        .map(groupKey => batch => batch.delete(publishedRef(termKey, subject, groupKey))),
+      batch => batch.set(ref(termKey, subject), { termKey, subject, groups }),
+      ...Object.keys(groups)
+        .filter(groupKey => isPublishable(groups[groupKey]))
+        .map(groupKey => batch => batch.set(publishedRef(termKey, subject, groupKey), {
+          termKey, subject, groupKey, sum: groups[groupKey].sum, count: groups[groupKey].count,
+        })),
+    ],
+
+    /**
+     * Writes removing a subject's running totals for a term and its published averages.
+     * @param {string} termKey
+     * @param {string} subject
+     * @param {string[]} groupKeys Groups of the totals
+     * @returns {((batch: import('firebase/firestore').WriteBatch) => void)[]}
+     */
+    buildDeleteWrites: (termKey, subject, groupKeys) => [
+      batch => batch.delete(ref(termKey, subject)),
+      batch => batch.delete(oldPublishedRef(termKey, subject)),
+      ...groupKeys.map(groupKey => batch => batch.delete(publishedRef(termKey, subject, groupKey))),
+    ],
+
+    /**
+     * Read every running total once. Only staff may.
+     * @returns {Promise<{termKey: string, subject: string, groups: Object<string, {sum: number, count: number}>}[]>}
+     */
+    getAllTotals: async () => {
+      const snapshot = await getDocs(dataCollection(db, appId, 'classAverages'));
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    /**
+     * Listen to the published averages.
+     * @param {(averages: Object<string, Object<string, Object<string, number>>>) => void} onChange
+     *   Gets the average percentage by term key, subject and assessment group
+     * @returns {() => void} Unsubscribe
+     */
+    subscribePublished: (onChange) => onSnapshot(dataCollection(db, appId, 'publishedClassAverages'), (snapshot) => {
+      const averages = {};
+      snapshot.docs.filter(doc => doc.data().groupKey).forEach(doc => {
+        const { termKey, subject, groupKey, sum, count } = doc.data();
+        averages[termKey] = averages[termKey] || {};
+        averages[termKey][subject] = { ...averages[termKey][subject], [groupKey]: sum / count };
+      });
+      onChange(averages);
+    }),
+  };
+};
@@ -0,0 +1,37 @@
+import { createAuditLogRepository } from './auditLog';
+import { createBatchWriter } from './batches';
+import { createClassAveragesRepository } from './classAverages';
+import { createInviteCodesRepository } from './inviteCodes';
+import { createNotificationsRepository } from './notifications';
+import { createRecordsRepository } from './records';
+import { createSectionsRepository } from './sections';
+import { createSettingsRepository } from './settings';
+import { createSubjectsRepository } from './subjects';
+import { createTermsRepository } from './terms';
+import { createThreadsRepository } from './threads';
+import { createUsersRepository } from './users';
+
+export * from './models';
+export { getDataPath, dataCollection, dataDoc } from './paths';
+export { MIN_CLASS_AVERAGE_COUNT } from './classAverages';
+export {
+  createAuditLogRepository, createBatchWriter, createClassAveragesRepository, createInviteCodesRepository,
+  createNotificationsRepository, createRecordsRepository, createSectionsRepository, createSettingsRepository,
+  createSubjectsRepository, createTermsRepository, createThreadsRepository, createUsersRepository,
+};
+
+// Every repository bound to one Firestore instance and app
+export const createRepositories = (db, appId) => ({
+  auditLog: createAuditLogRepository(db, appId),
+  batches: createBatchWriter(db),
+  classAverages: createClassAveragesRepository(db, appId),
+  inviteCodes: createInviteCodesRepository(db, appId),
+  notifications: createNotificationsRepository(db, appId),
+  records: createRecordsRepository(db, appId),
+  sections: createSectionsRepository(db, appId),
+  settings: createSettingsRepository(db, appId),
+  subjects: createSubjectsRepository(db, appId),
+  terms: createTermsRepository(db, appId),
+  threads: createThreadsRepository(db, appId),
+  users: createUsersRepository(db, appId),
+});
@@ -0,0 +1,85 @@
+import { arrayUnion, deleteDoc, onSnapshot, query, runTransaction, setDoc, where } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+
+// Characters used in parent invite codes, leaving out ones that are easy to misread (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+// Generate a random one-time invite code
+const generateInviteCode = () => {
+  const values = crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH));
+  return Array.from(values, value => INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Access to the one-time codes that link a parent's account to a student's record.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createInviteCodesRepository = (db, appId) => {
+  const ref = (code) => dataDoc(db, appId, 'inviteCodes', code);
+
+  return {
+    ref,
+
+    /**
+     * Listen to the codes not redeemed yet. Only staff may list them.
+     * @param {(invites: import('./models').InviteCode[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToUnredeemed: (onChange) => onSnapshot(
+      query(dataCollection(db, appId, 'inviteCodes'), where('redeemedBy', '==', null)),
+      (snapshot) => onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+    ),
+
+    /**
+     * Create a new code for a student's record.
+     * @param {import('./models').StudentRecord} record
+     * @param {string} createdBy
+     * @returns {Promise<string>} The code
+     */
+    create: async (record, createdBy) => {
+      const code = generateInviteCode();
+      await setDoc(ref(code), {
+        code,
+        recordId: record.id,
+        studentName: record.studentName,
+        createdBy,
+        createdAt: new Date().toISOString(),
+        redeemedBy: null,
+        redeemedAt: null,
+      });
+      return code;
+    },
+
+    /**
+     * Withdraw a code before it is redeemed.
+     * @param {string} code
+     */
+    revoke: (code) => deleteDoc(ref(code)),
+
+    /**
+     * Redeem a code for a parent. The code is marked as used and the parent is added to the
+     * student's record in one transaction, so a code can only link one parent.
+     * @param {string} code
+     * @param {{uid: string, name: ?string}} parent
+     * @returns {Promise<string>} The linked student's name
+     * @throws {Error} 'invalid-invite-code' if the code does not exist or was already used
+     */
+    redeem: (code, { uid, name }) => runTransaction(db, async (transaction) => {
+      const inviteSnap = await transaction.get(ref(code));
+      if (!inviteSnap.exists() || inviteSnap.data().redeemedBy) {
+        throw new Error('invalid-invite-code');
+      }
+
+      const invite = inviteSnap.data();
+      const linkedAt = new Date().toISOString();
+      transaction.update(ref(code), { redeemedBy: uid, redeemedAt: linkedAt });
+      transaction.update(dataDoc(db, appId, 'records', invite.recordId), {
+        parentIds: arrayUnion(uid),
+        [`parentLinks.${uid}`]: { code, name, linkedAt },
+      });
+      return invite.studentName;
+    }),
+  };
+};
@@ -0,0 +1,492 @@
+// Shapes of the documents the app stores, and the checks applied before they are written.
+
+/**
+ * @typedef {'admin' | 'teacher' | 'student' | 'parent' | 'pending'} UserRole
+ */
+
+/**
+ * An account's document in the users collection, keyed by its auth uid.
+ * @typedef {Object} UserProfile
+ * @property {string} uid
+ * @property {UserRole} role
+ * @property {?string} displayName
+ * @property {?string} email
+ * @property {string} [roleAssignedBy] Administrator who last assigned the role
+ */
+
+/**
+ * One graded piece of work. Legacy records may still hold plain numbers instead.
+ * @typedef {Object} Assessment
+ * @property {string} id
+ * @property {string} title
+ * @property {'homework' | 'quiz' | 'exam' | 'project'} category
+ * @property {string} date ISO date (YYYY-MM-DD)
+ * @property {number} maxPoints
+ * @property {?number} score Null when the work is missing
+ * @property {boolean} missing
+ * @property {?string} termId
+ * @property {?string} teacherId Teacher who entered the grade
+ */
+
+/**
+ * Someone the school contacts about a student. Guardians need not have an account.
+ * @typedef {Object} Guardian
+ * @property {string} name
+ * @property {string} relationship
+ * @property {string} email
+ * @property {string} phone
+ */
+
+/**
+ * A student's details as the school office keeps them. Optional fields are empty strings.
+ * @typedef {Object} StudentProfile
+ * @property {string} legalName
+ * @property {string} preferredName Name the student goes by, shown instead of the legal name
+ * @property {string} studentNumber Number the school issued the student
+ * @property {string} gradeLevel One of GRADE_LEVELS
+ * @property {string} dateOfBirth ISO date (YYYY-MM-DD)
+ * @property {Guardian[]} guardians
+ */
+
+/**
+ * @typedef {'enrolled' | 'withdrawn' | 'transferred'} EnrollmentStatus
+ */
+
+/**
+ * One change of a student's enrollment status. A record's history is only ever added to.
+ * @typedef {Object} EnrollmentChange
+ * @property {EnrollmentStatus} status
+ * @property {string} date ISO date (YYYY-MM-DD) the change took effect
+ * @property {string} reason
+ * @property {?string} transferSchool School a transferred student moved to
+ * @property {string} changedBy
+ * @property {string} changedAt ISO timestamp
+ */
+
+/**
+ * A student's record. Grades are kept per subject name. Records without a profile or an
+ * enrollment status predate them, and count as enrolled.
+ * @typedef {Object} StudentRecord
+ * @property {string} id Document id
+ * @property {string} studentId Random id of the record, fixed when it is created
+ * @property {string} studentName Name shown across the app: the preferred name, or else the legal name
+ * @property {string} [studentNameKey] Lower-case name the records table sorts and searches by
+ * @property {string} [studentUid] Login account of the student, linked by an administrator
+ * @property {StudentProfile} [profile]
+ * @property {EnrollmentStatus} [enrollmentStatus]
+ * @property {EnrollmentChange[]} [enrollmentHistory]
+ * @property {Object<string, Assessment[]>} grades Grades by subject. They are stored by term,
+ *   grades.<termKey>.<subject>, and attendance too; the records repository reads them back by subject.
+ * @property {?string} [lastChangedTermId] Term of the latest change to grades, attendance or the
+ *   transcript; the security rules keep an archived term read-only through it
+ * @property {boolean} [hasLegacyStorage] Whether the record was stored by an older version and needs upgrading
+ * @property {string} createdBy
+ * @property {string[]} [sectionIds] Sections the student is enrolled in
+ * @property {string[]} [teacherIds] Teachers of those sections
+ * @property {string[]} [parentIds] Linked parent accounts
+ * @property {Object<string, {code: ?string, name: ?string, linkedAt: string}>} [parentLinks]
+ */
+
+/**
+ * A subject offered by the school, keyed by an id derived from its name.
+ * @typedef {Object} Subject
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} [termIds] Terms the subject is offered in; every term when empty
+ * @property {number} [credits]
+ * @property {{weights: Object<string, number>, dropLowest: Object<string, number>, missingWork: string}} [gradingPolicy]
+ * @property {string} [lastEditedSectionId] Section of the teacher who last changed the grading policy
+ */
+
+/**
+ * An academic term. Grades belong to the term they were recorded in.
+ * @typedef {Object} Term
+ * @property {string} id
+ * @property {string} name
+ * @property {string} startDate ISO date (YYYY-MM-DD)
+ * @property {string} endDate ISO date (YYYY-MM-DD)
+ * @property {'open' | 'archived'} status Grades in an archived term are read-only
+ * @property {string} createdBy
+ * @property {string} [archivedAt] ISO timestamp
+ * @property {string} [archivedBy]
+ */
+
+/**
+ * One step of the grading scale: the lowest percentage that earns a letter and its grade points.
+ * @typedef {Object} GradeRange
+ * @property {number} min
+ * @property {string} letter
+ * @property {number} points
+ */
+
+/**
+ * A subject taught by one teacher in one term, with the records of the students enrolled.
+ * @typedef {Object} Section
+ * @property {string} id
+ * @property {string} name
+ * @property {string} subjectId
+ * @property {string} subjectName Kept in step with the subject's name when it is renamed
+ * @property {string} teacherId
+ * @property {?string} termId
+ * @property {string[]} studentIds Ids of the enrolled students' records
+ * @property {string} createdBy
+ */
+
+/**
+ * A one-time code a parent redeems to link their account to a student's record.
+ * @typedef {Object} InviteCode
+ * @property {string} code Also the document id
+ * @property {string} recordId
+ * @property {string} studentName
+ * @property {string} createdBy
+ * @property {string} createdAt ISO timestamp
+ * @property {?string} redeemedBy Parent who redeemed the code
+ * @property {?string} redeemedAt ISO timestamp
+ */
+
+/**
+ * A conversation about a student between one of their teachers and the student or a parent,
+ * keyed by the record and both participants.
+ * @typedef {Object} Thread
+ * @property {string} id
+ * @property {string} recordId
+ * @property {string} studentName
+ * @property {string} teacherId
+ * @property {string} otherId The student's or parent's account
+ * @property {'student' | 'parent'} otherRole
+ * @property {?string} topic
+ * @property {string[]} participantIds
+ * @property {Object<string, ?string>} participantNames Display name of each participant
+ * @property {Object<string, string>} lastReadAt When each participant last read the thread
+ * @property {string} [lastMessage]
+ * @property {string} [lastMessageAt] ISO timestamp
+ * @property {string} [lastSenderId]
+ * @property {string} [createdAt] ISO timestamp
+ */
+
+/**
+ * An alert for a student or parent about a change to a record they follow.
+ * @typedef {Object} Notification
+ * @property {'newGrade' | 'lowAverage' | 'recordEdited'} type
+ * @property {string} title
+ * @property {string} message
+ * @property {?string} subject
+ * @property {string} recordId
+ * @property {string} studentName
+ * @property {string} createdBy
+ * @property {string} createdAt ISO timestamp
+ * @property {boolean} read
+ */
+
+/**
+ * One change to a grade, student or subject, kept for review by administrators.
+ * @typedef {Object} AuditEntry
+ * @property {'grade' | 'student' | 'subject'} entityType
+ * @property {'update' | 'delete'} action
+ * @property {?string} recordId
+ * @property {?string} studentName
+ * @property {?string} subject
+ * @property {*} oldValue
+ * @property {*} newValue
+ * @property {string} reason
+ * @property {string} changedBy
+ * @property {string} changedAt ISO timestamp
+ */
+
+// Roles an administrator can assign. New accounts start as 'pending' until one is assigned.
+export const USER_ROLES = [
+  { value: 'admin', label: 'Administrator' },
+  { value: 'teacher', label: 'Teacher' },
+  { value: 'student', label: 'Student' },
+  { value: 'parent', label: 'Parent' },
+  { value: 'pending', label: 'Pending' },
+];
+
+// Grade levels a student can be in
+export const GRADE_LEVELS = [
+  { value: 'K', label: 'Kindergarten' },
+  ...Array.from({ length: 12 }, (_, index) => ({ value: String(index + 1), label: `Grade ${index + 1}` })),
+];
+
+// Whether a student attends the school. Withdrawn and transferred students keep their record
+// and grades, but no longer receive new ones.
+export const ENROLLMENT_STATUSES = [
+  { value: 'enrolled', label: 'Enrolled' },
+  { value: 'withdrawn', label: 'Withdrawn' },
+  { value: 'transferred', label: 'Transferred' },
+];
+
+// Categories a graded assessment can belong to
+export const ASSESSMENT_CATEGORIES = [
+  { value: 'homework', label: 'Homework' },
+  { value: 'quiz', label: 'Quiz' },
+  { value: 'exam', label: 'Exam' },
+  { value: 'project', label: 'Project' },
+];
+
+// Longest student or subject name accepted
+export const MAX_NAME_LENGTH = 100;
+
+// Subject names are used as field paths for grades (grades.<termKey>.<subject>), so they cannot hold
+// the characters Firestore treats specially in paths
+const RESERVED_SUBJECT_CHARACTERS = /[.~*/[\]`]/;
+
+// Raised when data fails validation. The message is meant to be shown to the user as is.
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Trimmed student name, or a ValidationError if it is empty or too long.
+ * @param {string} name
+ * @returns {string}
+ */
+export const validateStudentName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new ValidationError("Please enter the student's name.");
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Student names can be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Key a student's name is sorted and searched by: trimmed and lower case, so that searching
+ * for "ada" finds "Ada Lovelace".
+ * @param {string} name
+ * @returns {string}
+ */
+export const getStudentNameKey = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Trimmed subject name, or a ValidationError if it is empty, too long or unusable as a field path.
+ * @param {string} name
+ * @returns {string}
+ */
+export const validateSubjectName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new ValidationError('Please enter the subject name.');
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Subject names can be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  if (RESERVED_SUBJECT_CHARACTERS.test(trimmed)) {
+    throw new ValidationError('Subject names cannot contain . ~ * / [ ] or `.');
+  }
+  return trimmed;
+};
+
+// Longest student number the school can issue, and the characters it may contain
+const MAX_STUDENT_NUMBER_LENGTH = 20;
+const STUDENT_NUMBER_PATTERN = /^[A-Za-z0-9-]*$/;
+
+// A valid ISO date (YYYY-MM-DD) that exists on the calendar
+const isIsoDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * An empty profile for a student known only by name.
+ * @param {string} [legalName]
+ * @returns {StudentProfile}
+ */
+export const createEmptyStudentProfile = (legalName = '') => ({
+  legalName,
+  preferredName: '',
+  studentNumber: '',
+  gradeLevel: '',
+  dateOfBirth: '',
+  guardians: [],
+});
+
+/**
+ * Name a student is shown by: their preferred name if they have one.
+ * @param {StudentProfile} profile
+ * @returns {string}
+ */
+export const getStudentDisplayName = (profile) => (profile.preferredName || '').trim() || profile.legalName.trim();
+
+/**
+ * The profile with every field trimmed, or a ValidationError if a field is invalid.
+ * @param {StudentProfile} profile
+ * @returns {StudentProfile}
+ */
+export const validateStudentProfile = (profile) => {
+  const legalName = validateStudentName(profile.legalName);
+  const preferredName = (profile.preferredName || '').trim();
+  if (preferredName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(`Preferred names can be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  const studentNumber = (profile.studentNumber || '').trim();
+  if (studentNumber.length > MAX_STUDENT_NUMBER_LENGTH || !STUDENT_NUMBER_PATTERN.test(studentNumber)) {
+    throw new ValidationError(`Student numbers can have at most ${MAX_STUDENT_NUMBER_LENGTH} letters, digits and dashes.`);
+  }
+  const gradeLevel = profile.gradeLevel || '';
+  if (gradeLevel && !GRADE_LEVELS.some(level => level.value === gradeLevel)) {
+    throw new ValidationError(`Unknown grade level: ${gradeLevel}.`);
+  }
+  const dateOfBirth = profile.dateOfBirth || '';
+  if (dateOfBirth && (!isIsoDate(dateOfBirth) || dateOfBirth > new Date().toISOString().slice(0, 10))) {
+    throw new ValidationError('Please enter a valid date of birth.');
+  }
+  const guardians = (profile.guardians || []).map(guardian => ({
+    name: (guardian.name || '').trim(),
+    relationship: (guardian.relationship || '').trim(),
+    email: (guardian.email || '').trim(),
+    phone: (guardian.phone || '').trim(),
+  }));
+  guardians.forEach(guardian => {
+    if (!guardian.name) throw new ValidationError("Please enter each guardian's name.");
+    if (guardian.email && !/^[^\s@]+@[^\s@]+$/.test(guardian.email)) {
+      throw new ValidationError(`Please enter a valid email address for ${guardian.name}.`);
+    }
+  });
+  return { legalName, preferredName, studentNumber, gradeLevel, dateOfBirth, guardians };
+};
+
+/**
+ * A record's enrollment status. Records from before statuses were kept count as enrolled.
+ * @param {StudentRecord} record
+ * @returns {EnrollmentStatus}
+ */
+export const getEnrollmentStatus = (record) => record.enrollmentStatus || 'enrolled';
+
+/**
+ * The change with its fields trimmed, or a ValidationError if it cannot be made to a record
+ * with the given status. Every change needs a reason, and a transfer the new school.
+ * @param {{status: EnrollmentStatus, date: string, reason: string, transferSchool?: string}} change
+ * @param {EnrollmentStatus} currentStatus
+ * @returns {{status: EnrollmentStatus, date: string, reason: string, transferSchool: ?string}}
+ */
+export const validateEnrollmentChange = (change, currentStatus) => {
+  if (!ENROLLMENT_STATUSES.some(status => status.value === change.status)) {
+    throw new ValidationError(`Unknown enrollment status: ${change.status}.`);
+  }
+  if (change.status === currentStatus) {
+    throw new ValidationError(`The student is already ${change.status}.`);
+  }
+  if (!isIsoDate(change.date || '')) throw new ValidationError('Please enter the date of the change.');
+  const reason = (change.reason || '').trim();
+  if (!reason) throw new ValidationError('Please give a reason for the change.');
+  const transferSchool = (change.transferSchool || '').trim();
+  if (change.status === 'transferred' && !transferSchool) {
+    throw new ValidationError('Please enter the school the student transferred to.');
+  }
+  return {
+    status: change.status,
+    date: change.date,
+    reason,
+    transferSchool: change.status === 'transferred' ? transferSchool : null,
+  };
+};
+
+/**
+ * Records that may be the same student as the profile: ones with the same student number,
+ * or the same name unless both dates of birth are known and differ.
+ * @param {StudentProfile} profile
+ * @param {StudentRecord[]} records
+ * @returns {{record: StudentRecord, matchedOn: 'student number' | 'name'}[]}
+ */
+export const findDuplicateStudents = (profile, records) => {
+  const names = new Set([profile.legalName, getStudentDisplayName(profile)].map(getStudentNameKey));
+  return records.flatMap(record => {
+    const other = record.profile || createEmptyStudentProfile(record.studentName);
+    if (profile.studentNumber && other.studentNumber === profile.studentNumber) {
+      return [{ record, matchedOn: 'student number' }];
+    }
+    const sameName = [other.legalName, record.studentName].some(name => names.has(getStudentNameKey(name)));
+    const differentBirthdays = profile.dateOfBirth && other.dateOfBirth && profile.dateOfBirth !== other.dateOfBirth;
+    return sameName && !differentBirthdays ? [{ record, matchedOn: 'name' }] : [];
+  });
+};
+
+/**
+ * One page of records in name order, optionally only names starting with the search text: the
+ * page the records table would read from the server, taken from records already loaded. Records
+ * loaded in full can also be paged through in another order, with name order breaking ties.
+ * @param {StudentRecord[]} records
+ * @param {{search: string, after: ?StudentRecord, pageSize: number, compare?: (a: StudentRecord, b: StudentRecord) => number}} page
+ *   after is the last record of the previous page, or null for the first page.
+ * @returns {{records: StudentRecord[], hasNextPage: boolean, lastDoc: ?StudentRecord}}
+ */
+export const getRecordsPage = (records, { search, after, pageSize, compare = null }) => {
+  const key = getStudentNameKey(search);
+  const nameKeyOf = (record) => record.studentNameKey ?? getStudentNameKey(record.studentName);
+  const order = (a, b) => (
+    (compare ? compare(a, b) : 0) || nameKeyOf(a).localeCompare(nameKeyOf(b)) || a.id.localeCompare(b.id)
+  );
+  const matching = records
+    .filter(record => nameKeyOf(record).startsWith(key) && (!after || order(record, after) > 0))
+    .sort(order);
+  const page = matching.slice(0, pageSize);
+  return { records: page, hasNextPage: matching.length > pageSize, lastDoc: page[page.length - 1] || null };
+};
+
+// Document id of a subject, derived from its name
+export const getSubjectId = (name) => name.trim().toLowerCase().replace(/\s/g, '-');
+
+// Grades, attendance and class averages outside any term are kept under this key in place of a term id
+export const NO_TERM_KEY = 'no-term';
+
+/**
+ * Key a term's grades, attendance and class averages are stored under.
+ * @param {?string} termId
+ * @returns {string}
+ */
+export const getTermKey = (termId) => termId || NO_TERM_KEY;
+
+/**
+ * A stored grade entry as an assessment. Older records stored bare numbers, so those are
+ * wrapped as untitled 100-point assessments. Entries without an id are identified by their
+ * position among the subject's grades.
+ * @param {Assessment | number} entry
+ * @param {number} index Position of the entry among the subject's grades
+ * @returns {Assessment}
+ */
+export const normalizeAssessment = (entry, index) => {
+  if (typeof entry === 'number') {
+    return {
+      id: `legacy-${index}`,
+      title: `Grade ${index + 1}`,
+      category: null,
+      date: null,
+      maxPoints: 100,
+      score: entry,
+      teacherId: null,
+    };
+  }
+  return { ...entry, id: entry.id || `assessment-${index}` };
+};
+
+/**
+ * The assessment with its title trimmed, or a ValidationError if a field is invalid.
+ * @param {Assessment} assessment
+ * @returns {Assessment}
+ */
+export const validateAssessment = (assessment) => {
+  const title = (assessment.title || '').trim();
+  if (!title) throw new ValidationError('Please give the assessment a title.');
+  if (!ASSESSMENT_CATEGORIES.some(category => category.value === assessment.category)) {
+    throw new ValidationError(`Unknown assessment category: ${assessment.category}.`);
+  }
+  const { score, maxPoints, missing } = assessment;
+  const isScoreValid = missing ? score === null : Number.isFinite(score) && score >= 0;
+  if (!isScoreValid || !Number.isFinite(maxPoints) || maxPoints <= 0) {
+    throw new ValidationError('Invalid grade. Please enter a score and a maximum above zero.');
+  }
+  return { ...assessment, title };
+};
+
+/**
+ * The role, or a ValidationError if it is not one an administrator can assign.
+ * @param {string} role
+ * @returns {UserRole}
+ */
+export const validateRole = (role) => {
+  if (!USER_ROLES.some(r => r.value === role)) throw new ValidationError(`Unknown role: ${role}.`);
+  return role;
+};
@@ -0,0 +1,115 @@
+import {
+  ValidationError, createEmptyStudentProfile, findDuplicateStudents, getRecordsPage, getStudentDisplayName, getStudentNameKey,
+  getSubjectId, getTermKey, normalizeAssessment,
+  validateAssessment, validateEnrollmentChange, validateRole, validateStudentName, validateStudentProfile, validateSubjectName,
+} from './models';
+
+const assessment = {
+  id: 'a1', title: ' Quiz 1 ', category: 'quiz', date: '2026-09-10', maxPoints: 25, score: 20, missing: false,
+  termId: 'fall', teacherId: 'teacher1',
+};
+
+describe('models', () => {
+  it('trims valid student names and rejects empty ones', () => {
+    expect(validateStudentName('  Ada Lovelace ')).toBe('Ada Lovelace');
+    expect(() => validateStudentName('   ')).toThrow(ValidationError);
+    expect(() => validateStudentName('x'.repeat(101))).toThrow(ValidationError);
+    expect(getStudentNameKey('  Ada Lovelace ')).toBe('ada lovelace');
+  });
+
+  it('rejects subject names that cannot be used as a grades field', () => {
+    expect(validateSubjectName(' Art History ')).toBe('Art History');
+    expect(getSubjectId('Art History')).toBe('art-history');
+    expect(() => validateSubjectName('Math 1.5')).toThrow('Subject names cannot contain');
+    expect(() => validateSubjectName('Art/Design')).toThrow(ValidationError);
+  });
+
+  it('checks assessments before they are stored', () => {
+    expect(validateAssessment(assessment).title).toBe('Quiz 1');
+    expect(validateAssessment({ ...assessment, score: null, missing: true }).score).toBeNull();
+    expect(() => validateAssessment({ ...assessment, title: '' })).toThrow('Please give the assessment a title.');
+    expect(() => validateAssessment({ ...assessment, category: 'essay' })).toThrow(ValidationError);
+    expect(() => validateAssessment({ ...assessment, score: NaN })).toThrow(ValidationError);
+    expect(() => validateAssessment({ ...assessment, maxPoints: 0 })).toThrow(ValidationError);
+    expect(() => validateAssessment({ ...assessment, score: null })).toThrow(ValidationError);
+  });
+
+  it('checks student profiles and shows the preferred name', () => {
+    const profile = {
+      ...createEmptyStudentProfile(' Augusta Ada King '),
+      preferredName: 'Ada',
+      studentNumber: 'S-1001',
+      dateOfBirth: '2010-12-10',
+      guardians: [{ name: ' Anne ', relationship: 'Mother', email: 'anne@example.com', phone: '' }],
+    };
+    const valid = validateStudentProfile(profile);
+    expect(valid.legalName).toBe('Augusta Ada King');
+    expect(valid.guardians[0].name).toBe('Anne');
+    expect(getStudentDisplayName(valid)).toBe('Ada');
+    expect(() => validateStudentProfile({ ...profile, studentNumber: 'S 1001' })).toThrow(ValidationError);
+    expect(() => validateStudentProfile({ ...profile, dateOfBirth: '2010-02-30' })).toThrow('Please enter a valid date of birth.');
+    expect(() => validateStudentProfile({ ...profile, gradeLevel: '13' })).toThrow(ValidationError);
+    expect(() => validateStudentProfile({ ...profile, guardians: [{ name: '', email: '' }] })).toThrow(ValidationError);
+  });
+
+  it('needs a reason and a new school to change enrollment', () => {
+    const withdrawal = { status: 'withdrawn', date: '2026-10-01', reason: ' Moved away ' };
+    expect(validateEnrollmentChange(withdrawal, 'enrolled')).toEqual({ ...withdrawal, reason: 'Moved away', transferSchool: null });
+    expect(() => validateEnrollmentChange(withdrawal, 'withdrawn')).toThrow('The student is already withdrawn.');
+    expect(() => validateEnrollmentChange({ ...withdrawal, reason: '' }, 'enrolled')).toThrow(ValidationError);
+    expect(() => validateEnrollmentChange({ ...withdrawal, status: 'transferred' }, 'enrolled')).toThrow(ValidationError);
+    expect(validateEnrollmentChange({ ...withdrawal, status: 'transferred', transferSchool: 'Northside High' }, 'enrolled').transferSchool)
+      .toBe('Northside High');
+  });
+
+  it('finds students that may already have a record', () => {
+    const records = [
+      { id: 'r1', studentName: 'Ada Lovelace' },
+      { id: 'r2', studentName: 'Grace Hopper', profile: { ...createEmptyStudentProfile('Grace Hopper'), studentNumber: 'S2' } },
+      { id: 'r3', studentName: 'Ada Lovelace', profile: { ...createEmptyStudentProfile('Ada Lovelace'), dateOfBirth: '2011-01-01' } },
+    ];
+    const profile = { ...createEmptyStudentProfile('ada lovelace'), studentNumber: 'S2', dateOfBirth: '2010-12-10' };
+    expect(findDuplicateStudents(profile, records).map(({ record, matchedOn }) => [record.id, matchedOn])).toEqual([
+      ['r1', 'name'],
+      ['r2', 'student number'],
+    ]);
+  });
+
+  it('pages through loaded records in name order', () => {
+    const records = ['Grace Hopper', 'ada Lovelace', 'Alan Turing', 'Barbara Liskov'].map((studentName, i) => ({
+      id: `r${i}`, studentName,
+    }));
+    const first = getRecordsPage(records, { search: '', after: null, pageSize: 2 });
+    expect(first.records.map(record => record.studentName)).toEqual(['ada Lovelace', 'Alan Turing']);
+    expect(first.hasNextPage).toBe(true);
+    const second = getRecordsPage(records, { search: '', after: first.lastDoc, pageSize: 2 });
+    expect(second.records.map(record => record.studentName)).toEqual(['Barbara Liskov', 'Grace Hopper']);
+    expect(second.hasNextPage).toBe(false);
+    expect(getRecordsPage(records, { search: ' A', after: null, pageSize: 5 }).records).toHaveLength(2);
+  });
+
+  it('stores grades outside any term under their own key, and gives older grades an id by position', () => {
+    expect(getTermKey('fall')).toBe('fall');
+    expect(getTermKey(null)).toBe('no-term');
+    expect(normalizeAssessment(90, 2)).toMatchObject({ id: 'legacy-2', title: 'Grade 3', score: 90, maxPoints: 100 });
+    expect(normalizeAssessment({ title: 'Quiz', score: 9 }, 1).id).toBe('assessment-1');
+    expect(normalizeAssessment(assessment, 0).id).toBe('a1');
+  });
+
+  it('pages through loaded records in another order, sorting them all before paging', () => {
+    const records = [['Ada', 70], ['Alan', 95], ['Barbara', 80], ['Grace', 95]].map(([studentName, score], i) => ({
+      id: `r${i}`, studentName, score,
+    }));
+    const compare = (a, b) => b.score - a.score;
+    const first = getRecordsPage(records, { search: '', after: null, pageSize: 2, compare });
+    expect(first.records.map(record => record.studentName)).toEqual(['Alan', 'Grace']);
+    const second = getRecordsPage(records, { search: '', after: first.lastDoc, pageSize: 2, compare });
+    expect(second.records.map(record => record.studentName)).toEqual(['Barbara', 'Ada']);
+    expect(second.hasNextPage).toBe(false);
+  });
+
+  it('accepts only known roles', () => {
+    expect(validateRole('parent')).toBe('parent');
+    expect(() => validateRole('owner')).toThrow(ValidationError);
+  });
+});
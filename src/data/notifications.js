@@ -0,0 +1,73 @@
+import { addDoc, getDoc, limit, onSnapshot, orderBy, query, setDoc } from 'firebase/firestore';
+import { createBatchWriter } from './batches';
+import { dataCollection, dataDoc } from './paths';
+
+/**
+ * Access to the notifications sent to students and parents, and to the alerts each account
+ * has chosen to receive. Preferences are returned as saved, or null if the account has
+ * not saved any; callers fill in the defaults.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createNotificationsRepository = (db, appId) => {
+  const notifications = (uid) => dataCollection(db, appId, 'users', uid, 'notifications');
+  const preferencesRef = (uid) => dataDoc(db, appId, 'notificationPreferences', uid);
+  const batches = createBatchWriter(db);
+
+  return {
+    /**
+     * Add a notification to an account's notification center.
+     * @param {string} recipientId
+     * @param {import('./models').Notification} notification
+     */
+    send: (recipientId, notification) => addDoc(notifications(recipientId), notification),
+
+    /**
+     * Listen to an account's most recent notifications, newest first.
+     * @param {string} uid
+     * @param {number} count
+     * @param {(notifications: (import('./models').Notification & {id: string})[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToRecent: (uid, count, onChange) => onSnapshot(
+      query(notifications(uid), orderBy('createdAt', 'desc'), limit(count)),
+      (snapshot) => onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+    ),
+
+    /**
+     * Mark an account's notifications as read.
+     * @param {string} uid
+     * @param {string[]} notificationIds
+     */
+    markRead: (uid, notificationIds) => batches.commitInChunks(notificationIds.map(notificationId => batch => (
+      batch.update(dataDoc(db, appId, 'users', uid, 'notifications', notificationId), { read: true })
+    ))),
+
+    /**
+     * Read the alerts an account receives.
+     * @param {string} uid
+     * @returns {Promise<?Object>}
+     */
+    getPreferences: async (uid) => {
+      const snapshot = await getDoc(preferencesRef(uid));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+
+    /**
+     * Listen to the alerts an account receives.
+     * @param {string} uid
+     * @param {(preferences: ?Object) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToPreferences: (uid, onChange) => onSnapshot(preferencesRef(uid), (snapshot) => {
+      onChange(snapshot.exists() ? snapshot.data() : null);
+    }),
+
+    /**
+     * Save the alerts an account receives, replacing any saved before.
+     * @param {string} uid
+     * @param {Object} preferences
+     */
+    savePreferences: (uid, preferences) => setDoc(preferencesRef(uid), preferences),
+  };
+};
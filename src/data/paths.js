@@ -0,0 +1,10 @@
+import { collection, doc } from 'firebase/firestore';
+
+// All app data lives under /artifacts/{appId}/public/data, the same prefix the security rules match
+export const getDataPath = (appId, ...segments) => [`/artifacts/${appId}/public/data`, ...segments].join('/');
+
+// Reference to a collection below the app's data, e.g. dataCollection(db, appId, 'users', uid, 'notifications')
+export const dataCollection = (db, appId, ...segments) => collection(db, getDataPath(appId, ...segments));
+
+// Reference to a document below the app's data, e.g. dataDoc(db, appId, 'settings', 'gradingScale')
+export const dataDoc = (db, appId, ...segments) => doc(db, getDataPath(appId, ...segments));
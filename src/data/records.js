@@ -0,0 +1,608 @@
+import {
+  arrayRemove, arrayUnion, deleteField, getDoc, getDocs, limit, onSnapshot, orderBy, query, runTransaction, setDoc, startAfter, updateDoc, where, writeBatch,
+} from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+import {
+  NO_TERM_KEY, ValidationError, createEmptyStudentProfile, findDuplicateStudents, getEnrollmentStatus, getStudentDisplayName,
+  getStudentNameKey, getTermKey, normalizeAssessment, validateAssessment, validateEnrollmentChange, validateStudentName,
+  validateStudentProfile,
+} from './models';
+
+// Firestore matches at most this many values in one array-contains-any filter
+const MAX_SECTIONS_PER_QUERY = 30;
+
+// Section ids split into groups small enough for one array-contains-any filter each
+const chunkSectionIds = (sectionIds) => {
+  const chunks = [];
+  for (let i = 0; i < sectionIds.length; i += MAX_SECTIONS_PER_QUERY) {
+    chunks.push(sectionIds.slice(i, i + MAX_SECTIONS_PER_QUERY));
+  }
+  return chunks;
+};
+
+// Listen to several queries as one. onChange gets every query's latest snapshot, once each
+// query has delivered its first.
+const onSnapshots = (queries, options, onChange) => {
+  const snapshots = queries.map(() => null);
+  const unsubscribes = queries.map((eachQuery, index) => (
+    onSnapshot(eachQuery, options, (snapshot) => {
+      snapshots[index] = snapshot;
+      if (!snapshots.includes(null)) onChange(snapshots);
+    })
+  ));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Grades are stored by term, grades.<termKey>.<subject>, and attendance too,
+// attendance.<termKey>.<entryKey>, so the security rules can keep an archived term read-only.
+// Records saved before then hold lists of grades by subject and attendance entries directly,
+// until an administrator upgrades them.
+const isLegacyGradeList = (value) => Array.isArray(value);
+const isLegacyAttendanceEntry = (value) => typeof value?.status === 'string';
+
+// The stored lists of a subject's grades, in the order the app lists them: lists from before
+// grades were kept by term first, so the ids of their entries without one do not change
+const getStoredGradeLists = (grades, subject) => [
+  ...(isLegacyGradeList(grades?.[subject]) ? [{ termKey: null, entries: grades[subject] }] : []),
+  ...Object.keys(grades || {})
+    .filter(termKey => !isLegacyGradeList(grades[termKey]) && grades[termKey][subject])
+    .map(termKey => ({ termKey, entries: grades[termKey][subject] })),
+];
+
+// A record's grades by subject across every term, the shape the app works with
+const flattenGrades = (grades) => {
+  const subjects = new Set();
+  Object.keys(grades || {}).forEach(key => {
+    if (isLegacyGradeList(grades[key])) subjects.add(key);
+    else Object.keys(grades[key]).forEach(subject => subjects.add(subject));
+  });
+  const bySubject = {};
+  subjects.forEach(subject => {
+    bySubject[subject] = getStoredGradeLists(grades, subject).flatMap(list => list.entries);
+  });
+  return bySubject;
+};
+
+// A record's attendance entries across every term, keyed as they are within a term
+const flattenAttendance = (attendance) => {
+  const entries = {};
+  Object.keys(attendance || {}).forEach(key => {
+    if (isLegacyAttendanceEntry(attendance[key])) entries[key] = attendance[key];
+    else Object.assign(entries, attendance[key]);
+  });
+  return entries;
+};
+
+// Whether a stored record still keeps grades or attendance the way it did before terms were
+// kept apart, or has grades identified only by their position
+const hasLegacyStorage = (data) => (
+  Object.values(data.grades || {}).some(isLegacyGradeList)
+  || Object.values(data.attendance || {}).some(isLegacyAttendanceEntry)
+  || Object.values(flattenGrades(data.grades)).some(entries => entries.some(entry => typeof entry !== 'object' || !entry.id))
+);
+
+// Find an assessment among a stored record's grades for a subject. Returns the term it is
+// stored under, that term's list of the subject's grades with every entry given its lasting
+// id, and the assessment's position there, or null.
+const findStoredAssessment = (grades, subject, assessmentId) => {
+  let offset = 0;
+  for (const list of getStoredGradeLists(grades, subject)) {
+    const start = offset;
+    const index = list.entries.findIndex((entry, i) => normalizeAssessment(entry, start + i).id === assessmentId);
+    if (index !== -1) {
+      const entries = list.entries.map((entry, i) => normalizeAssessment(entry, start + i));
+      return { termKey: list.termKey, entries, index, assessment: entries[index] };
+    }
+    offset += list.entries.length;
+  }
+  return null;
+};
+
+// Records from a query snapshot. Records carry hasPendingWrites so their sync indicator clears
+// once the server confirms a write, and hasLegacyStorage while they need upgrading.
+const toRecords = (snapshot) => snapshot.docs.map(doc => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    grades: flattenGrades(data.grades),
+    attendance: flattenAttendance(data.attendance),
+    hasLegacyStorage: hasLegacyStorage(data),
+    hasPendingWrites: doc.metadata.hasPendingWrites,
+  };
+});
+
+// The term id a term key stands for, as changes to grades and attendance name it in lastChangedTermId
+const getTermIdOfKey = (termKey) => (termKey === NO_TERM_KEY ? null : termKey);
+
+/**
+ * Access to student records.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createRecordsRepository = (db, appId) => {
+  const ref = (recordId) => dataDoc(db, appId, 'records', recordId);
+  const records = () => dataCollection(db, appId, 'records');
+  // Keyed by a student's login uid, so an account is linked to at most one record
+  const accountRef = (uid) => dataDoc(db, appId, 'studentAccounts', uid);
+
+  /**
+   * Fields saving a student's name, with the key the records table sorts and searches by.
+   * @param {string} studentName
+   * @returns {{studentName: string, studentNameKey: string}}
+   */
+  const buildNameUpdate = (studentName) => {
+    const name = validateStudentName(studentName);
+    return { studentName: name, studentNameKey: getStudentNameKey(name) };
+  };
+
+  /**
+   * Fields saving a student's profile, with the name shown for them.
+   * @param {import('./models').StudentProfile} profile
+   * @returns {{profile: import('./models').StudentProfile, studentName: string, studentNameKey: string}}
+   */
+  const buildProfileUpdate = (profile) => {
+    const validProfile = validateStudentProfile(profile);
+    return { profile: validProfile, ...buildNameUpdate(getStudentDisplayName(validProfile)) };
+  };
+
+  // Records whose name starts with the search text, in name order
+  const byName = (constraints, search) => {
+    const key = getStudentNameKey(search);
+    return query(
+      records(),
+      ...constraints,
+      ...(key ? [where('studentNameKey', '>=', key), where('studentNameKey', '<=', `${key}\uf8ff`)] : []),
+      orderBy('studentNameKey')
+    );
+  };
+
+  /**
+   * A new, empty record for an enrolled student, optionally in a section. Students added by
+   * name alone get a profile holding just their legal name. Returned unsaved so it can be
+   * written in a batch with the changes that go with it.
+   * @param {{studentName?: string, profile?: import('./models').StudentProfile, createdBy: string, section?: {id: string, teacherId: string}}} fields
+   * @returns {{ref: import('firebase/firestore').DocumentReference, data: Omit<import('./models').StudentRecord, 'id'>}}
+   */
+  const build = ({ studentName, profile, createdBy, section }) => {
+    const studentId = crypto.randomUUID();
+    return {
+      ref: ref(studentId),
+      data: {
+        studentId,
+        ...buildProfileUpdate(profile || createEmptyStudentProfile(studentName)),
+        enrollmentStatus: 'enrolled',
+        enrollmentHistory: [],
+        grades: {},
+        createdBy,
+        ...(section ? { sectionIds: [section.id], teacherIds: [section.teacherId] } : {}),
+      },
+    };
+  };
+
+  return {
+    ref,
+    accountRef,
+    build,
+    buildProfileUpdate,
+
+    /**
+     * Fields renaming a student. On records with a profile the name being corrected is the
+     * one shown: the preferred name if the student has one, or else the legal name.
+     * @param {import('./models').StudentRecord} record
+     * @param {string} studentName
+     * @returns {Object} Fields for updateDoc or a batch update
+     */
+    buildRenameUpdate: (record, studentName) => {
+      const nameUpdate = buildNameUpdate(studentName);
+      if (!record.profile) return nameUpdate;
+      const field = record.profile.preferredName ? 'preferredName' : 'legalName';
+      return { ...nameUpdate, [`profile.${field}`]: nameUpdate.studentName };
+    },
+
+    /**
+     * Fields changing a student's enrollment status. The change is added to the record's
+     * history, so withdrawals and transfers stay on file after the student re-enrolls.
+     * @param {import('./models').StudentRecord} record
+     * @param {{status: import('./models').EnrollmentStatus, date: string, reason: string, transferSchool?: string}} change
+     * @param {string} changedBy
+     * @returns {Object} Fields for updateDoc or a batch update
+     */
+    buildEnrollmentUpdate: (record, change, changedBy) => {
+      const validChange = validateEnrollmentChange(change, getEnrollmentStatus(record));
+      return {
+        enrollmentStatus: validChange.status,
+        enrollmentHistory: arrayUnion({ ...validChange, changedBy, changedAt: new Date().toISOString() }),
+      };
+    },
+
+    /**
+     * Fields enrolling a student in a section, adding its teacher to the record's teachers.
+     * @param {{id: string, teacherId: string}} section
+     * @returns {Object} Fields for a batch update
+     */
+    buildSectionEnrollmentUpdate: (section) => ({
+      sectionIds: arrayUnion(section.id),
+      teacherIds: arrayUnion(section.teacherId),
+      lastEnrolledSectionId: section.id,
+    }),
+
+    /**
+     * Fields removing a student from a section.
+     * @param {{id: string, teacherId: string}} section
+     * @param {boolean} keepsTeacher Whether the section's teacher still teaches the student in another section
+     * @returns {Object} Fields for a batch update
+     */
+    buildSectionRemovalUpdate: (section, keepsTeacher) => ({
+      sectionIds: arrayRemove(section.id),
+      ...(keepsTeacher ? {} : { teacherIds: arrayRemove(section.teacherId) }),
+    }),
+
+    /**
+     * Link a student's login account to their record, so they can see it. An account already
+     * linked to another record must be unlinked from it first.
+     * @param {string} recordId
+     * @param {string} uid
+     * @param {string} linkedBy Administrator making the link
+     */
+    linkAccount: (recordId, uid, linkedBy) => {
+      const batch = writeBatch(db);
+      batch.set(accountRef(uid), { recordId, linkedBy, linkedAt: new Date().toISOString() });
+      batch.update(ref(recordId), { studentUid: uid });
+      return batch.commit();
+    },
+
+    /**
+     * Remove the link between a record and its student's login account.
+     * @param {import('./models').StudentRecord} record
+     */
+    unlinkAccount: (record) => {
+      const batch = writeBatch(db);
+      batch.delete(accountRef(record.studentUid));
+      batch.update(ref(record.id), { studentUid: deleteField() });
+      return batch.commit();
+    },
+
+    /**
+     * Remove a parent's link to a student, made when the parent redeemed an invite code.
+     * @param {string} recordId
+     * @param {string} parentUid
+     */
+    unlinkParent: (recordId, parentUid) => updateDoc(ref(recordId), {
+      parentIds: arrayRemove(parentUid),
+      [`parentLinks.${parentUid}`]: deleteField(),
+    }),
+
+    /**
+     * Add a teacher's comment on an assessment, or on a subject when assessmentId is null.
+     * @param {string} recordId
+     * @param {{subject: string, assessmentId: ?string, text: string, authorId: string, authorName: ?string}} comment
+     */
+    addComment: (recordId, { subject, assessmentId, text, authorId, authorName }) => updateDoc(ref(recordId), {
+      [`comments.${crypto.randomUUID()}`]: {
+        subject,
+        assessmentId: assessmentId || null,
+        text: text.trim(),
+        authorId,
+        authorName,
+        createdAt: new Date().toISOString(),
+      },
+    }),
+
+    /**
+     * Records anywhere in the school that may be the same student as the profile, so staff are
+     * warned before adding a student twice. Only administrators may search the whole school.
+     * @param {import('./models').StudentProfile} profile
+     * @param {?string} [excludeRecordId] The profile's own record, when editing one
+     * @returns {Promise<{record: import('./models').StudentRecord, matchedOn: 'student number' | 'name'}[]>}
+     */
+    findDuplicates: async (profile, excludeRecordId = null) => {
+      const validProfile = validateStudentProfile(profile);
+      const nameKeys = [...new Set([validProfile.legalName, getStudentDisplayName(validProfile)].map(getStudentNameKey))];
+      const snapshots = await Promise.all([
+        getDocs(query(records(), where('studentNameKey', 'in', nameKeys))),
+        ...(validProfile.studentNumber
+          ? [getDocs(query(records(), where('profile.studentNumber', '==', validProfile.studentNumber)))]
+          : []),
+      ]);
+      const candidates = new Map();
+      snapshots.forEach(snapshot => toRecords(snapshot).forEach(record => candidates.set(record.id, record)));
+      candidates.delete(excludeRecordId);
+      return findDuplicateStudents(validProfile, [...candidates.values()]);
+    },
+
+    /**
+     * Listen to the records a user works with. Students get the record linked to their
+     * account and parents their children's, which is all security rules let them read. Teachers
+     * get the records of the students in their sections and the records they created.
+     * Administrators get the records of the students in the sections they pass, rather than
+     * every record in the school; getAll reads those for the actions that need them.
+     * @param {{role: import('./models').UserRole, userId: string, sectionIds?: string[]}} user
+     * @param {(records: import('./models').StudentRecord[], metadata: {fromCache: boolean}) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe: ({ role, userId, sectionIds = [] }, onChange) => {
+      let queries = [];
+      if (role === 'admin') {
+        queries = chunkSectionIds(sectionIds).map(ids => query(records(), where('sectionIds', 'array-contains-any', ids)));
+      } else if (role === 'student') {
+        queries = [query(records(), where('studentUid', '==', userId))];
+      } else if (role === 'parent') {
+        queries = [query(records(), where('parentIds', 'array-contains', userId))];
+      } else if (role === 'teacher') {
+        queries = [
+          query(records(), where('teacherIds', 'array-contains', userId)),
+          query(records(), where('createdBy', '==', userId)),
+        ];
+      }
+
+      if (queries.length === 0) {
+        onChange([], { fromCache: false });
+        return () => {};
+      }
+
+      // Firestore has no OR across these fields, so the teacher's queries are merged here
+      return onSnapshots(queries, { includeMetadataChanges: true }, (snapshots) => {
+        const merged = new Map();
+        snapshots.forEach(each => toRecords(each).forEach(record => merged.set(record.id, record)));
+        onChange([...merged.values()], { fromCache: snapshots.some(each => each.metadata.fromCache) });
+      });
+    },
+
+    /**
+     * Listen to a single record, such as a student opened from the records table whose record
+     * is not among those the user listens to.
+     * @param {string} recordId
+     * @param {(record: ?import('./models').StudentRecord) => void} onChange Gets null if there is no such record
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToRecord: (recordId, onChange) => onSnapshot(ref(recordId), { includeMetadataChanges: true }, (snapshot) => {
+      onChange(snapshot.exists() ? toRecords({ docs: [snapshot] })[0] : null);
+    }),
+
+    /**
+     * Read one record once, such as a student on another page of the records table.
+     * @param {string} recordId
+     * @returns {Promise<?import('./models').StudentRecord>} null if there is no such record
+     */
+    get: async (recordId) => {
+      const snapshot = await getDoc(ref(recordId));
+      return snapshot.exists() ? toRecords({ docs: [snapshot] })[0] : null;
+    },
+
+    /**
+     * Read every record in the school once, for administrator actions that change them all,
+     * such as archiving a term.
+     * @returns {Promise<import('./models').StudentRecord[]>}
+     */
+    getAll: async () => toRecords(await getDocs(records())),
+
+    /**
+     * Listen to which record each student login account is linked to. Only administrators may.
+     * @param {(recordIdsByUid: Object<string, string>) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToAccountLinks: (onChange) => onSnapshot(dataCollection(db, appId, 'studentAccounts'), (snapshot) => {
+      const recordIdsByUid = {};
+      snapshot.docs.forEach(doc => {
+        recordIdsByUid[doc.id] = doc.data().recordId;
+      });
+      onChange(recordIdsByUid);
+    }),
+
+    /**
+     * Listen to one page of every record in the school, in name order, for the administrators'
+     * records table. Only the page is downloaded, so the table stays fast however many
+     * students the school has. Records without a studentNameKey are left out until one is
+     * saved for them.
+     * @param {{search: string, after: ?import('firebase/firestore').QueryDocumentSnapshot, pageSize: number}} page
+     *   after is the last record of the previous page, or null for the first page.
+     * @param {(page: {records: import('./models').StudentRecord[], hasNextPage: boolean, lastDoc: ?import('firebase/firestore').QueryDocumentSnapshot}) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToPage: ({ search, after, pageSize }, onChange) => {
+      const pageQuery = query(
+        byName([], search),
+        ...(after ? [startAfter(after)] : []),
+        // One extra record tells whether there is a next page
+        limit(pageSize + 1)
+      );
+      return onSnapshot(pageQuery, (snapshot) => {
+        const docs = snapshot.docs.slice(0, pageSize);
+        onChange({
+          records: toRecords({ docs }),
+          hasNextPage: snapshot.docs.length > pageSize,
+          lastDoc: docs[docs.length - 1] || null,
+        });
+      });
+    },
+
+    /**
+     * Find students anywhere in the school whose name starts with the search text, for
+     * enrolling them in a section. Only administrators may search the whole school.
+     * @param {string} search
+     * @param {number} maxResults
+     * @returns {Promise<import('./models').StudentRecord[]>}
+     */
+    searchByName: async (search, maxResults) => {
+      const snapshot = await getDocs(query(byName([], search), limit(maxResults)));
+      return toRecords(snapshot);
+    },
+
+    /**
+     * Save a new record for a student.
+     * @returns {Promise<string>} The new record's id
+     */
+    create: async (fields) => {
+      const record = build(fields);
+      await setDoc(record.ref, record.data);
+      return record.ref.id;
+    },
+
+    /**
+     * Move a record's grades, comments and attendance from a subject's old name to its new one.
+     * The record is re-read in a transaction, so grades added or corrected since it was loaded
+     * move with the rest, and running it again once the record has moved changes nothing.
+     * Grades keep the ids they had under the old name, so their comments stay attached.
+     * @param {string} recordId
+     * @param {string} oldName
+     * @param {string} newName
+     */
+    moveSubject: (recordId, oldName, newName) => runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref(recordId));
+      if (!snapshot.exists()) return;
+      const { grades = {}, comments = {}, attendance = {} } = snapshot.data();
+      const update = {};
+
+      // The new name's grades are listed after the old name's, so both keep the ids they have by position
+      const oldLists = getStoredGradeLists(grades, oldName);
+      const movedCount = oldLists.reduce((count, list) => count + list.entries.length, 0);
+      let offset = 0;
+      oldLists.forEach(({ termKey, entries }) => {
+        const start = offset;
+        update[termKey ? `grades.${termKey}.${oldName}` : `grades.${oldName}`] = deleteField();
+        update[`grades.${termKey || NO_TERM_KEY}.${newName}`] = [
+          ...(update[`grades.${termKey || NO_TERM_KEY}.${newName}`] || []),
+          ...entries.map((entry, i) => normalizeAssessment(entry, start + i)),
+        ];
+        offset += entries.length;
+      });
+      if (movedCount > 0) {
+        offset = movedCount;
+        getStoredGradeLists(grades, newName).forEach(({ termKey, entries }) => {
+          const start = offset;
+          const path = `grades.${termKey || NO_TERM_KEY}.${newName}`;
+          if (!termKey) update[`grades.${newName}`] = deleteField();
+          update[path] = [...(update[path] || []), ...entries.map((entry, i) => normalizeAssessment(entry, start + i))];
+          offset += entries.length;
+        });
+      }
+
+      Object.keys(comments)
+        .filter(commentId => comments[commentId].subject === oldName)
+        .forEach(commentId => { update[`comments.${commentId}.subject`] = newName; });
+      Object.keys(attendance).forEach(key => {
+        if (isLegacyAttendanceEntry(attendance[key])) {
+          if (attendance[key].subjectName === oldName) update[`attendance.${key}.subjectName`] = newName;
+          return;
+        }
+        Object.keys(attendance[key])
+          .filter(entryKey => attendance[key][entryKey].subjectName === oldName)
+          .forEach(entryKey => { update[`attendance.${key}.${entryKey}.subjectName`] = newName; });
+      });
+
+      if (Object.keys(update).length === 0) return;
+      transaction.update(ref(recordId), update);
+    }),
+
+    /**
+     * Update appending new assessments to a record's subjects. arrayUnion keeps grades another
+     * teacher adds at the same time, and makes a retried write harmless.
+     * @param {Object<string, import('./models').Assessment[]>} assessmentsBySubject
+     * @param {?string} termId Term the assessments belong to
+     * @returns {Object} Fields for updateDoc or a batch update
+     */
+    buildAssessmentsUpdate: (assessmentsBySubject, termId) => {
+      const update = { lastChangedTermId: termId || null };
+      Object.keys(assessmentsBySubject).forEach(subjectName => {
+        update[`grades.${getTermKey(termId)}.${subjectName}`] = arrayUnion(...assessmentsBySubject[subjectName].map(validateAssessment));
+      });
+      return update;
+    },
+
+    /**
+     * Update saving one attendance mark on a record.
+     * @param {string} entryKey Section, date and period the mark is for
+     * @param {{date: string, period: string, sectionId: string, subjectName: ?string, termId: ?string, status: string, teacherId: string}} entry
+     * @returns {Object} Fields for updateDoc or a batch update
+     */
+    buildAttendanceUpdate: (entryKey, entry) => ({
+      [`attendance.${getTermKey(entry.termId)}.${entryKey}`]: entry,
+      lastChangedTermId: entry.termId || null,
+    }),
+
+    /**
+     * Correct one assessment. The record is re-read in a transaction so a concurrent change to
+     * the same subject is not overwritten. Transactions run on the server, so this needs a connection.
+     * @param {string} recordId
+     * @param {string} subject
+     * @param {string} assessmentId
+     * @param {Partial<import('./models').Assessment>} changes
+     * @param {(transaction: import('firebase/firestore').Transaction, change: {record: Object, oldValue: import('./models').Assessment, newValue: import('./models').Assessment}) => *} writeWith
+     *   Adds the writes that go with the correction, such as its audit entry. Its result is returned.
+     * @throws {Error} 'grade-not-found' if the record has no such assessment
+     */
+    updateAssessment: (recordId, subject, assessmentId, changes, writeWith) => runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref(recordId));
+      const stored = snapshot.exists() ? findStoredAssessment(snapshot.data().grades, subject, assessmentId) : null;
+      if (!stored) throw new Error('grade-not-found');
+      if (!stored.termKey) throw new ValidationError('Older records must be upgraded before their grades can be changed.');
+
+      // Entries identified only by their position keep that id from now on, so comments on
+      // them stay attached however the list changes
+      const oldValue = stored.assessment;
+      const newValue = { ...oldValue, ...changes, id: oldValue.id };
+      transaction.update(ref(recordId), {
+        [`grades.${stored.termKey}.${subject}`]: stored.entries.map((entry, i) => (i === stored.index ? newValue : entry)),
+        lastChangedTermId: getTermIdOfKey(stored.termKey),
+      });
+      return writeWith(transaction, { record: snapshot.data(), oldValue, newValue });
+    }),
+
+    /**
+     * Delete one assessment with its comments, dropping the subject's list for its term once it is empty.
+     * @param {string} recordId
+     * @param {string} subject
+     * @param {string} assessmentId
+     * @param {(transaction: import('firebase/firestore').Transaction, change: {record: Object, oldValue: import('./models').Assessment}) => *} writeWith
+     *   Adds the writes that go with the deletion, such as its audit entry. Its result is returned.
+     * @throws {Error} 'grade-not-found' if the record has no such assessment
+     */
+    deleteAssessment: (recordId, subject, assessmentId, writeWith) => runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref(recordId));
+      const stored = snapshot.exists() ? findStoredAssessment(snapshot.data().grades, subject, assessmentId) : null;
+      if (!stored) throw new Error('grade-not-found');
+      if (!stored.termKey) throw new ValidationError('Older records must be upgraded before their grades can be changed.');
+
+      const remaining = stored.entries.filter((_, i) => i !== stored.index);
+      const comments = snapshot.data().comments || {};
+      const commentRemovals = {};
+      Object.keys(comments)
+        .filter(commentId => comments[commentId].subject === subject && comments[commentId].assessmentId === assessmentId)
+        .forEach(commentId => { commentRemovals[`comments.${commentId}`] = deleteField(); });
+      transaction.update(ref(recordId), {
+        [`grades.${stored.termKey}.${subject}`]: remaining.length > 0 ? remaining : deleteField(),
+        ...commentRemovals,
+        lastChangedTermId: getTermIdOfKey(stored.termKey),
+      });
+      return writeWith(transaction, { record: snapshot.data(), oldValue: stored.assessment });
+    }),
+
+    /**
+     * Move a record saved before terms were kept apart to the current storage: grades and
+     * attendance by term, and every grade with a lasting id. Ids are the ones the app gave
+     * the grades by their position, so comments on them stay attached. Only administrators may.
+     * @param {string} recordId
+     */
+    upgradeStorage: (recordId) => runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(ref(recordId));
+      if (!snapshot.exists() || !hasLegacyStorage(snapshot.data())) return;
+      const data = snapshot.data();
+      const grades = {};
+      Object.entries(flattenGrades(data.grades)).forEach(([subject, entries]) => {
+        entries.forEach((entry, index) => {
+          const assessment = normalizeAssessment(entry, index);
+          const termKey = getTermKey(assessment.termId);
+          grades[termKey] = grades[termKey] || {};
+          grades[termKey][subject] = [...(grades[termKey][subject] || []), assessment];
+        });
+      });
+      const attendance = {};
+      Object.entries(flattenAttendance(data.attendance)).forEach(([entryKey, entry]) => {
+        const termKey = getTermKey(entry.termId);
+        attendance[termKey] = { ...attendance[termKey], [entryKey]: entry };
+      });
+      transaction.update(ref(recordId), { grades, attendance });
+    }),
+  };
+};
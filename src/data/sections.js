@@ -0,0 +1,66 @@
+import { addDoc, arrayRemove, arrayUnion, deleteDoc, onSnapshot } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+
+/**
+ * Access to class sections: a subject taught by one teacher in one term, with its roster.
+ * Enrolling a student also changes their record, so rosters are updated in the same batch
+ * through ref.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createSectionsRepository = (db, appId) => {
+  const ref = (sectionId) => dataDoc(db, appId, 'sections', sectionId);
+
+  return {
+    ref,
+
+    /**
+     * Listen to every section. Only staff may read them.
+     * @param {(sections: import('./models').Section[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe: (onChange) => onSnapshot(dataCollection(db, appId, 'sections'), (snapshot) => {
+      onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }),
+
+    /**
+     * Add a section with an empty roster, named after its subject unless given a name.
+     * @param {{name: string, subject: import('./models').Subject, teacherId: string, termId: ?string}} section
+     * @param {string} createdBy
+     * @returns {Promise<string>} The saved name
+     */
+    add: async ({ name, subject, teacherId, termId }, createdBy) => {
+      const sectionName = name.trim() || subject.name;
+      await addDoc(dataCollection(db, appId, 'sections'), {
+        name: sectionName,
+        subjectId: subject.id,
+        subjectName: subject.name,
+        teacherId,
+        termId: termId || null,
+        studentIds: [],
+        createdBy,
+      });
+      return sectionName;
+    },
+
+    /**
+     * Update adding students to a section's roster. Students already on it are left as they are.
+     * @param {string[]} recordIds
+     * @returns {Object} Fields for a batch update
+     */
+    buildAddStudentsUpdate: (recordIds) => ({ studentIds: arrayUnion(...recordIds) }),
+
+    /**
+     * Update removing a student from a section's roster.
+     * @param {string} recordId
+     * @returns {Object} Fields for a batch update
+     */
+    buildRemoveStudentUpdate: (recordId) => ({ studentIds: arrayRemove(recordId) }),
+
+    /**
+     * Delete a section. Callers check that no students are enrolled first.
+     * @param {string} sectionId
+     */
+    remove: (sectionId) => deleteDoc(ref(sectionId)),
+  };
+};
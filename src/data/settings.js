@@ -0,0 +1,53 @@
+import { onSnapshot, setDoc } from 'firebase/firestore';
+import { dataDoc } from './paths';
+
+/**
+ * Access to the school-wide settings: the grading scale and the school details printed on
+ * report cards. Only administrators change them.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createSettingsRepository = (db, appId) => {
+  const gradingScaleRef = dataDoc(db, appId, 'settings', 'gradingScale');
+  const schoolProfileRef = dataDoc(db, appId, 'settings', 'schoolProfile');
+
+  return {
+    /**
+     * Listen to the grading scale.
+     * @param {(ranges: ?import('./models').GradeRange[]) => void} onChange Called with null while none is saved
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToGradingScale: (onChange) => onSnapshot(gradingScaleRef, (docSnap) => {
+      onChange(docSnap.exists() ? docSnap.data().ranges || null : null);
+    }),
+
+    /**
+     * Listen to the school details.
+     * @param {(profile: ?{name: string, address: string, phone: string}) => void} onChange
+     *   Called with null while none are saved
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToSchoolProfile: (onChange) => onSnapshot(schoolProfileRef, (docSnap) => {
+      onChange(docSnap.exists() ? docSnap.data() : null);
+    }),
+
+    /**
+     * Replace the grading scale.
+     * @param {import('./models').GradeRange[]} ranges
+     * @param {string} updatedBy
+     */
+    saveGradingScale: (ranges, updatedBy) => setDoc(gradingScaleRef, { ranges, updatedBy }),
+
+    /**
+     * Replace the school details.
+     * @param {{name: string, address: string, phone: string}} profile
+     * @param {string} updatedBy
+     */
+    saveSchoolProfile: ({ name, address, phone }, updatedBy) => setDoc(schoolProfileRef, {
+      name: name.trim(),
+      address: address.trim(),
+      phone: phone.trim(),
+      updatedBy,
+    }),
+  };
+};
@@ -0,0 +1,54 @@
+import { arrayUnion, onSnapshot, setDoc, updateDoc } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+import { getSubjectId, validateSubjectName } from './models';
+
+/**
+ * Access to the school's subjects.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createSubjectsRepository = (db, appId) => {
+  const ref = (subjectId) => dataDoc(db, appId, 'subjects', subjectId);
+
+  return {
+    ref,
+
+    /**
+     * Listen to every subject.
+     * @param {(subjects: import('./models').Subject[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe: (onChange) => onSnapshot(dataCollection(db, appId, 'subjects'), (snapshot) => {
+      onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }),
+
+    /**
+     * Add a subject, offered in the given term. Adding an existing subject offers it in that
+     * term too, without losing its settings.
+     * @param {string} name
+     * @param {?string} termId
+     * @returns {Promise<string>} The saved name
+     */
+    add: async (name, termId) => {
+      const subjectName = validateSubjectName(name);
+      await setDoc(ref(getSubjectId(subjectName)), {
+        name: subjectName,
+        ...(termId ? { termIds: arrayUnion(termId) } : {}),
+      }, { merge: true });
+      return subjectName;
+    },
+
+    /**
+     * Save how a subject is graded and how many credit hours it carries. Teachers may only for
+     * subjects they teach, and name one of their sections of it.
+     * @param {string} subjectId
+     * @param {{gradingPolicy: import('./models').Subject['gradingPolicy'], credits: number}} settings
+     * @param {?string} [sectionId] A section of the subject taught by the signed-in teacher
+     */
+    saveSettings: (subjectId, { gradingPolicy, credits }, sectionId = null) => updateDoc(ref(subjectId), {
+      gradingPolicy,
+      credits,
+      ...(sectionId ? { lastEditedSectionId: sectionId } : {}),
+    }),
+  };
+};
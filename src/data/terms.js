@@ -0,0 +1,52 @@
+import { addDoc, onSnapshot, updateDoc } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+
+/**
+ * Access to the school's academic terms.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createTermsRepository = (db, appId) => {
+  const ref = (termId) => dataDoc(db, appId, 'terms', termId);
+
+  return {
+    ref,
+
+    /**
+     * Listen to every term.
+     * @param {(terms: import('./models').Term[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe: (onChange) => onSnapshot(dataCollection(db, appId, 'terms'), (snapshot) => {
+      onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }),
+
+    /**
+     * Add an open term.
+     * @param {{name: string, startDate: string, endDate: string}} term
+     * @param {string} createdBy
+     * @returns {Promise<string>} The new term's id
+     */
+    add: async ({ name, startDate, endDate }, createdBy) => {
+      const termRef = await addDoc(dataCollection(db, appId, 'terms'), {
+        name: name.trim(),
+        startDate,
+        endDate,
+        status: 'open',
+        createdBy,
+      });
+      return termRef.id;
+    },
+
+    /**
+     * Close a term. Grades in an archived term are read-only.
+     * @param {string} termId
+     * @param {string} archivedBy
+     */
+    archive: (termId, archivedBy) => updateDoc(ref(termId), {
+      status: 'archived',
+      archivedAt: new Date().toISOString(),
+      archivedBy,
+    }),
+  };
+};
@@ -0,0 +1,84 @@
+import { collection, doc, onSnapshot, orderBy, query, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+
+/**
+ * Access to message threads between a student's teacher and the student or a linked parent.
+ * Participants only ever change their own name and read receipt on a thread.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createThreadsRepository = (db, appId) => {
+  const ref = (threadId) => dataDoc(db, appId, 'threads', threadId);
+
+  return {
+    ref,
+
+    /**
+     * Listen to the threads an account takes part in, most recently active first.
+     * @param {string} uid
+     * @param {(threads: import('./models').Thread[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeForParticipant: (uid, onChange) => onSnapshot(
+      query(dataCollection(db, appId, 'threads'), where('participantIds', 'array-contains', uid)),
+      (snapshot) => {
+        const threads = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        onChange(threads.sort((a, b) => (b.lastMessageAt || '').localeCompare(a.lastMessageAt || '')));
+      }
+    ),
+
+    /**
+     * Listen to a thread's messages, oldest first.
+     * @param {string} threadId
+     * @param {(messages: {id: string, senderId: string, text: string, createdAt: string}[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToMessages: (threadId, onChange) => onSnapshot(
+      query(dataCollection(db, appId, 'threads', threadId, 'messages'), orderBy('createdAt')),
+      (snapshot) => onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+    ),
+
+    /**
+     * Send a message. The first message creates the thread from the draft given.
+     * @param {import('./models').Thread} thread The thread, or a draft of it
+     * @param {boolean} isStarted Whether the thread has been created already
+     * @param {{senderId: string, senderName: ?string, text: string}} message
+     */
+    send: (thread, isStarted, { senderId, senderName, text }) => {
+      const now = new Date().toISOString();
+      const threadRef = ref(thread.id);
+      const batch = writeBatch(db);
+      if (isStarted) {
+        batch.update(threadRef, {
+          lastMessage: text.trim(),
+          lastMessageAt: now,
+          lastSenderId: senderId,
+          [`lastReadAt.${senderId}`]: now,
+          [`participantNames.${senderId}`]: senderName,
+        });
+      } else {
+        const { id, ...draft } = thread;
+        batch.set(threadRef, {
+          ...draft,
+          participantNames: { [senderId]: senderName },
+          lastMessage: text.trim(),
+          lastMessageAt: now,
+          lastSenderId: senderId,
+          lastReadAt: { [senderId]: now },
+          createdAt: now,
+        });
+      }
+      batch.set(doc(collection(threadRef, 'messages')), { senderId, text: text.trim(), createdAt: now });
+      return batch.commit();
+    },
+
+    /**
+     * Record that a participant has read a thread up to now, shown to the other as a read receipt.
+     * @param {string} threadId
+     * @param {string} uid
+     */
+    markRead: (threadId, uid) => updateDoc(ref(threadId), {
+      [`lastReadAt.${uid}`]: new Date().toISOString(),
+    }),
+  };
+};
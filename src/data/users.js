@@ -0,0 +1,55 @@
+import { onSnapshot, setDoc, updateDoc } from 'firebase/firestore';
+import { dataCollection, dataDoc } from './paths';
+import { validateRole } from './models';
+
+/**
+ * Access to account profiles and their roles.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ */
+export const createUsersRepository = (db, appId) => {
+  const ref = (uid) => dataDoc(db, appId, 'users', uid);
+
+  return {
+    ref,
+
+    /**
+     * Listen to one account's profile.
+     * @param {string} uid
+     * @param {(profile: ?import('./models').UserProfile) => void} onChange Called with null while no profile exists
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToProfile: (uid, onChange) => onSnapshot(ref(uid), (docSnap) => {
+      onChange(docSnap.exists() ? docSnap.data() : null);
+    }),
+
+    /**
+     * Listen to every account. Only administrators may read them.
+     * @param {(users: (import('./models').UserProfile & {id: string})[]) => void} onChange
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeToAll: (onChange) => onSnapshot(dataCollection(db, appId, 'users'), (snapshot) => {
+      onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }),
+
+    /**
+     * Create the profile of a signed-in account on first sign-in.
+     * @param {import('firebase/auth').User} user
+     * @param {import('./models').UserRole} role
+     */
+    createProfile: (user, role) => setDoc(ref(user.uid), {
+      role: validateRole(role),
+      uid: user.uid,
+      displayName: user.displayName || null,
+      email: user.email || null,
+    }),
+
+    /**
+     * Give an account a role, recording which administrator assigned it.
+     * @param {string} uid
+     * @param {import('./models').UserRole} role
+     * @param {string} assignedBy
+     */
+    assignRole: (uid, role, assignedBy) => updateDoc(ref(uid), { role: validateRole(role), roleAssignedBy: assignedBy }),
+  };
+};
@@ -0,0 +1,476 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  arrayRemove, arrayUnion, collection, deleteDoc, deleteField, doc, getDoc, getDocs, query, runTransaction, setDoc, updateDoc, where,
+  writeBatch,
+} from 'firebase/firestore';
+
+// These tests need the Firestore emulator. `npm run test:rules` starts it and sets FIRESTORE_EMULATOR_HOST.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const dataPath = 'artifacts/test-app/public/data';
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  // Firestore instance signed in as the given uid, or signed out when uid is null
+  const dbAs = (uid) => (
+    uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore()
+  );
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-academic-records',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      const users = {
+        admin: 'admin',
+        teacherA: 'teacher',
+        teacherB: 'teacher',
+        student1: 'student',
+        student2: 'student',
+        parent1: 'parent',
+        newcomer: 'pending',
+      };
+      await Promise.all(Object.keys(users).map(uid => (
+        setDoc(doc(db, `${dataPath}/users/${uid}`), { uid, role: users[uid] })
+      )));
+      await setDoc(doc(db, `${dataPath}/records/student1`), {
+        studentId: 'student1', studentUid: 'student1', studentName: 'Ada', parentIds: ['parent1'], grades: {}, createdBy: 'teacherA',
+      });
+      await setDoc(doc(db, `${dataPath}/records/student2`), {
+        studentId: 'student2', studentName: 'Grace', parentIds: [], grades: {}, createdBy: 'teacherB',
+      });
+      await setDoc(doc(db, `${dataPath}/studentAccounts/student1`), { recordId: 'student1', linkedBy: 'admin' });
+      await setDoc(doc(db, `${dataPath}/subjects/math`), { name: 'Math' });
+      await setDoc(doc(db, `${dataPath}/inviteCodes/GRACE123`), {
+        code: 'GRACE123', recordId: 'student2', createdBy: 'teacherB', redeemedBy: null, redeemedAt: null,
+      });
+    });
+  });
+
+  describe('users', () => {
+    it('lets a new account create its own document only as pending', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('fresh'), `${dataPath}/users/fresh`), { uid: 'fresh', role: 'pending' }));
+      await assertFails(setDoc(doc(dbAs('other'), `${dataPath}/users/other`), { uid: 'other', role: 'teacher' }));
+    });
+
+    it('stops users from changing their own role', async () => {
+      await assertFails(updateDoc(doc(dbAs('newcomer'), `${dataPath}/users/newcomer`), { role: 'admin' }));
+      await assertSucceeds(updateDoc(doc(dbAs('newcomer'), `${dataPath}/users/newcomer`), { displayName: 'New' }));
+    });
+
+    it('lets administrators assign roles and list accounts', async () => {
+      await assertSucceeds(updateDoc(doc(dbAs('admin'), `${dataPath}/users/newcomer`), { role: 'teacher' }));
+      await assertSucceeds(getDocs(collection(dbAs('admin'), `${dataPath}/users`)));
+      await assertFails(getDocs(collection(dbAs('teacherA'), `${dataPath}/users`)));
+    });
+  });
+
+  describe('records', () => {
+    it('lets teachers edit only the records they created', async () => {
+      await assertSucceeds(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`), { 'grades.no-term.Math': [90] }));
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student2`), { 'grades.no-term.Math': [90] }));
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`), { createdBy: 'teacherB' }));
+    });
+
+    it('lets teachers read only the records of their own students', async () => {
+      const db = dbAs('teacherA');
+      await assertSucceeds(getDoc(doc(db, `${dataPath}/records/student1`)));
+      await assertFails(getDoc(doc(db, `${dataPath}/records/student2`)));
+      await assertSucceeds(getDocs(query(collection(db, `${dataPath}/records`), where('createdBy', '==', 'teacherA'))));
+      await assertSucceeds(getDocs(query(collection(db, `${dataPath}/records`), where('teacherIds', 'array-contains', 'teacherA'))));
+      await assertFails(getDocs(collection(db, `${dataPath}/records`)));
+      await assertSucceeds(getDocs(collection(dbAs('admin'), `${dataPath}/records`)));
+    });
+
+    it('lets teachers create records only under their own uid', async () => {
+      const db = dbAs('teacherA');
+      await assertSucceeds(setDoc(doc(db, `${dataPath}/records/new1`), { studentId: 'new1', grades: {}, createdBy: 'teacherA' }));
+      await assertFails(setDoc(doc(db, `${dataPath}/records/new2`), { studentId: 'new2', grades: {}, createdBy: 'teacherB' }));
+    });
+
+    it('lets students read only the record linked to their account', async () => {
+      const db = dbAs('student1');
+      await assertSucceeds(getDoc(doc(db, `${dataPath}/records/student1`)));
+      await assertFails(getDoc(doc(db, `${dataPath}/records/student2`)));
+      await assertSucceeds(getDocs(query(collection(db, `${dataPath}/records`), where('studentUid', '==', 'student1'))));
+      await assertFails(getDoc(doc(dbAs('student2'), `${dataPath}/records/student2`)));
+      await assertFails(getDocs(collection(db, `${dataPath}/records`)));
+      await assertFails(updateDoc(doc(db, `${dataPath}/records/student1`), { 'grades.no-term.Math': [100] }));
+    });
+
+    it('lets parents read only their linked child', async () => {
+      const db = dbAs('parent1');
+      await assertSucceeds(getDoc(doc(db, `${dataPath}/records/student1`)));
+      await assertFails(getDoc(doc(db, `${dataPath}/records/student2`)));
+      await assertSucceeds(getDocs(query(collection(db, `${dataPath}/records`), where('parentIds', 'array-contains', 'parent1'))));
+    });
+
+    it('denies pending and signed-out users', async () => {
+      await assertFails(getDoc(doc(dbAs('newcomer'), `${dataPath}/records/student1`)));
+      await assertFails(getDoc(doc(dbAs(null), `${dataPath}/records/student1`)));
+    });
+  });
+
+  describe('archived terms', () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, `${dataPath}/terms/fall`), { name: 'Fall', status: 'archived' });
+        await setDoc(doc(db, `${dataPath}/terms/spring`), { name: 'Spring', status: 'open' });
+        await updateDoc(doc(db, `${dataPath}/records/student1`), {
+          'grades.fall.Math': [80],
+          'attendance.fall.day': { status: 'present', termId: 'fall' },
+          'transcript.fall': { termName: 'Fall', subjects: {}, gpa: null },
+        });
+      });
+    });
+
+    it('stops teachers changing grades or attendance in an archived term', async () => {
+      const ref = doc(dbAs('teacherA'), `${dataPath}/records/student1`);
+      await assertFails(updateDoc(ref, { 'grades.fall.Math': [90], lastChangedTermId: 'fall' }));
+      await assertFails(updateDoc(ref, { 'attendance.fall.day': { status: 'absent', termId: 'fall' }, lastChangedTermId: 'fall' }));
+      await assertSucceeds(updateDoc(ref, { 'grades.spring.Math': [90], lastChangedTermId: 'spring' }));
+    });
+
+    it('stops teachers overwriting an archived term\'s grades by naming an open term', async () => {
+      const ref = doc(dbAs('teacherA'), `${dataPath}/records/student1`);
+      await assertFails(updateDoc(ref, { 'grades.fall.Math': [90], lastChangedTermId: 'spring' }));
+      await assertFails(updateDoc(ref, { 'attendance.fall.day': { status: 'absent', termId: 'fall' }, lastChangedTermId: 'spring' }));
+      await assertFails(updateDoc(ref, { 'grades.Math': [90], lastChangedTermId: 'spring' }));
+      await assertFails(updateDoc(ref, { grades: { spring: { Math: [90] } }, lastChangedTermId: 'spring' }));
+    });
+
+    it('lets only administrators write a transcript, and only before its term is archived', async () => {
+      const transcript = { termName: 'Spring', subjects: {}, gpa: null };
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`), {
+        'transcript.spring': transcript, lastChangedTermId: 'spring',
+      }));
+      const ref = doc(dbAs('admin'), `${dataPath}/records/student1`);
+      await assertFails(updateDoc(ref, { 'transcript.fall': transcript, lastChangedTermId: 'fall' }));
+      await assertFails(updateDoc(ref, { 'transcript.fall': transcript, lastChangedTermId: 'spring' }));
+      await assertSucceeds(updateDoc(ref, { 'transcript.spring': transcript, lastChangedTermId: 'spring' }));
+    });
+  });
+
+  describe('class sections', () => {
+    // Enroll a student the way the app does: update the roster and the record in one batch
+    const enroll = (db, sectionId, recordId, teacherId) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, `${dataPath}/sections/${sectionId}`), { studentIds: arrayUnion(recordId) });
+      batch.update(doc(db, `${dataPath}/records/${recordId}`), {
+        sectionIds: arrayUnion(sectionId),
+        teacherIds: arrayUnion(teacherId),
+        lastEnrolledSectionId: sectionId,
+      });
+      return batch.commit();
+    };
+
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/sections/mathA`), {
+          name: 'Math A', subjectId: 'math', subjectName: 'Math', teacherId: 'teacherA', termId: null, studentIds: [],
+        });
+      });
+    });
+
+    it('lets teachers create sections only for themselves', async () => {
+      const db = dbAs('teacherA');
+      await assertSucceeds(setDoc(doc(db, `${dataPath}/sections/mathA2`), { name: 'Math A2', teacherId: 'teacherA', studentIds: [] }));
+      await assertFails(setDoc(doc(db, `${dataPath}/sections/mathB`), { name: 'Math B', teacherId: 'teacherB', studentIds: [] }));
+    });
+
+    it('lets a teacher enroll another teacher\'s student and then edit their record', async () => {
+      const db = dbAs('teacherA');
+      await assertSucceeds(enroll(db, 'mathA', 'student2', 'teacherA'));
+      await assertSucceeds(updateDoc(doc(db, `${dataPath}/records/student2`), { 'grades.no-term.Math': [88] }));
+    });
+
+    it('stops teachers enrolling students into sections they do not teach', async () => {
+      await assertFails(enroll(dbAs('teacherB'), 'mathA', 'student1', 'teacherB'));
+      await assertFails(updateDoc(doc(dbAs('teacherB'), `${dataPath}/records/student1`), {
+        teacherIds: arrayUnion('teacherB'),
+      }));
+    });
+
+    it('stops teachers adding other teachers to a record', async () => {
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`), {
+        teacherIds: arrayUnion('teacherB'),
+      }));
+    });
+  });
+
+  describe('parent invite codes', () => {
+    // Redeem a code the way the app does: mark it used and link the parent in one transaction
+    const redeem = (db, code, recordId, uid) => runTransaction(db, async (transaction) => {
+      const inviteRef = doc(db, `${dataPath}/inviteCodes/${code}`);
+      await transaction.get(inviteRef);
+      transaction.update(inviteRef, { redeemedBy: uid, redeemedAt: '2026-01-01T00:00:00.000Z' });
+      transaction.update(doc(db, `${dataPath}/records/${recordId}`), {
+        parentIds: arrayUnion(uid),
+        [`parentLinks.${uid}`]: { code, name: null, linkedAt: '2026-01-01T00:00:00.000Z' },
+      });
+    });
+
+    it('lets a parent link to a student by redeeming an unused code', async () => {
+      const db = dbAs('parent1');
+      await assertSucceeds(redeem(db, 'GRACE123', 'student2', 'parent1'));
+      await assertSucceeds(getDoc(doc(db, `${dataPath}/records/student2`)));
+    });
+
+    it('rejects a code that was already redeemed', async () => {
+      await assertSucceeds(redeem(dbAs('parent1'), 'GRACE123', 'student2', 'parent1'));
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/users/parent2`), { uid: 'parent2', role: 'parent' });
+      });
+      await assertFails(redeem(dbAs('parent2'), 'GRACE123', 'student2', 'parent2'));
+    });
+
+    it('rejects linking without a code for that record', async () => {
+      await assertFails(redeem(dbAs('parent1'), 'GRACE123', 'student1', 'parent1'));
+      await assertFails(updateDoc(doc(dbAs('parent1'), `${dataPath}/records/student2`), {
+        parentIds: arrayUnion('parent1'),
+      }));
+    });
+
+    it('lets a parent remove their own link', async () => {
+      await assertSucceeds(updateDoc(doc(dbAs('parent1'), `${dataPath}/records/student1`), {
+        parentIds: arrayRemove('parent1'),
+        'parentLinks.parent1': deleteField(),
+      }));
+    });
+
+    it('lets only administrators and the student\'s teachers create invite codes', async () => {
+      const invite = (uid, code, recordId) => setDoc(doc(dbAs(uid), `${dataPath}/inviteCodes/${code}`), {
+        code, recordId, createdBy: uid, redeemedBy: null, redeemedAt: null,
+      });
+      await assertSucceeds(invite('teacherA', 'ADA12345', 'student1'));
+      await assertSucceeds(invite('admin', 'GRACE456', 'student2'));
+      await assertFails(invite('teacherA', 'GRACE789', 'student2'));
+      await assertFails(invite('parent1', 'ADA67890', 'student1'));
+    });
+
+    it('lets staff but not parents list invite codes', async () => {
+      await assertSucceeds(getDocs(collection(dbAs('teacherB'), `${dataPath}/inviteCodes`)));
+      await assertFails(getDocs(collection(dbAs('parent1'), `${dataPath}/inviteCodes`)));
+    });
+  });
+
+  describe('school-wide data', () => {
+    it('lets staff add subjects and every member read them', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('teacherA'), `${dataPath}/subjects/science`), { name: 'Science' }));
+      await assertFails(setDoc(doc(dbAs('student1'), `${dataPath}/subjects/art`), { name: 'Art' }));
+      await assertSucceeds(getDoc(doc(dbAs('parent1'), `${dataPath}/subjects/math`)));
+      await assertFails(getDoc(doc(dbAs('newcomer'), `${dataPath}/subjects/math`)));
+    });
+
+    it('lets only administrators and the subject\'s teachers change its grading policy', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/sections/mathA`), {
+          name: 'Math A', subjectId: 'math', subjectName: 'Math', teacherId: 'teacherA', termId: null, studentIds: [],
+        });
+      });
+      const settings = { gradingPolicy: { weights: { exam: 100 }, dropLowest: {}, missingWork: 'zero' }, credits: 1 };
+      await assertSucceeds(updateDoc(doc(dbAs('admin'), `${dataPath}/subjects/math`), settings));
+      await assertSucceeds(updateDoc(doc(dbAs('teacherA'), `${dataPath}/subjects/math`), { ...settings, lastEditedSectionId: 'mathA' }));
+      await assertFails(updateDoc(doc(dbAs('teacherB'), `${dataPath}/subjects/math`), { ...settings, lastEditedSectionId: 'mathA' }));
+      await assertFails(updateDoc(doc(dbAs('teacherB'), `${dataPath}/subjects/math`), settings));
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/subjects/math`), { name: 'Algebra' }));
+      await assertFails(deleteDoc(doc(dbAs('teacherA'), `${dataPath}/subjects/math`)));
+    });
+
+    it('lets only administrators change terms and the grading scale', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('admin'), `${dataPath}/settings/gradingScale`), { ranges: [] }));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/settings/gradingScale`), { ranges: [] }));
+      await assertSucceeds(setDoc(doc(dbAs('admin'), `${dataPath}/terms/fall`), { name: 'Fall', status: 'open' }));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/terms/spring`), { name: 'Spring', status: 'open' }));
+    });
+
+    it('lets only a subject\'s teachers update its class averages and members read only the published ones', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/sections/mathA`), {
+          name: 'Math A', subjectId: 'math', subjectName: 'Math', teacherId: 'teacherA', termId: null, studentIds: [],
+        });
+      });
+      const totals = { termKey: 'fall', subject: 'Math', groups: { quiz: { sum: 270, count: 3 } }, lastEditedSectionId: 'mathA' };
+      const published = { termKey: 'fall', subject: 'Math', groupKey: 'quiz', sum: 270, count: 3, lastEditedSectionId: 'mathA' };
+      await assertSucceeds(setDoc(doc(dbAs('teacherA'), `${dataPath}/classAverages/fall_Math`), totals));
+      await assertFails(setDoc(doc(dbAs('teacherB'), `${dataPath}/classAverages/fall_Math`), totals));
+      await assertFails(setDoc(doc(dbAs('student1'), `${dataPath}/classAverages/fall_Math`), totals));
+      await assertSucceeds(setDoc(doc(dbAs('teacherA'), `${dataPath}/publishedClassAverages/fall_Math_quiz`), published));
+      await assertFails(setDoc(doc(dbAs('teacherB'), `${dataPath}/publishedClassAverages/fall_Math_quiz`), published));
+      await assertFails(getDoc(doc(dbAs('parent1'), `${dataPath}/classAverages/fall_Math`)));
+      await assertSucceeds(getDoc(doc(dbAs('parent1'), `${dataPath}/publishedClassAverages/fall_Math_quiz`)));
+    });
+
+    it('publishes a class average only as its totals stand and once enough students have a score', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, `${dataPath}/sections/mathA`), {
+          name: 'Math A', subjectId: 'math', subjectName: 'Math', teacherId: 'teacherA', termId: null, studentIds: [],
+        });
+        await setDoc(doc(db, `${dataPath}/classAverages/fall_Math`), {
+          termKey: 'fall', subject: 'Math', groups: { quiz: { sum: 270, count: 3 }, test: { sum: 150, count: 2 } },
+        });
+        await setDoc(doc(db, `${dataPath}/publishedClassAverages/fall_Math_test`), {
+          termKey: 'fall', subject: 'Math', groupKey: 'test', sum: 150, count: 2,
+        });
+      });
+      const db = dbAs('teacherA');
+      const publish = (groupKey, sum, count) => setDoc(doc(db, `${dataPath}/publishedClassAverages/fall_Math_${groupKey}`), {
+        termKey: 'fall', subject: 'Math', groupKey, sum, count, lastEditedSectionId: 'mathA',
+      });
+      await assertFails(publish('test', 150, 2));
+      await assertFails(publish('quiz', 300, 3));
+      await assertFails(setDoc(doc(dbAs('admin'), `${dataPath}/publishedClassAverages/fall_Math_test`), {
+        termKey: 'fall', subject: 'Math', groupKey: 'test', sum: 150, count: 2,
+      }));
+      await assertSucceeds(publish('quiz', 270, 3));
+      await assertFails(deleteDoc(doc(db, `${dataPath}/publishedClassAverages/fall_Math_quiz`)));
+      await assertSucceeds(deleteDoc(doc(db, `${dataPath}/publishedClassAverages/fall_Math_test`)));
+    });
+  });
+
+  describe('notifications', () => {
+    const notification = (createdBy) => ({
+      type: 'newGrade', title: 'New Math grade', message: 'Quiz: 9/10', recordId: 'student1',
+      createdBy, createdAt: '2026-01-01T00:00:00.000Z', read: false,
+    });
+
+    it('lets staff send notifications and only the recipient read them', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('teacherA'), `${dataPath}/users/parent1/notifications/one`), notification('teacherA')));
+      await assertFails(setDoc(doc(dbAs('parent1'), `${dataPath}/users/student1/notifications/two`), notification('parent1')));
+      await assertSucceeds(getDocs(collection(dbAs('parent1'), `${dataPath}/users/parent1/notifications`)));
+      await assertFails(getDocs(collection(dbAs('student1'), `${dataPath}/users/parent1/notifications`)));
+    });
+
+    it('lets the recipient only mark a notification as read', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/users/parent1/notifications/one`), notification('teacherA'));
+      });
+      const ref = doc(dbAs('parent1'), `${dataPath}/users/parent1/notifications/one`);
+      await assertSucceeds(updateDoc(ref, { read: true }));
+      await assertFails(updateDoc(ref, { message: 'Changed' }));
+    });
+
+    it('lets staff read but not change alert preferences', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('parent1'), `${dataPath}/notificationPreferences/parent1`), { types: {} }));
+      await assertSucceeds(getDoc(doc(dbAs('teacherA'), `${dataPath}/notificationPreferences/parent1`)));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/notificationPreferences/parent1`), { types: {} }));
+      await assertFails(getDoc(doc(dbAs('student1'), `${dataPath}/notificationPreferences/parent1`)));
+    });
+  });
+
+  describe('student accounts', () => {
+    const link = (db, recordId, uid) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${dataPath}/studentAccounts/${uid}`), { recordId, linkedBy: 'admin', linkedAt: '2026-01-01T00:00:00.000Z' });
+      batch.update(doc(db, `${dataPath}/records/${recordId}`), { studentUid: uid });
+      return batch.commit();
+    };
+
+    it('lets only administrators link an account, together with its link document', async () => {
+      await assertFails(updateDoc(doc(dbAs('admin'), `${dataPath}/records/student2`), { studentUid: 'student2' }));
+      await assertFails(link(dbAs('teacherB'), 'student2', 'student2'));
+      await assertSucceeds(link(dbAs('admin'), 'student2', 'student2'));
+      await assertSucceeds(getDoc(doc(dbAs('student2'), `${dataPath}/records/student2`)));
+    });
+
+    it('links each account to at most one record', async () => {
+      await assertFails(link(dbAs('admin'), 'student2', 'student1'));
+      await assertFails(link(dbAs('admin'), 'student2', 'parent1'));
+    });
+
+    it('stops teachers from changing or deleting a linked record', async () => {
+      await assertFails(updateDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`), { studentUid: 'student2' }));
+      await assertFails(deleteDoc(doc(dbAs('teacherA'), `${dataPath}/records/student1`)));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/records/new1`), {
+        studentId: 'new1', studentUid: 'student2', grades: {}, createdBy: 'teacherA',
+      }));
+    });
+  });
+
+  describe('message threads', () => {
+    const thread = (teacherId, otherId) => ({
+      recordId: 'student1', studentName: 'Ada', teacherId, otherId, otherRole: 'parent', topic: 'Math',
+      participantIds: [teacherId, otherId], participantNames: {}, lastReadAt: {},
+      lastMessage: 'Hello', lastMessageAt: '2026-01-01T00:00:00.000Z', lastSenderId: teacherId,
+      createdAt: '2026-01-01T00:00:00.000Z',
+    });
+    const message = (senderId) => ({ senderId, text: 'Hello', createdAt: '2026-01-01T00:00:00.000Z' });
+
+    it('lets a teacher start a thread with a parent of their student', async () => {
+      const db = dbAs('teacherA');
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${dataPath}/threads/one`), thread('teacherA', 'parent1'));
+      batch.set(doc(db, `${dataPath}/threads/one/messages/first`), message('teacherA'));
+      await assertSucceeds(batch.commit());
+      await assertFails(setDoc(doc(dbAs('teacherB'), `${dataPath}/threads/two`), thread('teacherB', 'parent1')));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/threads/three`), thread('teacherA', 'student2')));
+    });
+
+    it('keeps threads and messages private to their participants', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/threads/one`), thread('teacherA', 'parent1'));
+        await setDoc(doc(context.firestore(), `${dataPath}/threads/one/messages/first`), message('teacherA'));
+      });
+      await assertSucceeds(getDoc(doc(dbAs('parent1'), `${dataPath}/threads/one`)));
+      await assertSucceeds(getDocs(collection(dbAs('parent1'), `${dataPath}/threads/one/messages`)));
+      await assertSucceeds(setDoc(doc(dbAs('parent1'), `${dataPath}/threads/one/messages/reply`), message('parent1')));
+      await assertFails(getDoc(doc(dbAs('teacherB'), `${dataPath}/threads/one`)));
+      await assertFails(getDocs(collection(dbAs('student1'), `${dataPath}/threads/one/messages`)));
+      await assertFails(setDoc(doc(dbAs('teacherB'), `${dataPath}/threads/one/messages/other`), message('teacherB')));
+    });
+
+    it('lets participants only update the last message, their own name and their own read receipt', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/threads/one`), thread('teacherA', 'parent1'));
+      });
+      const ref = doc(dbAs('parent1'), `${dataPath}/threads/one`);
+      await assertSucceeds(updateDoc(ref, { 'lastReadAt.parent1': '2026-01-02T00:00:00.000Z' }));
+      await assertSucceeds(updateDoc(ref, { 'participantNames.parent1': 'Parent One' }));
+      await assertFails(updateDoc(ref, { participantIds: ['parent1', 'teacherB'] }));
+      await assertFails(updateDoc(ref, { 'participantNames.teacherA': 'Someone else' }));
+      await assertFails(updateDoc(ref, { 'lastReadAt.teacherA': '2026-01-02T00:00:00.000Z' }));
+      await assertFails(updateDoc(ref, { lastMessage: 'Hi', lastSenderId: 'teacherA' }));
+    });
+  });
+
+  describe('audit log', () => {
+    const entry = (changedBy) => ({
+      entityType: 'grade', action: 'update', recordId: 'student1', oldValue: null, newValue: null,
+      reason: 'Typo', changedBy, changedAt: '2026-01-01T00:00:00.000Z',
+    });
+
+    it('lets staff add entries only as themselves', async () => {
+      await assertSucceeds(setDoc(doc(dbAs('teacherA'), `${dataPath}/auditLog/one`), entry('teacherA')));
+      await assertFails(setDoc(doc(dbAs('teacherA'), `${dataPath}/auditLog/two`), entry('teacherB')));
+      await assertFails(setDoc(doc(dbAs('student1'), `${dataPath}/auditLog/three`), entry('student1')));
+    });
+
+    it('lets only administrators read entries and nobody change them', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), `${dataPath}/auditLog/one`), entry('teacherA'));
+      });
+      await assertSucceeds(getDocs(collection(dbAs('admin'), `${dataPath}/auditLog`)));
+      await assertFails(getDocs(collection(dbAs('teacherA'), `${dataPath}/auditLog`)));
+      await assertFails(updateDoc(doc(dbAs('admin'), `${dataPath}/auditLog/one`), { reason: 'Changed' }));
+      await assertFails(deleteDoc(doc(dbAs('admin'), `${dataPath}/auditLog/one`)));
+    });
+  });
+});
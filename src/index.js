@@ -1,10 +1,14 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { ROUTER_FUTURE_FLAGS } from './routes';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter future={ROUTER_FUTURE_FLAGS}>
+      <App />
+    </BrowserRouter>
   </React.StrictMode>
-);
\ No newline at end of file
+);
@@ -0,0 +1,20 @@
+// URLs of the app's pages. Each role has its own home page, and staff and parents can open
+// (and bookmark) one student's page below it. Students only ever see their own record.
+const ROLE_HOME_PATHS = {
+  admin: '/admin',
+  teacher: '/teacher',
+  student: '/student',
+  parent: '/parent',
+};
+
+// Pattern of a student's page below a role's home page, for <Route path>
+export const STUDENT_PAGE_PATH = 'students/:recordId';
+
+// Home page of a role, or the root for accounts without a recognized role
+export const getHomePath = (role) => ROLE_HOME_PATHS[role] || '/';
+
+// Page of one student as seen by the given role
+export const getStudentPath = (role, recordId) => `${getHomePath(role)}/students/${encodeURIComponent(recordId)}`;
+
+// Opt in to React Router's upcoming defaults, for <BrowserRouter future> and <MemoryRouter future>
+export const ROUTER_FUTURE_FLAGS = { v7_startTransition: true, v7_relativeSplatPath: true };
@@ -0,0 +1,10 @@
+// jsdom leaves out some Node APIs that Firebase and the app rely on. Borrow them from Node so the
+// app can run against the emulators in the tests.
+import { TextEncoder, TextDecoder } from 'util';
+import { setImmediate, clearImmediate } from 'timers';
+import { webcrypto } from 'crypto';
+
+Object.assign(global, { TextEncoder, TextDecoder, setImmediate, clearImmediate });
+if (!global.crypto) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto });
+}